@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+/**
+ * Generate public/data/manifest.json — every rate version per carrier.
+ *
+ * Scans public/data/<folder>/<carrier-id>/meta.json. Each meta.json must
+ * carry effective_date (YYYY-MM-DD) and data_version. DataLoader picks the
+ * version in force on the ship date (or the one the user pins), so a new
+ * tariff only needs its folder + meta.json and a re-run of this script.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = path.join(__dirname, 'public/data');
+const OUT_FILE = path.join(DATA_DIR, 'manifest.json');
+
+// ═══════════════════════════════════════════════════════════
+// SCAN
+// ═══════════════════════════════════════════════════════════
+function listDirs(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(d => d.isDirectory())
+    .map(d => d.name)
+    .sort();
+}
+
+function scanVersions() {
+  const versions = [];
+  listDirs(DATA_DIR).forEach(folder => {
+    listDirs(path.join(DATA_DIR, folder)).forEach(carrier => {
+      const metaPath = path.join(DATA_DIR, folder, carrier, 'meta.json');
+      if (!fs.existsSync(metaPath)) return;
+      const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+      versions.push({
+        carrier,
+        version: meta.data_version,
+        effective_date: meta.effective_date,
+        label: `${meta.service || carrier} ${meta.year || folder}`,
+        path: `public/data/${folder}/${carrier}`,
+      });
+    });
+  });
+  return versions;
+}
+
+// ═══════════════════════════════════════════════════════════
+// VALIDATION
+// ═══════════════════════════════════════════════════════════
+function validate(versions) {
+  let errors = 0;
+  const seen = new Set();
+  versions.forEach(v => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(v.effective_date || '')) {
+      console.error(`${v.path}/meta.json: effective_date missing or not YYYY-MM-DD`);
+      errors++;
+    }
+    if (!v.version) {
+      console.error(`${v.path}/meta.json: data_version missing`);
+      errors++;
+    }
+    const key = `${v.carrier}@${v.version}`;
+    if (seen.has(key)) {
+      console.error(`${v.carrier}: data_version ${v.version} appears twice`);
+      errors++;
+    }
+    seen.add(key);
+  });
+  return errors;
+}
+
+// ═══════════════════════════════════════════════════════════
+// MAIN
+// ═══════════════════════════════════════════════════════════
+const versions = scanVersions();
+console.log(`Found ${versions.length} rate versions`);
+
+const errors = validate(versions);
+if (errors > 0) {
+  console.error(`\nTotal errors: ${errors}. Fix before generating.`);
+  process.exit(1);
+}
+
+const carriers = {};
+versions
+  .sort((a, b) => a.effective_date.localeCompare(b.effective_date))
+  .forEach(({ carrier, ...v }) => {
+    (carriers[carrier] = carriers[carrier] || []).push(v);
+  });
+
+fs.writeFileSync(OUT_FILE, JSON.stringify({
+  note: 'Generated by generate-manifest.js from each version folder\'s meta.json',
+  carriers,
+}, null, 2) + '\n');
+console.log(`  Written: ${OUT_FILE}`);
+Object.entries(carriers).forEach(([id, list]) => {
+  console.log(`  ${id}: ${list.map(v => `${v.version} (${v.effective_date})`).join(', ')}`);
+});
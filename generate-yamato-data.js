@@ -411,35 +411,59 @@ writeJson('zones.json', [
 
 // 5. surcharges.json
 console.log('Generating surcharges.json...');
+// Each entry is an optional service: input type, pricing rule and constraints
+// are interpreted by YAMATO_OPTION_PRICING / YAMATO_OPTION_CONSTRAINTS.
 writeJson('surcharges.json', {
   cool: {
+    name_ja: 'クール宅急便',
+    label_ko: 'Cool 서비스',
     note: 'Chilled (0~10°C) or Frozen (-15°C). Max size 120.',
-    60: 275,
-    80: 330,
-    100: 440,
-    120: 715
+    input: 'select',
+    choices: [
+      { value: 'none', label_ko: '없음' },
+      { value: 'chilled', label_ko: '냉장 (0~10°C)' },
+      { value: 'frozen', label_ko: '냉동 (-15°C)' }
+    ],
+    pricing: 'by_size',
+    fees: { 60: 275, 80: 330, 100: 440, 120: 715 },
+    constraints: { max_size: 120 }
   },
   same_day: {
+    name_ja: '当日配達',
+    label_ko: '당일 배송',
     note: 'Same-day delivery (+550, +330 for Okinawa)',
-    standard: 550,
-    okinawa: 330
+    input: 'checkbox',
+    pricing: 'by_route',
+    fees: { standard: 550, okinawa: 330 }
   },
   cod: {
+    name_ja: '宅急便コレクト',
+    label_ko: '代引 (대금상환)',
     note: 'Cash on delivery fee by declared value range',
+    input: 'amount',
+    pricing: 'by_range',
     ranges: [
       { min: 0, max: 9999, fee: 330 },
       { min: 10000, max: 29999, fee: 440 },
       { min: 30000, max: 99999, fee: 660 },
       { min: 100000, max: 300000, fee: 1100 }
-    ]
+    ],
+    constraints: { max_amount: 300000 },
+    blocking: true
   },
   anonymous: {
+    name_ja: '匿名配送',
+    label_ko: '익명 배송',
     note: 'Anonymous delivery',
+    input: 'checkbox',
+    pricing: 'flat',
     fee: 55
   }
 });
 
 // 6. discounts.json
+// Eligibility is declarative: `conditions` are checked against the shipment
+// (YAMATO_DISCOUNT_CONDITIONS), `replaces` lists discounts it cannot stack with.
 console.log('Generating discounts.json...');
 writeJson('discounts.json', {
   dropoff: {
@@ -452,7 +476,8 @@ writeJson('discounts.json', {
     name_ja: 'クロネコメンバーズ持込割',
     name_en: 'Member drop-off discount',
     amount: -150,
-    note: 'Kuroneko Members drop-off (replaces standard drop-off)'
+    note: 'Kuroneko Members drop-off (replaces standard drop-off)',
+    replaces: ['dropoff']
   },
   digital: {
     name_ja: 'デジタル割',
@@ -464,7 +489,8 @@ writeJson('discounts.json', {
     name_ja: '複数口割引',
     name_en: 'Multi-package discount',
     amount: -100,
-    note: 'Multiple packages to same destination'
+    note: 'Multiple packages to same destination',
+    conditions: { min_packages_same_destination: 2 }
   },
   branch_pickup: {
     name_ja: '営業所受取割引',
@@ -479,6 +505,8 @@ console.log('Generating defaults.json...');
 writeJson('defaults.json', {
   origin: 'kanto',
   destination: 'kansai',
+  origin_prefecture: '東京都',
+  destination_prefecture: '大阪府',
   payment: 'cash',
   items: [
     { name: 'frame (L)', dimensions_mm: '1190*295*190', weight_kg: 57.0, qty: 1 },
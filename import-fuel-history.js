@@ -0,0 +1,205 @@
+#!/usr/bin/env node
+/**
+ * Import a weekly diesel price series (CSV) into each US carrier's fuel-history.json.
+ *
+ * Usage: node import-fuel-history.js <diesel.csv> [carrier-id ...]
+ *
+ * Accepts the EIA "Weekly U.S. No 2 Diesel Retail Prices" download as-is:
+ * title/source lines are skipped, every row whose first column is a date and
+ * second column a price is imported. Dates may be YYYY-MM-DD, MM/DD/YYYY or
+ * "Jan 06, 2025". Each row is stored under the Monday of its week; rows for
+ * weeks already in the file replace them, other weeks are kept. A folder
+ * without fuel-history.json gets a new one (the app loads it when present).
+ *
+ * Target folders come from public/data/manifest.json (generate-manifest.js):
+ * every rate version of each carrier below gets the series, so a new tariff
+ * folder only needs a manifest re-run before importing.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const MANIFEST_FILE = path.join(__dirname, 'public/data/manifest.json');
+
+const OUTPUTS = [
+  {
+    id: 'fedex-ground',
+    carrier: 'FedEx Ground',
+    lag_weeks: 2,
+    notes: [
+      'FedEx Ground fuel surcharge changes weekly, using the diesel price published two weeks earlier',
+    ],
+  },
+  {
+    id: 'amazon-shipping',
+    carrier: 'Amazon Shipping',
+    lag_weeks: 2,
+    notes: [
+      'Lag assumed to match FedEx (two weeks) — confirm against the Amazon Shipping fuel terms',
+    ],
+  },
+  {
+    id: 'ups-ground',
+    carrier: 'UPS Ground',
+    lag_weeks: 2,
+    notes: [
+      'UPS Ground fuel surcharge changes weekly, using the diesel price published two weeks earlier',
+    ],
+  },
+];
+
+const SERIES = 'EIA Weekly U.S. No 2 Diesel Retail Prices ($/gal)';
+
+const MIN_PRICE = 1;
+const MAX_PRICE = 10;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// ═══════════════════════════════════════════════════════════
+// CSV PARSING
+// ═══════════════════════════════════════════════════════════
+function splitCsvLine(line) {
+  const cells = [];
+  let cur = '';
+  let quoted = false;
+  for (const ch of line) {
+    if (ch === '"') quoted = !quoted;
+    else if (ch === ',' && !quoted) { cells.push(cur.trim()); cur = ''; }
+    else cur += ch;
+  }
+  cells.push(cur.trim());
+  return cells;
+}
+
+function pad2(n) {
+  return String(n).padStart(2, '0');
+}
+
+/** Returns 'YYYY-MM-DD' or null */
+function parseDate(str) {
+  let m = str.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (m) return toIso(m[1], m[2], m[3]);
+  m = str.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (m) return toIso(m[3], m[1], m[2]);
+  m = str.match(/^([A-Za-z]{3})[a-z]*\.? (\d{1,2}), (\d{4})$/);
+  if (m) {
+    const month = MONTHS.indexOf(m[1].toLowerCase()) + 1;
+    return month ? toIso(m[3], month, m[2]) : null;
+  }
+  return null;
+}
+
+function toIso(y, mo, d) {
+  const date = new Date(Date.UTC(Number(y), Number(mo) - 1, Number(d)));
+  if (isNaN(date) || date.getUTCDate() !== Number(d)) return null;
+  return `${y}-${pad2(mo)}-${pad2(d)}`;
+}
+
+// Same rule as fuelWeekStart() in js/surcharge-rules.js
+function weekStart(iso) {
+  const d = new Date(`${iso}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d.toISOString().slice(0, 10);
+}
+
+function parseSeries(text) {
+  const weeks = new Map();
+  let skipped = 0;
+  text.split(/\r?\n/).forEach(line => {
+    if (!line.trim()) return;
+    const [dateCell, priceCell] = splitCsvLine(line);
+    const date = parseDate(dateCell || '');
+    const price = Number(priceCell);
+    if (!date || priceCell === '' || isNaN(price)) {
+      skipped++;
+      return;
+    }
+    weeks.set(weekStart(date), Math.round(price * 1000) / 1000);
+  });
+  return { weeks, skipped };
+}
+
+// ═══════════════════════════════════════════════════════════
+// VALIDATION
+// ═══════════════════════════════════════════════════════════
+function validate(weeks) {
+  let errors = 0;
+  weeks.forEach((price, week) => {
+    if (price < MIN_PRICE || price > MAX_PRICE) {
+      console.error(`Week ${week}: $${price}/gal outside $${MIN_PRICE}–$${MAX_PRICE}`);
+      errors++;
+    }
+  });
+  return errors;
+}
+
+// ═══════════════════════════════════════════════════════════
+// TARGET FOLDERS
+// ═══════════════════════════════════════════════════════════
+/** Version folders (repo-relative) per carrier id, from manifest.json */
+function manifestDirs() {
+  if (!fs.existsSync(MANIFEST_FILE)) {
+    console.error(`${path.relative(__dirname, MANIFEST_FILE)} not found — run generate-manifest.js first.`);
+    process.exit(1);
+  }
+  const manifest = JSON.parse(fs.readFileSync(MANIFEST_FILE, 'utf8'));
+  const dirs = {};
+  Object.entries(manifest.carriers || {}).forEach(([id, versions]) => {
+    dirs[id] = versions.map(v => v.path);
+  });
+  return dirs;
+}
+
+// ═══════════════════════════════════════════════════════════
+// MAIN
+// ═══════════════════════════════════════════════════════════
+const [csvFile, ...onlyIds] = process.argv.slice(2);
+if (!csvFile) {
+  console.error('Usage: node import-fuel-history.js <diesel.csv> [carrier-id ...]');
+  process.exit(1);
+}
+
+const { weeks, skipped } = parseSeries(fs.readFileSync(csvFile, 'utf8'));
+console.log(`Parsed ${weeks.size} weeks from ${csvFile} (${skipped} non-data lines skipped)`);
+if (weeks.size === 0) {
+  console.error('No dated price rows found.');
+  process.exit(1);
+}
+
+const errors = validate(weeks);
+if (errors > 0) {
+  console.error(`\nTotal errors: ${errors}. Fix before importing.`);
+  process.exit(1);
+}
+
+const dirs = manifestDirs();
+const unknownIds = onlyIds.filter(id => !OUTPUTS.some(out => out.id === id));
+if (unknownIds.length) {
+  console.error(`Unknown carrier id: ${unknownIds.join(', ')} — expected ${OUTPUTS.map(out => out.id).join(', ')}`);
+  process.exit(1);
+}
+
+OUTPUTS
+  .filter(out => onlyIds.length === 0 || onlyIds.includes(out.id))
+  .flatMap(out => {
+    if (!dirs[out.id] || !dirs[out.id].length) console.warn(`  Skipped ${out.id}: no version folder in manifest.json`);
+    return (dirs[out.id] || []).map(dir => ({ ...out, dir }));
+  })
+  .forEach(out => {
+    const filepath = path.join(__dirname, out.dir, 'fuel-history.json');
+    const existing = fs.existsSync(filepath) ? JSON.parse(fs.readFileSync(filepath, 'utf8')) : { weeks: [] };
+
+    const merged = new Map(existing.weeks.map(w => [w.week, w.diesel]));
+    weeks.forEach((price, week) => merged.set(week, price));
+
+    const history = {
+      carrier: out.carrier,
+      series: SERIES,
+      lag_weeks: out.lag_weeks,
+      notes: out.notes,
+      weeks: [...merged.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([week, diesel]) => ({ week, diesel })),
+    };
+
+    fs.writeFileSync(filepath, JSON.stringify(history, null, 2) + '\n');
+    const span = history.weeks.length ? `${history.weeks[0].week} … ${history.weeks[history.weeks.length - 1].week}` : '';
+    console.log(`  Written: ${filepath} (${history.weeks.length} weeks ${span})`);
+  });
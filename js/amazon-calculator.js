@@ -7,7 +7,7 @@
  *  - AHS sub-priority: Weight > Girth > Length > Width > Packaging
  *  - Zone groups for SC: "2", "3-4", "5+" (not per-zone)
  *  - Girth = L + 2*(W+H) — same formula as FedEx "Length+Girth"
- *  - Fuel surcharge: diesel price lookup table (not user-input %)
+ *  - Fuel surcharge: diesel price lookup table only (no manual %)
  *  - No residential delivery charge
  *  - DAS: 3 tiers only (Delivery Area, Extended, Remote) — no AK/HI
  *  - >150 lb: ExtraHeavy flat $1,875 (not proportional rate)
@@ -15,6 +15,7 @@
 
 // ─── Constants ───────────────────────────────────────────────────────
 const AMZN_DIM_DIVISOR = 139;
+const AMZN_DEFAULT_DIM = { divisor: AMZN_DIM_DIVISOR, rounding: 'ceil', source: 'default' };
 const AMZN_KG_TO_LB = 2.2046;
 const AMZN_MAX_TABLE_LB = 150;
 
@@ -28,113 +29,38 @@ function getAmazonZoneGroup(zone, surchargeData) {
 // ─── Fuel Surcharge from Diesel Price ────────────────────────────────
 
 function amazonGetFuelPct(dieselPrice, surchargeData) {
-    const table = surchargeData.fuel_diesel_table;
-    if (!table || !dieselPrice) return 0;
-
-    // Direct table lookup
-    for (const row of table) {
-        if (dieselPrice >= row.min && dieselPrice < row.max) {
-            return row.pct;
-        }
-    }
-
-    // Extension rule: outside table range
-    const ext = surchargeData.fuel_extension_rule;
-    if (!ext) return 0;
-
-    const firstRow = table[0];
-    const lastRow = table[table.length - 1];
-
-    if (dieselPrice < firstRow.min) {
-        // Below table: extend downward
-        let price = firstRow.min;
-        let pct = firstRow.pct;
-        while (price > dieselPrice) {
-            price -= ext.increment_price;
-            pct -= ext.increment_pct;
-        }
-        return Math.max(0, Math.round(pct * 100) / 100);
-    }
-
-    // Above table: extend upward
-    let price = lastRow.max;
-    let pct = lastRow.pct + ext.increment_pct;
-    while (dieselPrice >= price) {
-        price += ext.increment_price;
-        pct += ext.increment_pct;
-    }
-    return Math.round((pct - ext.increment_pct) * 100) / 100;
+    return dieselFuelPct(dieselPrice, surchargeData);
 }
 
 // ─── Surcharge Determination ─────────────────────────────────────────
 
 /**
- * Amazon surcharge hierarchy:
+ * Amazon surcharge hierarchy, evaluated from surchargeData.rules
+ * (2026 thresholds shown):
  *   1. ExtraHeavy: weight > 150 lb OR girth > 165" OR length > 108"
  *   2. LargePackage: girth > 130" OR length > 96" (min billable 90 lb)
- *   3. AHS (sub-priority: Weight > Girth > Length > Width > Packaging):
+ *   3. AHS (sub-priority from rules.ahs_priority: Weight > Dim > Packaging):
  *      - AHS-Wgt: actual weight > 50 lb
- *      - AHS-Dim (girth): girth > 105"
- *      - AHS-Dim (length): length > 47"
- *      - AHS-Dim (width): width > 42"
- *      - AHS-Pkg: non-standard packaging (not auto-detected)
+ *      - AHS-Dim: girth > 105" OR length > 47" OR width > 42"
+ *      - AHS-Pkg: non-standard packaging (per-item `packaging` attribute)
  *   4. NonStandard: length > 37" OR width > 30" OR height > 24"
  *
  * Only the highest-priority fee applies.
+ *
+ * @param {Object} surchargeData - full surcharges.json (rules)
+ * @param {string} [packaging]   - PACKAGING_TYPES key; non-standard → AHS-Pkg
+ * @returns {{ type: string, reason: string, minLb: number|null }}
  */
-function amazonDetermineSurcharge(L_cm, W_cm, H_cm, weightKg) {
-    const dims_cm = [L_cm, W_cm, H_cm].sort((a, b) => b - a);
-    const maxDim_in = cmToInchCeil(dims_cm[0]);
-    const secondDim_in = cmToInchCeil(dims_cm[1]);
-    const thirdDim_in = cmToInchCeil(dims_cm[2]);
-    const girth_in = maxDim_in + 2 * (secondDim_in + thirdDim_in);
-    const actualLb = kgToLb(weightKg);
-
-    // ── ExtraHeavy (highest priority) ──
-    if (actualLb > 150) {
-        return { type: 'ExtraHeavy', reason: `실중량 ${actualLb.toFixed(1)} lb > 150 lb`, minLb: null };
-    }
-    if (girth_in > 165) {
-        return { type: 'ExtraHeavy', reason: `Girth ${girth_in}" > 165"`, minLb: null };
-    }
-    if (maxDim_in > 108) {
-        return { type: 'ExtraHeavy', reason: `최장변 ${maxDim_in}" > 108"`, minLb: null };
-    }
+function amazonDetermineSurcharge(L_cm, W_cm, H_cm, weightKg, surchargeData, packaging) {
+    const metrics = buildPackageMetrics(L_cm, W_cm, H_cm, weightKg, packaging);
+    const hits = evaluateSurchargeRules(surchargeData.rules, metrics);
 
-    // ── LargePackage ──
-    if (girth_in > 130) {
-        return { type: 'LargePkg', reason: `Girth ${girth_in}" > 130"`, minLb: 90 };
-    }
-    if (maxDim_in > 96) {
-        return { type: 'LargePkg', reason: `최장변 ${maxDim_in}" > 96"`, minLb: 90 };
+    if (hits.length === 0) {
+        return { type: 'OK', reason: '모든 조건 충족', minLb: null };
     }
 
-    // ── AHS (sub-priority: Weight > Girth > Length > Width) ──
-    if (actualLb > 50) {
-        return { type: 'AHS-Wgt', reason: `실중량 ${actualLb.toFixed(1)} lb > 50 lb`, minLb: null };
-    }
-    if (girth_in > 105) {
-        return { type: 'AHS-Dim', reason: `Girth ${girth_in}" > 105"`, minLb: null };
-    }
-    if (maxDim_in > 47) {
-        return { type: 'AHS-Dim', reason: `최장변 ${maxDim_in}" > 47"`, minLb: null };
-    }
-    if (secondDim_in > 42) {
-        return { type: 'AHS-Dim', reason: `둘째변 ${secondDim_in}" > 42"`, minLb: null };
-    }
-
-    // ── NonStandard ──
-    if (maxDim_in > 37) {
-        return { type: 'NonStd', reason: `최장변 ${maxDim_in}" > 37"`, minLb: null };
-    }
-    if (secondDim_in > 30) {
-        return { type: 'NonStd', reason: `둘째변 ${secondDim_in}" > 30"`, minLb: null };
-    }
-    if (thirdDim_in > 24) {
-        return { type: 'NonStd', reason: `셋째변 ${thirdDim_in}" > 24"`, minLb: null };
-    }
-
-    return { type: 'OK', reason: '모든 조건 충족', minLb: null };
+    const top = hits[0];
+    return { type: top.key, reason: top.reason, minLb: top.minLb };
 }
 
 // ─── Surcharge Amount ────────────────────────────────────────────────
@@ -176,20 +102,21 @@ function amazonLookupRate(billableLb, zone, rateTable) {
 // ─── Line Item Calculation ───────────────────────────────────────────
 
 /**
- * @param {Object} item - { name, L_cm, W_cm, H_cm, weightKg, qty }
+ * @param {Object} item - { name, L_cm, W_cm, H_cm, weightKg, qty, packaging? }
  * @param {number} zone
  * @param {number} dieselPrice - $/gallon for fuel surcharge lookup
  * @param {string} dasTier - "None"|"Delivery Area"|"Extended Delivery Area"|"Remote Area"
  * @param {Object} rateTable
  * @param {Object} surchargeData - full surcharges.json
+ * @param {Object} [dim] - resolveDimConfig() result (divisor, rounding)
  */
-function amazonCalcLineItem(item, zone, dieselPrice, dasTier, rateTable, surchargeData) {
-    const { L_cm, W_cm, H_cm, weightKg, qty } = item;
+function amazonCalcLineItem(item, zone, dieselPrice, dasTier, rateTable, surchargeData, dim = AMZN_DEFAULT_DIM) {
+    const { L_cm, W_cm, H_cm, weightKg, qty, packaging } = item;
 
     const actualLb = kgToLb(weightKg);
-    const dimLb = calcDimWeight(L_cm, W_cm, H_cm);
+    const dimLb = calcDimWeight(L_cm, W_cm, H_cm, dim);
 
-    const sc = amazonDetermineSurcharge(L_cm, W_cm, H_cm, weightKg);
+    const sc = amazonDetermineSurcharge(L_cm, W_cm, H_cm, weightKg, surchargeData, packaging);
     const billableLb = calcBillableWeight(actualLb, dimLb, sc.minLb);
 
     const baseRate = amazonLookupRate(billableLb, zone, rateTable);
@@ -212,8 +139,13 @@ function amazonCalcLineItem(item, zone, dieselPrice, dasTier, rateTable, surchar
     return {
         name: item.name || '',
         L_cm, W_cm, H_cm, weightKg, qty,
+        packaging: packaging || DEFAULT_PACKAGING,
+        zone, isResidential: false, dasTier: dasTier || 'None',
         actualLb: Math.round(actualLb * 100) / 100,
         dimLb: Math.round(dimLb * 100) / 100,
+        dimDivisor: dim.divisor,
+        dimRounding: dim.rounding,
+        dimSource: dim.source,
         billableLb,
         baseRate: Math.round(baseRate * 100) / 100,
         fuelPct: Math.round(fuelPct * 100) / 100,
@@ -231,10 +163,18 @@ function amazonCalcLineItem(item, zone, dieselPrice, dasTier, rateTable, surchar
 
 // ─── Grand Total ─────────────────────────────────────────────────────
 
-function amazonCalcAll(items, zone, dieselPrice, dasTier, rateTable, surchargeData) {
+/**
+ * zone / dasTier are the order defaults; an item carrying its own
+ * destination (item.zone, item.dasTier) overrides them.
+ */
+function amazonCalcAll(items, zone, dieselPrice, dasTier, rateTable, surchargeData, dim) {
     const lines = items
         .filter(item => item.qty > 0)
-        .map(item => amazonCalcLineItem(item, zone, dieselPrice, dasTier, rateTable, surchargeData));
+        .map(item => amazonCalcLineItem(item,
+            item.zone != null ? item.zone : zone,
+            dieselPrice,
+            item.dasTier != null ? item.dasTier : dasTier,
+            rateTable, surchargeData, dim));
 
     const grandTotal = lines.reduce((s, l) => s + l.lineTotal, 0);
     const rateSubtotal = lines.reduce((s, l) => s + (l.rateSubtotal * l.qty), 0);
@@ -252,6 +192,89 @@ function amazonCalcAll(items, zone, dieselPrice, dasTier, rateTable, surchargeDa
     };
 }
 
+// ─── Carrier Registration ────────────────────────────────────────────
+
+// Unified US DAS tier (UI) → Amazon surcharges.json das key
+const AMAZON_DAS_TIERS = {
+    'None': 'None',
+    'Delivery Area': 'Delivery Area',
+    'Extended': 'Extended Delivery Area',
+    'Remote': 'Remote Area',
+};
+
+// carrierDasTier: Amazon's own tier from the DAS ZIP lookup; else map the unified tier
+function amazonDasTier(unified, carrierDasTier) {
+    return carrierDasTier || AMAZON_DAS_TIERS[unified] || 'None';
+}
+
+/**
+ * Registry entry point.
+ * @param {Object[]} items  - may carry a destination: zone, dasTier (unified), carrierDasTier
+ * @param {Object} settings - { zone, dasTier (unified), carrierDasTier?, dieselPrice, shipDate?,
+ *                             contract? (account discounts, see contract-rules.js) }
+ * @param {Object} data     - { rates, surcharges, ... }
+ */
+function amazonQuote(items, settings, data) {
+    const dasTier = amazonDasTier(settings.dasTier, settings.carrierDasTier);
+    const lineItems = items.map(item => (item.dasTier == null && item.carrierDasTier == null)
+        ? item
+        : { ...item, dasTier: amazonDasTier(item.dasTier, item.carrierDasTier) });
+    const fuel = resolveFuelDiesel(settings, data.fuelHistory);
+    const fuelPct = amazonGetFuelPct(fuel.diesel, data.surcharges);
+    const dim = resolveDimConfig(data.meta, settings.contract, AMZN_DIM_DIVISOR);
+    const price = (d) => amazonCalcAll(lineItems, settings.zone, fuel.diesel,
+        dasTier, data.rates, data.surcharges, d);
+    // List price on the carrier's own DIM terms; a negotiated divisor counts toward the discount
+    const list = dim.source === 'account' ? price(resolveDimConfig(data.meta, null, AMZN_DIM_DIVISOR)) : null;
+    const result = applyContract(price(dim), settings.contract, fuelPct, list);
+    return {
+        ...result,
+        carrier: 'amazon-shipping',
+        currency: 'USD',
+        fuelPct,
+        dim,
+        fuel,
+        lines: CarrierRegistry.indexLines(items, result.lines),
+        components: {
+            rate: result.rateSubtotal,
+            sc: result.scSubtotal,
+            resi: result.residentialSubtotal,
+            das: result.dasSubtotal,
+        },
+    };
+}
+
+if (typeof CarrierRegistry !== 'undefined') {
+    CarrierRegistry.register({
+        id: 'amazon-shipping',
+        name: 'Amazon Shipping',
+        shortName: 'Amazon',
+        country: 'US',
+        currency: 'USD',
+        theme: 'amazon',
+        chartRgb: '59, 130, 246',
+        files: {
+            rates: 'rates.json',
+            surcharges: 'surcharges.json',
+            defaults: 'defaults.json',
+            zones: 'zones.json',
+            meta: 'meta.json',
+        },
+        optionalFiles: {
+            zoneChart: 'zone-chart.json',
+            dasZips: 'das-zips.json',
+            fuelHistory: 'fuel-history.json',
+        },
+        settings: [],
+        note: 'Residential 할증 없음 (항상 Commercial). 연료할증은 공통 경유가격으로 자동 산정',
+        quote: amazonQuote,
+        thresholds: {
+            specs: (line, item, data) => ruleThresholdSpecs(data.surcharges.rules, item),
+            label: (line) => (line.error ? '발송 불가' : line.scType),
+        },
+    });
+}
+
 // ─── Exports ─────────────────────────────────────────────────────────
 
 if (typeof module !== 'undefined' && module.exports) {
@@ -259,7 +282,7 @@ if (typeof module !== 'undefined' && module.exports) {
         getAmazonZoneGroup, amazonGetFuelPct,
         amazonDetermineSurcharge, amazonGetSurchargeAmount,
         amazonGetDasCharge, amazonLookupRate,
-        amazonCalcLineItem, amazonCalcAll,
+        amazonCalcLineItem, amazonCalcAll, amazonQuote,
         AMZN_DIM_DIVISOR, AMZN_KG_TO_LB, AMZN_MAX_TABLE_LB,
     };
 }
@@ -3,10 +3,12 @@
  * 
  * Pure-function calculation engine that mirrors the Excel formulas exactly.
  * V2 changes:
- *  - AHS-Dim vs AHS-Wgt: when both apply, pick the higher $ amount
+ *  - AHS-Dim / AHS-Wgt / AHS-Pkg: when several apply, pick the higher $ amount
  *  - Residential Delivery Charge ($5.95/pkg if residential)
  *  - Delivery Area Surcharge (DAS) per tier
  *  - Total = (base + fuel) + SC + Residential + DAS  per pkg × qty
+ *  - Fuel %: manual % until FedEx's published diesel table is imported as
+ *    surcharges.json fuel_diesel_table; then weekly diesel price → table
  */
 
 // ─── Constants ───────────────────────────────────────────────────────
@@ -30,98 +32,110 @@ function mmToInchCeil(mm) {
 
 // ─── DIM Weight ──────────────────────────────────────────────────────
 
-function calcDimWeight(L_cm, W_cm, H_cm) {
-    const L_in = cmToInchCeil(L_cm);
-    const W_in = cmToInchCeil(W_cm);
-    const H_in = cmToInchCeil(H_cm);
-    return (L_in * W_in * H_in) / DIM_DIVISOR;
+// How each side is turned into inches before L×W×H (meta.json / contract "dim_rounding")
+const DIM_ROUNDING = {
+    ceil: { label: '각 변 올림', toInch: cmToInchCeil },
+    round: { label: '각 변 반올림', toInch: (cm) => Math.round(cm / 2.54) },
+    none: { label: '반올림 없음', toInch: (cm) => cm / 2.54 },
+};
+
+const DEFAULT_DIM = { divisor: DIM_DIVISOR, rounding: 'ceil', source: 'default' };
+
+/**
+ * DIM settings for one quote: account contract > carrier meta.json > engine default.
+ * @param {Object} [meta]     - carrier meta.json (dim_divisor, dim_rounding)
+ * @param {Object} [contract] - account contract (dim_divisor, dim_rounding)
+ * @param {number} [fallbackDivisor] - the engine's own constant
+ * @returns {{ divisor, rounding, source: 'account'|'carrier'|'default' }}
+ */
+function resolveDimConfig(meta, contract, fallbackDivisor = DIM_DIVISOR) {
+    const pick = (key) => {
+        if (contract && contract[key] != null) return { value: contract[key], source: 'account' };
+        if (meta && meta[key] != null) return { value: meta[key], source: 'carrier' };
+        return { value: null, source: 'default' };
+    };
+    const divisor = pick('dim_divisor');
+    const rounding = pick('dim_rounding');
+    const sources = [divisor.source, rounding.source];
+    return {
+        divisor: divisor.value || fallbackDivisor,
+        rounding: DIM_ROUNDING[rounding.value] ? rounding.value : 'ceil',
+        source: sources.includes('account') ? 'account' : sources.includes('carrier') ? 'carrier' : 'default',
+    };
+}
+
+/**
+ * @param {Object} [dim] - resolveDimConfig() result; default ÷139 with each side rounded up
+ */
+function calcDimWeight(L_cm, W_cm, H_cm, dim = DEFAULT_DIM) {
+    const toInch = (DIM_ROUNDING[dim.rounding] || DIM_ROUNDING.ceil).toInch;
+    const L_in = toInch(L_cm);
+    const W_in = toInch(W_cm);
+    const H_in = toInch(H_cm);
+    return (L_in * W_in * H_in) / dim.divisor;
 }
 
 // ─── Surcharge Determination (V2) ────────────────────────────────────
 
+// surcharges.json rule keys → engine scType
+const FEDEX_RULE_TYPES = {
+    'Unauthorized': 'Unauth',
+};
+
+function fedexRuleType(key) {
+    return FEDEX_RULE_TYPES[key] || key;
+}
+
 /**
- * Determine surcharge type.
- * Priority: Unauthorized > Oversize > (AHS-Dim or AHS-Wgt highest $) > OK
- * 
- * V2 change: When BOTH AHS-Dim and AHS-Wgt conditions are true,
- * compare their dollar amounts for the given zone and pick the higher one.
+ * Determine surcharge type from surchargeData.rules.
+ * Priority follows rules.priority_order (2025: Unauthorized > Oversize > AHS > OK).
+ * Other US ground engines pass their own terms (see FEDEX_GROUND_TERMS).
+ *
+ * V2 change: When several AHS rules apply and rules.rule is
+ * "highest_amount_when_both_ahs", compare their dollar amounts for the
+ * given zone and pick the higher one.
  * (2025: AHS-Wgt is more expensive in most zones.)
- * 
+ *
  * @param {number} L_cm
  * @param {number} W_cm
  * @param {number} H_cm
  * @param {number} weightKg
- * @param {number} zone        - needed for AHS amount comparison
- * @param {Object} scAmounts   - zone-keyed surcharge amounts
+ * @param {number} zone          - needed for AHS amount comparison
+ * @param {Object} surchargeData - full surcharges.json (amounts, rules)
+ * @param {string} [packaging]   - PACKAGING_TYPES key; non-standard → AHS-Pkg
+ * @param {Object} [terms]       - carrier ground terms; default FedEx
  * @returns {{ type: string, reason: string, minLb: number|null }}
  */
-function determineSurcharge(L_cm, W_cm, H_cm, weightKg, zone, scAmounts) {
-    const dims_cm = [L_cm, W_cm, H_cm].sort((a, b) => b - a);
-    const maxDim_cm = dims_cm[0];
-    const secondDim_cm = dims_cm[1];
-    const thirdDim_cm = dims_cm[2];
-
-    const maxDim_in = cmToInchCeil(maxDim_cm);
-    const secondDim_in = cmToInchCeil(secondDim_cm);
-    const thirdDim_in = cmToInchCeil(thirdDim_cm);
-
-    const lengthGirth_in = maxDim_in + 2 * (secondDim_in + thirdDim_in);
-    const actualLb = kgToLb(weightKg);
-
-    // ── Unauthorized (highest priority) ──
-    if (weightKg > 68) {
-        return { type: 'Unauth', reason: `실중량 ${actualLb.toFixed(1)} lb > 150 lb ✗`, minLb: 90 };
-    }
-    if (maxDim_in > 108) {
-        return { type: 'Unauth', reason: `최장변 ${maxDim_in} in > 108 in ✗`, minLb: 90 };
-    }
-    if (lengthGirth_in > 165) {
-        return { type: 'Unauth', reason: `L+Girth ${lengthGirth_in} in > 165 in ✗`, minLb: 90 };
-    }
-
-    // ── Oversize ──
-    if (maxDim_in > 96) {
-        return { type: 'Oversize', reason: `최장변 ${maxDim_in} in > 96 in ✗`, minLb: 90 };
-    }
-    if (lengthGirth_in > 130) {
-        return { type: 'Oversize', reason: `L+Girth ${lengthGirth_in} in > 130 in ✗`, minLb: 90 };
-    }
+function determineSurcharge(L_cm, W_cm, H_cm, weightKg, zone, surchargeData, packaging, terms = FEDEX_GROUND_TERMS) {
+    const rules = surchargeData.rules;
+    const metrics = buildPackageMetrics(L_cm, W_cm, H_cm, weightKg, packaging);
+    const hits = evaluateSurchargeRules(rules, metrics);
 
-    // ── AHS checks (V2: compare amounts when both apply) ──
-    const isAhsDim = (maxDim_in > 48) || (secondDim_in > 30);
-    // Also check L+Girth > 105 for AHS-Dim (use sorted dims, same as Oversize/Unauth)
-    const lgInch = maxDim_in + 2 * (secondDim_in + thirdDim_in);
-    const isAhsDimLG = (lgInch > 105);
-    const ahsDimTriggered = isAhsDim || isAhsDimLG;
-
-    const isAhsWgt = (weightKg > 22.68); // >50 lb
-
-    if (ahsDimTriggered && isAhsWgt) {
-        // Both conditions met → compare amounts, pick higher
-        const zoneData = scAmounts[String(zone)] || {};
-        const dimAmt = zoneData['AHS-Dim'] || 0;
-        const wgtAmt = zoneData['AHS-Weight'] || 0;
-
-        if (wgtAmt >= dimAmt) {
-            return { type: 'AHS-Wgt', reason: `Dim+Wgt 동시 → Wgt($${wgtAmt}) ≥ Dim($${dimAmt})`, minLb: null };
-        } else {
-            return { type: 'AHS-Dim', reason: `Dim+Wgt 동시 → Dim($${dimAmt}) > Wgt($${wgtAmt})`, minLb: 40 };
-        }
+    if (hits.length === 0) {
+        return { type: 'OK', reason: '모든 조건 충족 ✓', minLb: null };
     }
 
-    if (ahsDimTriggered) {
-        let reason;
-        if (maxDim_in > 48) reason = `최장변 ${maxDim_in} in > 48 in ✗`;
-        else if (secondDim_in > 30) reason = `2번째변 ${secondDim_in} in > 30 in ✗`;
-        else reason = `L+Girth ${lgInch} in > 105 in ✗`;
-        return { type: 'AHS-Dim', reason, minLb: 40 };
+    const isAhs = (hit) => hit.key.startsWith('AHS');
+    const ahsHits = hits.filter(isAhs);
+
+    if (rules.rule === 'highest_amount_when_both_ahs' && isAhs(hits[0]) && ahsHits.length > 1) {
+        // Several AHS conditions met → compare amounts, pick higher
+        const scored = ahsHits.map(h => ({
+            ...h,
+            amount: terms.surchargeAmount(terms.ruleType(h.key), zone, surchargeData),
+        }));
+        const best = scored.reduce((a, b) => (b.amount >= a.amount ? b : a));
+        const short = (h) => h.key.replace('AHS-', '');
+        const others = scored.filter(h => h !== best).map(h => `${short(h)}($${h.amount})`).join(', ');
+        return {
+            type: terms.ruleType(best.key),
+            reason: `${scored.map(short).join('+')} 동시 → ${short(best)}($${best.amount}) ≥ ${others}`,
+            minLb: best.minLb,
+        };
     }
 
-    if (isAhsWgt) {
-        return { type: 'AHS-Wgt', reason: `실중량 ${actualLb.toFixed(1)} lb > 50 lb ✗`, minLb: null };
-    }
-
-    return { type: 'OK', reason: '모든 조건 충족 ✓', minLb: null };
+    const top = hits[0];
+    return { type: terms.ruleType(top.key), reason: `${top.reason} ✗`, minLb: top.minLb };
 }
 
 // ─── Billable Weight ─────────────────────────────────────────────────
@@ -159,6 +173,7 @@ function getSurchargeAmount(scType, zone, scAmounts) {
     const typeMap = {
         'AHS-Dim': 'AHS-Dim',
         'AHS-Wgt': 'AHS-Weight',
+        'AHS-Pkg': 'AHS-Pkg',
         'Oversize': 'Oversize',
         'Unauth': 'Unauthorized',
     };
@@ -182,39 +197,59 @@ function getDasCharge(dasTier, isResidential, surchargeData) {
     return dasTable[dasTier][key] || 0;
 }
 
+// ─── Carrier Ground Terms ────────────────────────────────────────────
+
+/**
+ * What differs between US ground carriers priced as (base + fuel) + SC +
+ * Residential + DAS with rules from surcharges.json. UPS passes its own.
+ *   ruleType(key)                           - rule key → scType
+ *   surchargeAmount(scType, zone, surchargeData)
+ *   lookupRate(billableLb, zone, rateTable)
+ *   residentialCharge(isResidential, surchargeData)
+ *   dasCharge(dasTier, isResidential, surchargeData)
+ */
+const FEDEX_GROUND_TERMS = {
+    ruleType: fedexRuleType,
+    surchargeAmount: (scType, zone, surchargeData) => getSurchargeAmount(scType, zone, surchargeData.amounts),
+    lookupRate,
+    residentialCharge: getResidentialCharge,
+    dasCharge: getDasCharge,
+};
+
 // ─── Line Item Calculation (V2) ──────────────────────────────────────
 
 /**
- * @param {Object} item - { name, L_cm, W_cm, H_cm, weightKg, qty }
+ * @param {Object} item - { name, L_cm, W_cm, H_cm, weightKg, qty, packaging? }
  * @param {number} zone
  * @param {number} fuelPct
  * @param {boolean} isResidential
  * @param {string} dasTier - "None"|"Base"|"Extended"|"Remote"|"Alaska"|"Hawaii"|"Intra-Hawaii"
  * @param {Object} rateTable
  * @param {Object} surchargeData - full surcharges.json (amounts, residential, das)
+ * @param {Object} [dim] - resolveDimConfig() result (divisor, rounding)
+ * @param {Object} [terms] - carrier ground terms; default FedEx
  */
-function calcLineItem(item, zone, fuelPct, isResidential, dasTier, rateTable, surchargeData) {
-    const { L_cm, W_cm, H_cm, weightKg, qty } = item;
-    const scAmounts = surchargeData.amounts;
+function calcLineItem(item, zone, fuelPct, isResidential, dasTier, rateTable, surchargeData, dim = DEFAULT_DIM, terms = FEDEX_GROUND_TERMS) {
+    const { L_cm, W_cm, H_cm, weightKg, qty, packaging } = item;
 
     const actualLb = kgToLb(weightKg);
-    const dimLb = calcDimWeight(L_cm, W_cm, H_cm);
+    const dimLb = calcDimWeight(L_cm, W_cm, H_cm, dim);
 
-    // V2: pass zone & scAmounts for AHS comparison
-    const sc = determineSurcharge(L_cm, W_cm, H_cm, weightKg, zone, scAmounts);
+    // V2: pass zone & surcharge data for rule evaluation + AHS comparison
+    const sc = determineSurcharge(L_cm, W_cm, H_cm, weightKg, zone, surchargeData, packaging, terms);
 
     const billableLb = calcBillableWeight(actualLb, dimLb, sc.minLb);
-    const baseRate = lookupRate(billableLb, zone, rateTable);
+    const baseRate = terms.lookupRate(billableLb, zone, rateTable);
 
     // Fuel surcharge on base rate only
     const fuelAmount = baseRate * (fuelPct / 100);
     const rateSubtotal = baseRate + fuelAmount;
 
-    const scAmount = getSurchargeAmount(sc.type, zone, scAmounts);
+    const scAmount = terms.surchargeAmount(sc.type, zone, surchargeData);
 
     // V2: Residential + DAS
-    const residentialCharge = getResidentialCharge(isResidential, surchargeData);
-    const dasCharge = getDasCharge(dasTier, isResidential, surchargeData);
+    const residentialCharge = terms.residentialCharge(isResidential, surchargeData);
+    const dasCharge = terms.dasCharge(dasTier, isResidential, surchargeData);
 
     // V2 total: (base+fuel) + SC + Residential + DAS
     const perPkgTotal = rateSubtotal + scAmount + residentialCharge + dasCharge;
@@ -223,8 +258,13 @@ function calcLineItem(item, zone, fuelPct, isResidential, dasTier, rateTable, su
     return {
         name: item.name || '',
         L_cm, W_cm, H_cm, weightKg, qty,
+        packaging: packaging || DEFAULT_PACKAGING,
+        zone, isResidential: !!isResidential, dasTier: dasTier || 'None',
         actualLb: Math.round(actualLb * 100) / 100,
         dimLb: Math.round(dimLb * 100) / 100,
+        dimDivisor: dim.divisor,
+        dimRounding: dim.rounding,
+        dimSource: dim.source,
         billableLb,
         baseRate: Math.round(baseRate * 100) / 100,
         fuelAmount: Math.round(fuelAmount * 100) / 100,
@@ -241,12 +281,20 @@ function calcLineItem(item, zone, fuelPct, isResidential, dasTier, rateTable, su
 
 // ─── Grand Total (V2) ────────────────────────────────────────────────
 
-function calcAll(items, zone, fuelPct, isResidential, dasTier, rateTable, surchargeData) {
-    const scAmounts = surchargeData.amounts;
-
+/**
+ * zone / isResidential / dasTier are the order defaults; an item carrying its
+ * own destination (item.zone, item.isResidential, item.dasTier) overrides them.
+ * terms: carrier ground terms (default FedEx, see FEDEX_GROUND_TERMS).
+ */
+function calcAll(items, zone, fuelPct, isResidential, dasTier, rateTable, surchargeData, dim, terms) {
     const lines = items
         .filter(item => item.qty > 0)
-        .map(item => calcLineItem(item, zone, fuelPct, isResidential, dasTier, rateTable, surchargeData));
+        .map(item => calcLineItem(item,
+            item.zone != null ? item.zone : zone,
+            fuelPct,
+            item.isResidential != null ? item.isResidential : isResidential,
+            item.dasTier != null ? item.dasTier : dasTier,
+            rateTable, surchargeData, dim, terms));
 
     const grandTotal = lines.reduce((s, l) => s + l.lineTotal, 0);
     const rateSubtotal = lines.reduce((s, l) => s + (l.rateSubtotal * l.qty), 0);
@@ -264,15 +312,125 @@ function calcAll(items, zone, fuelPct, isResidential, dasTier, rateTable, surcha
     };
 }
 
+// ─── Carrier Registration ────────────────────────────────────────────
+
+// Unified US DAS tier (UI) → FedEx surcharges.json das key
+const FEDEX_DAS_TIERS = {
+    'None': 'None',
+    'Delivery Area': 'Base',
+    'Extended': 'Extended',
+    'Remote': 'Remote',
+};
+
+// carrierDasTier: FedEx's own tier from the DAS ZIP lookup; else map the unified tier
+function fedexDasTier(unified, carrierDasTier) {
+    return carrierDasTier || FEDEX_DAS_TIERS[unified] || 'None';
+}
+
+// The typed-in % unless the user turned it off and a diesel table is on file
+function fedexFuelManual(settings, surchargeData) {
+    return !!settings.fuelManual || !surchargeData.fuel_diesel_table;
+}
+
+// fuel: resolveFuelDiesel() result (ship-date history); defaults to settings.dieselPrice
+function fedexGetFuelPct(settings, surchargeData, fuel) {
+    if (fedexFuelManual(settings, surchargeData)) return settings.fuelPct || 0;
+    return dieselFuelPct(fuel ? fuel.diesel : settings.dieselPrice, surchargeData);
+}
+
+/**
+ * Registry entry point.
+ * @param {Object[]} items  - may carry a destination: zone, isResidential, dasTier (unified), carrierDasTier
+ * @param {Object} settings - { zone, dasTier (unified), carrierDasTier?, dieselPrice, shipDate?, fuelManual, fuelPct, isResidential,
+ *                             contract? (account discounts, see contract-rules.js) }
+ * @param {Object} data     - { rates, surcharges, ... }
+ */
+function fedexQuote(items, settings, data) {
+    const dasTier = fedexDasTier(settings.dasTier, settings.carrierDasTier);
+    const lineItems = items.map(item => (item.dasTier == null && item.carrierDasTier == null)
+        ? item
+        : { ...item, dasTier: fedexDasTier(item.dasTier, item.carrierDasTier) });
+    const fuel = resolveFuelDiesel(settings, data.fuelHistory);
+    const fuelPct = fedexGetFuelPct(settings, data.surcharges, fuel);
+    const dim = resolveDimConfig(data.meta, settings.contract);
+    const price = (d) => calcAll(lineItems, settings.zone, fuelPct, settings.isResidential,
+        dasTier, data.rates, data.surcharges, d);
+    // List price on the carrier's own DIM terms; a negotiated divisor counts toward the discount
+    const list = dim.source === 'account' ? price(resolveDimConfig(data.meta, null)) : null;
+    const result = applyContract(price(dim), settings.contract, fuelPct, list);
+    return {
+        ...result,
+        carrier: 'fedex-ground',
+        currency: 'USD',
+        fuelPct,
+        dim,
+        fuel: fedexFuelManual(settings, data.surcharges) ? { ...fuel, source: 'manual' } : fuel,
+        lines: CarrierRegistry.indexLines(items, result.lines),
+        components: {
+            rate: result.rateSubtotal,
+            sc: result.scSubtotal,
+            resi: result.residentialSubtotal,
+            das: result.dasSubtotal,
+        },
+    };
+}
+
+if (typeof CarrierRegistry !== 'undefined') {
+    CarrierRegistry.register({
+        id: 'fedex-ground',
+        name: 'FedEx Ground',
+        shortName: 'FedEx',
+        country: 'US',
+        currency: 'USD',
+        theme: 'fedex',
+        chartRgb: '34, 197, 94',
+        files: {
+            rates: 'rates.json',
+            surcharges: 'surcharges.json',
+            defaults: 'defaults.json',
+            zones: 'zones.json',
+            meta: 'meta.json',
+        },
+        optionalFiles: {
+            zoneChart: 'zone-chart.json',
+            dasZips: 'das-zips.json',
+            fuelHistory: 'fuel-history.json',
+        },
+        settings: [
+            {
+                key: 'fuelManual', type: 'checkbox', label: '연료할증 수동 입력',
+                tip: '체크 시 아래 % 값을 그대로 사용. 해제 시 공통 경유가격으로 FedEx 주간 연료할증표에서 자동 산정 — 표(surcharges.json fuel_diesel_table)를 가져오기 전까지는 항상 수동 %',
+                default: (data) => !data.surcharges.fuel_diesel_table,
+            },
+            {
+                key: 'fuelPct', type: 'number', label: '연료할증 (%, 수동)',
+                tip: '기본운임에 추가되는 유류비 비율. "연료할증 수동 입력" 체크 시에만 적용',
+                default: (data) => data.defaults.fuel_pct || 0,
+                min: 0, max: 100, step: 0.1,
+            },
+            {
+                key: 'isResidential', type: 'checkbox', label: 'Residential 배송',
+                tip: '주거지 배송 할증 (FedEx $5.95/개). Residential 할증이 있는 배송사에 적용 (Amazon은 Residential 할증 없음)',
+                default: false,
+            },
+        ],
+        quote: fedexQuote,
+        thresholds: {
+            specs: (line, item, data) => ruleThresholdSpecs(data.surcharges.rules, item),
+            label: (line) => (line.error ? '발송 불가' : line.scType),
+        },
+    });
+}
+
 // ─── Exports ─────────────────────────────────────────────────────────
 
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         cmToInchCeil, kgToLb, mmToInchCeil,
-        calcDimWeight, determineSurcharge, calcBillableWeight,
+        calcDimWeight, resolveDimConfig, determineSurcharge, calcBillableWeight,
         lookupRate, getSurchargeAmount,
         getResidentialCharge, getDasCharge,
-        calcLineItem, calcAll,
-        DIM_DIVISOR, KG_TO_LB, MAX_TABLE_LB,
+        calcLineItem, calcAll, fedexGetFuelPct, fedexQuote,
+        FEDEX_GROUND_TERMS, DIM_DIVISOR, DIM_ROUNDING, KG_TO_LB, MAX_TABLE_LB,
     };
 }
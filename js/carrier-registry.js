@@ -0,0 +1,142 @@
+/**
+ * Carrier Registry — every carrier engine registers itself here.
+ * UI.init unregisters the ones with no rate version in manifest.json, so an
+ * engine stays out of the tabs until its tables are on disk.
+ *
+ * A carrier definition declares:
+ *   id        - 'fedex-ground', 'amazon-shipping', 'yamato', ...
+ *   name      - display name; shortName for tight columns
+ *   country   - tab it belongs to ('US' | 'JP')
+ *   currency  - 'USD' | 'JPY'
+ *   theme     - CSS class prefix (th-<theme>, <theme>-cell, <theme>-col)
+ *   chartRgb  - "r, g, b" used for chart colors
+ *   dataPath  - optional fixed data folder; normally the folder comes from
+ *               public/data/manifest.json by ship date (see DataLoader)
+ *   files     - { key: filename } → loaded data object has the same keys
+ *   optionalFiles - { key: filename } loaded when the version folder has
+ *               them (imported carrier data such as zone charts); the key
+ *               is null otherwise
+ *   settings  - carrier-specific settings schema (see below)
+ *   note      - optional one-liner shown under the carrier's settings
+ *   quote(items, settings, data) → normalized result
+ *   thresholds - optional { specs(line, item, data), label(line) } for
+ *               size / surcharge proximity hints (see threshold-hints.js)
+ *
+ * Settings schema entry:
+ *   { key, type: 'number'|'select'|'checkbox'|'multi'|'group', label, tip?,
+ *     default: value | (data) => value, options?: (data) => [{ value, label }],
+ *     min?, max?, step? }
+ *   'group' holds a { key: value } object the carrier's own UI renders.
+ *
+ * Normalized quote result:
+ *   { carrier, currency, lines, grandTotal, components: { key: amount },
+ *     listTotal?, contractDiscount? }   (US engines: before / off account contract)
+ *   Each line carries itemIndex (position in the items passed to quote).
+ */
+
+const CarrierRegistry = (() => {
+    const REQUIRED = ['id', 'name', 'country', 'currency', 'files', 'quote'];
+
+    const _carriers = [];
+
+    function register(def) {
+        REQUIRED.forEach(key => {
+            if (def[key] == null) throw new Error(`Carrier definition missing "${key}"`);
+        });
+        const carrier = { shortName: def.name, theme: def.id, settings: [], ...def };
+        const existing = _carriers.findIndex(c => c.id === def.id);
+        if (existing >= 0) {
+            _carriers[existing] = carrier;
+        } else {
+            _carriers.push(carrier);
+        }
+        return carrier;
+    }
+
+    function unregister(id) {
+        const index = _carriers.findIndex(c => c.id === id);
+        if (index >= 0) _carriers.splice(index, 1);
+    }
+
+    function get(id) {
+        const carrier = _carriers.find(c => c.id === id);
+        if (!carrier) throw new Error(`Unknown carrier: ${id}`);
+        return carrier;
+    }
+
+    function has(id) {
+        return _carriers.some(c => c.id === id);
+    }
+
+    function list(country) {
+        return country ? _carriers.filter(c => c.country === country) : _carriers.slice();
+    }
+
+    function quote(id, items, settings, data) {
+        return get(id).quote(items, settings, data);
+    }
+
+    /**
+     * quote() plus line.hints — distance to each nearby threshold and what
+     * crossing it saves or costs. Re-quotes every line per threshold, so only
+     * the result tables use it.
+     */
+    function quoteWithHints(id, items, settings, data) {
+        const carrier = get(id);
+        const result = carrier.quote(items, settings, data);
+        if (!carrier.thresholds || typeof attachThresholdHints !== 'function') return result;
+        return { ...result, lines: attachThresholdHints(carrier, items, result.lines, settings, data) };
+    }
+
+    // ─── Settings Schema Helpers ────────────────────────────────────
+
+    function resolveDefault(field, data) {
+        return typeof field.default === 'function' ? field.default(data) : field.default;
+    }
+
+    /**
+     * Fill missing carrier settings in `settings` from the schema defaults.
+     * Existing values are kept, so this doubles as state migration.
+     */
+    function applyDefaults(id, settings, data) {
+        get(id).settings.forEach(field => {
+            if (settings[field.key] == null) settings[field.key] = resolveDefault(field, data);
+        });
+        return settings;
+    }
+
+    // ─── Result Helpers ─────────────────────────────────────────────
+
+    /**
+     * Engines drop qty 0 items; map each line back to its input position.
+     */
+    function indexLines(items, lines) {
+        const active = items.map((_, i) => i).filter(i => items[i].qty > 0);
+        return lines.map((line, k) => ({ ...line, itemIndex: active[k] }));
+    }
+
+    /**
+     * Totals over the items every quote can ship, so carriers that block
+     * different lines still compare like for like.
+     * @param {Object[]} quotes - normalized results for the same items
+     * @returns {{ totals: number[], lines: number, qty: number }} totals in quotes order
+     */
+    function commonTotals(quotes) {
+        const shippable = quotes.map(q => new Set(q.lines.filter(l => !l.error).map(l => l.itemIndex)));
+        const common = new Set([...shippable[0]].filter(i => shippable.every(s => s.has(i))));
+        const inCommon = (q) => q.lines.filter(l => common.has(l.itemIndex));
+        return {
+            totals: quotes.map(q => Math.round(inCommon(q).reduce((s, l) => s + l.lineTotal, 0) * 100) / 100),
+            lines: common.size,
+            qty: inCommon(quotes[0]).reduce((s, l) => s + l.qty, 0),
+        };
+    }
+
+    return {
+        register, unregister, get, has, list, quote, quoteWithHints, applyDefaults, resolveDefault, indexLines, commonTotals,
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CarrierRegistry };
+}
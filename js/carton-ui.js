@@ -0,0 +1,431 @@
+/**
+ * Carton UI — 박스 최적화 (cartonizer) modal.
+ * Packs the selected rows of the shared items table into cartons from the
+ * local carton catalog and prices the packing under every carrier through the
+ * tab modules' quoteFor() hooks (UI / JapanUI / KoreaUI). The chosen carrier's
+ * boxes replace the packed rows in the items table.
+ * Depends on: cartonizer.js, CarrierRegistry, Storage, UI.
+ */
+
+const CartonUI = (() => {
+  const CURRENCY_SYMBOLS = { USD: '$', JPY: '¥', KRW: '₩' };
+
+  const CATALOG_FIELDS = [
+    ['name', 'text'], ['L_mm', 'number'], ['W_mm', 'number'], ['H_mm', 'number'],
+    ['wall_mm', 'number'], ['tareKg', 'number'], ['maxKg', 'number'],
+  ];
+
+  let catalog = [];
+  let selected = new Set();   // item ids to pack
+  let plans = [];             // one per carrier, see planCarrier()
+  let activeCarrier = null;
+
+  // ─── Utilities ──────────────────────────────────────────────────
+
+  function escHtml(str) {
+    if (str == null || str === '') return '';
+    return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+                      .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+  }
+
+  function fmtMoney(n, currency) {
+    const symbol = CURRENCY_SYMBOLS[currency] || '';
+    if (currency === 'USD') {
+      return symbol + n.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    }
+    return symbol + Math.round(n).toLocaleString('ja-JP');
+  }
+
+  function fmtDiff(n, currency) {
+    const zero = currency === 'USD' ? 0.005 : 0.5;
+    if (Math.abs(n) < zero) return fmtMoney(0, currency);
+    return (n > 0 ? '+' : '-') + fmtMoney(Math.abs(n), currency);
+  }
+
+  function diffClass(diff) {
+    return diff > 0.005 ? 'diff-positive' : diff < -0.005 ? 'diff-negative' : 'diff-zero';
+  }
+
+  function dimsLabel(obj) {
+    return `${Math.round(obj.L_mm)}×${Math.round(obj.W_mm)}×${Math.round(obj.H_mm)}`;
+  }
+
+  // ─── Initialization ─────────────────────────────────────────────
+
+  function init() {
+    catalog = Storage.loadCartonCatalog() || DEFAULT_CARTONS.map(c => ({ ...c }));
+    document.getElementById('btn-cartonize').addEventListener('click', open);
+  }
+
+  // Tab module that prices a carrier's country
+  function tabModule(country) {
+    if (country === 'US') return typeof UI !== 'undefined' ? UI : null;
+    if (country === 'JP') return typeof JapanUI !== 'undefined' ? JapanUI : null;
+    if (country === 'KR') return typeof KoreaUI !== 'undefined' ? KoreaUI : null;
+    return null;
+  }
+
+  function activeItems() {
+    return UI.getItems().filter(item => item.qty > 0);
+  }
+
+  // Pre-select rows that fit some carton — larger rows are usually already packed
+  function defaultSelection() {
+    return new Set(activeItems()
+      .filter(item => catalog.some(c => cartonFitsUnit(c, item)))
+      .map(item => item.id));
+  }
+
+  // ─── Planning ───────────────────────────────────────────────────
+
+  // Items-table row for one box; codAmount is what the whole box collects
+  function packageRow(pkg, contents, count, destId, codAmount) {
+    const name = pkg.carton
+      ? `${pkg.carton.name}: ${contents.map(c => `${c.name || '품목'}×${c.qty}`).join(', ')}`
+      : pkg.contents[0].unit.name;
+    return {
+      name,
+      L_mm: pkg.L_mm,
+      W_mm: pkg.W_mm,
+      H_mm: pkg.H_mm,
+      weightKg: pkg.weightKg,
+      qty: count,
+      packaging: pkg.carton ? DEFAULT_PACKAGING : pkg.packaging,
+      destId,
+      codAmount,
+    };
+  }
+
+  // Rows packed together share a destination and a per-package COD amount
+  function packingGroups(items) {
+    const groups = new Map();
+    items.forEach(item => {
+      const key = `${item.destId || ''}|${item.codAmount == null ? '' : item.codAmount}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(item);
+    });
+    return [...groups.values()];
+  }
+
+  function blockedCount(quote) {
+    return quote.lines.filter(l => l.error).length;
+  }
+
+  /**
+   * @returns {{ carrier, rows, boxes, loose, total, blocked, current, currentBlocked, packages } | null}
+   *   total / current: the packing and the rows as they are, quoted together
+   */
+  function planCarrier(carrier, items) {
+    const mod = tabModule(carrier.country);
+    if (!mod || !mod.quoteFor) return null;
+
+    // Boxes never mix destinations or COD amounts
+    const result = { carrier, rows: [], packages: [], boxes: 0, loose: 0, total: 0, blocked: 0, current: 0, currentBlocked: 0 };
+
+    for (const group of packingGroups(items)) {
+      const destId = group[0].destId || '';
+      const quote = mod.quoteFor(carrier.id, destId);
+      if (!quote) return null;
+
+      // A box collects the COD of every unit in it (rows without one keep the shipment default)
+      const unitCod = group[0].codAmount;
+      const boxCod = (pkg) => (unitCod == null ? null : unitCod * pkg.contents.reduce((s, c) => s + c.count, 0));
+
+      // Boxes of the same size, weight and COD cost the same — quote each shape once
+      const costs = new Map();
+      const cost = (pkg) => {
+        const row = packageRow(pkg, [], 1, destId, boxCod(pkg));
+        const key = [row.L_mm, row.W_mm, row.H_mm, row.weightKg, row.packaging, row.codAmount].join('|');
+        if (!costs.has(key)) {
+          const q = quote([row]);
+          costs.set(key, q.lines.length && !q.lines[0].error ? q.grandTotal : null);
+        }
+        return costs.get(key);
+      };
+      const plan = cartonPlan(group, catalog, cost);
+
+      const grouped = cartonGroupPackages(plan.packages);
+      const rows = grouped.map(g => packageRow(g.package, g.contents, g.count, destId, boxCod(g.package)));
+      const planQuote = quote(rows);
+      const currentQuote = quote(group);
+
+      result.rows.push(...rows);
+      result.packages.push(...grouped);
+      result.boxes += plan.packages.filter(p => p.carton).reduce((s, p) => s + p.count, 0);
+      result.loose += plan.packages.filter(p => !p.carton).reduce((s, p) => s + p.count, 0);
+      result.total += planQuote.grandTotal;
+      result.blocked += blockedCount(planQuote);
+      result.current += currentQuote.grandTotal;
+      result.currentBlocked += blockedCount(currentQuote);
+    }
+    return result;
+  }
+
+  function runPlans() {
+    const items = activeItems().filter(item => selected.has(item.id));
+    if (!items.length || validateCartonCatalog(catalog).length) {
+      plans = [];
+      return;
+    }
+    plans = CarrierRegistry.list()
+      .map(c => planCarrier(c, items))
+      .filter(Boolean);
+    if (!plans.some(p => p.carrier.id === activeCarrier)) {
+      activeCarrier = plans.length ? plans[0].carrier.id : null;
+    }
+  }
+
+  // ─── Modal ──────────────────────────────────────────────────────
+
+  function open() {
+    selected = defaultSelection();
+    runPlans();
+
+    const modal = document.getElementById('modal-content');
+    modal.classList.add('modal--wide');
+    modal.innerHTML = `
+  <div class="help-modal carton-modal">
+    <h3>📦 박스 최적화</h3>
+    <p class="carton-intro">선택한 품목을 박스 카탈로그의 박스에 나눠 담고, 배송사별로 총 배송비가 가장 낮은 포장안을 제안합니다.
+      FedEx 청구중량·AHS, Amazon NonStd·AHS, 야마토 사이즈 등급 등은 각 배송사 계산 엔진과 현재 탭 설정으로 그대로 계산합니다.
+      부피 기준 추정(박스 내경 부피의 ${Math.round(CARTON_FILL_RATIO * 100)}%까지 적재)이므로 실제 적재 가능 여부는 확인하세요.</p>
+
+    <div class="help-section">
+      <h4>박스 카탈로그 <span class="tip" data-tip="이 PC에 저장됩니다. 치수는 내경(mm) — 배송사에는 내경 + 벽 두께 × 2 의 외경으로 계산됩니다. 최대(kg)는 박스 자중을 포함한 총중량 한도입니다.">ⓘ</span></h4>
+      <div class="table-scroll">
+        <table class="items-table carton-catalog">
+          <thead>
+            <tr><th>이름</th><th>내경 L</th><th>내경 W</th><th>내경 H</th><th>벽 두께</th><th>자중(kg)</th><th>최대(kg)</th><th></th></tr>
+          </thead>
+          <tbody id="carton-catalog-tbody"></tbody>
+        </table>
+      </div>
+      <div class="carton-actions">
+        <button class="btn btn-sm" onclick="CartonUI.addCarton()">➕ 박스 추가</button>
+        <button class="btn btn-sm" onclick="CartonUI.resetCatalog()">🔄 기본 박스</button>
+      </div>
+    </div>
+
+    <div class="help-section">
+      <h4>포장 대상 품목</h4>
+      <div id="carton-items" class="carton-items"></div>
+    </div>
+
+    <div class="help-section">
+      <h4>배송사별 최적 포장</h4>
+      <div id="carton-results"></div>
+    </div>
+
+    <div class="help-section">
+      <h4 id="carton-detail-title">포장안</h4>
+      <div id="carton-detail"></div>
+    </div>
+
+    <div class="modal-actions">
+      <button class="btn" onclick="UI.closeModal()">닫기</button>
+      <button class="btn btn-primary" id="btn-carton-apply" onclick="CartonUI.apply()">품목표에 적용</button>
+    </div>
+  </div>
+`;
+    renderCatalog();
+    renderItems();
+    renderResults();
+    document.getElementById('modal-overlay').classList.add('active');
+  }
+
+  // ─── Catalog ────────────────────────────────────────────────────
+
+  function renderCatalog() {
+    const tbody = document.getElementById('carton-catalog-tbody');
+    tbody.innerHTML = catalog.map((c, idx) => `
+      <tr>
+        ${CATALOG_FIELDS.map(([field, type]) => `
+          <td><input type="${type}" data-idx="${idx}" data-field="${field}" value="${escHtml(c[field])}"${type === 'number' ? ' min="0" step="any"' : ''}></td>
+        `).join('')}
+        <td class="row-actions"><button class="delete" title="삭제" onclick="CartonUI.deleteCarton(${idx})">✕</button></td>
+      </tr>
+    `).join('');
+
+    tbody.querySelectorAll('input').forEach(input => {
+      input.addEventListener('change', () => onCatalogInput(input));
+    });
+  }
+
+  function onCatalogInput(input) {
+    const carton = catalog[Number(input.dataset.idx)];
+    if (!carton) return;
+    const field = input.dataset.field;
+    carton[field] = field === 'name' ? input.value.trim() : Number(input.value);
+    saveCatalog();
+  }
+
+  function nextCartonId() {
+    const used = catalog.map(c => Number(String(c.id).replace(/\D/g, '')) || 0);
+    return 'box-' + (Math.max(0, ...used) + 1);
+  }
+
+  function addCarton() {
+    const last = catalog[catalog.length - 1];
+    catalog.push(last
+      ? { ...last, id: nextCartonId(), name: last.name + ' (copy)' }
+      : { ...DEFAULT_CARTONS[0], id: nextCartonId() });
+    renderCatalog();
+    saveCatalog();
+  }
+
+  function deleteCarton(idx) {
+    catalog.splice(idx, 1);
+    renderCatalog();
+    saveCatalog();
+  }
+
+  function resetCatalog() {
+    Storage.clearCartonCatalog();
+    catalog = DEFAULT_CARTONS.map(c => ({ ...c }));
+    renderCatalog();
+    refresh();
+  }
+
+  function saveCatalog() {
+    if (!validateCartonCatalog(catalog).length) Storage.saveCartonCatalog(catalog);
+    refresh();
+  }
+
+  // ─── Item Selection ─────────────────────────────────────────────
+
+  function renderItems() {
+    const items = activeItems();
+    const el = document.getElementById('carton-items');
+    if (!items.length) {
+      el.innerHTML = '<p class="carton-empty">수량이 있는 품목이 없습니다</p>';
+      return;
+    }
+    el.innerHTML = items.map(item => {
+      const fits = catalog.some(c => cartonFitsUnit(c, item));
+      const tag = fits ? '' : ' <span class="carton-tag carton-tag--loose">박스에 안 들어감 — 그대로 발송</span>';
+      return `
+        <label class="carton-item">
+          <input type="checkbox" data-id="${item.id}"${selected.has(item.id) ? ' checked' : ''}>
+          <span class="carton-item-name">${escHtml(item.name) || '(이름 없음)'}</span>
+          <span class="carton-item-dims">${dimsLabel(item)}mm · ${item.weightKg}kg × ${item.qty}</span>${tag}
+        </label>
+      `;
+    }).join('');
+
+    el.querySelectorAll('input[type="checkbox"]').forEach(input => {
+      input.addEventListener('change', () => {
+        const id = Number(input.dataset.id);
+        if (input.checked) selected.add(id);
+        else selected.delete(id);
+        refresh();
+      });
+    });
+  }
+
+  // ─── Results ────────────────────────────────────────────────────
+
+  function refresh() {
+    runPlans();
+    renderItems();
+    renderResults();
+  }
+
+  function renderResults() {
+    const el = document.getElementById('carton-results');
+    const errors = validateCartonCatalog(catalog);
+    if (errors.length) {
+      el.innerHTML = errors.map(e => `<span class="zip-zone zip-zone--error">⚠ ${escHtml(e)}</span>`).join('');
+    } else if (!plans.length) {
+      el.innerHTML = '<p class="carton-empty">포장할 품목을 선택하세요</p>';
+    } else {
+      el.innerHTML = `
+        <table class="compare-table carton-results">
+          <thead>
+            <tr><th>배송사</th><th>박스</th><th>최적 포장 합계</th><th>현재 (품목별 발송)</th><th>차이</th><th></th></tr>
+          </thead>
+          <tbody>
+            ${plans.map(p => {
+              const currency = p.carrier.currency;
+              const diff = p.total - p.current;
+              const blocked = p.blocked ? `<div class="error-cell">발송 불가 ${p.blocked}건 (합계 제외)</div>` : '';
+              const currentBlocked = p.currentBlocked ? `<div class="error-cell">발송 불가 ${p.currentBlocked}건 (합계 제외)</div>` : '';
+              const loose = p.loose ? ` + 그대로 ${p.loose}개` : '';
+              const active = p.carrier.id === activeCarrier;
+              return `
+                <tr class="${p.carrier.theme}-cell${active ? ' carton-active' : ''}">
+                  <td class="cell-name">${escHtml(p.carrier.name)}</td>
+                  <td>${p.boxes}박스${loose}</td>
+                  <td><strong>${fmtMoney(p.total, currency)}</strong>${blocked}</td>
+                  <td>${fmtMoney(p.current, currency)}${currentBlocked}</td>
+                  <td class="${diffClass(diff)}">${fmtDiff(diff, currency)}</td>
+                  <td><button class="btn btn-sm${active ? ' btn-primary' : ''}" onclick="CartonUI.selectCarrier('${escHtml(p.carrier.id)}')">${active ? '선택됨' : '보기'}</button></td>
+                </tr>
+              `;
+            }).join('')}
+          </tbody>
+        </table>
+      `;
+    }
+    renderDetail();
+  }
+
+  function renderDetail() {
+    const plan = plans.find(p => p.carrier.id === activeCarrier);
+    const el = document.getElementById('carton-detail');
+    const applyBtn = document.getElementById('btn-carton-apply');
+    document.getElementById('carton-detail-title').textContent =
+      plan ? `포장안 — ${plan.carrier.name}` : '포장안';
+    applyBtn.disabled = !plan;
+    applyBtn.textContent = plan ? `품목표에 적용 (${plan.carrier.shortName})` : '품목표에 적용';
+
+    if (!plan) {
+      el.innerHTML = '';
+      return;
+    }
+
+    const currency = plan.carrier.currency;
+    el.innerHTML = `
+      <table class="compare-table carton-detail">
+        <thead>
+          <tr><th>박스</th><th>외경(mm)</th><th>중량(kg)</th><th>적재율</th><th>내용물</th><th>수량</th><th>개당 운임</th></tr>
+        </thead>
+        <tbody>
+          ${plan.packages.map(g => {
+            const pkg = g.package;
+            const contents = g.contents.map(c => `${escHtml(c.name) || '품목'} ×${c.qty}`).join(', ');
+            return `
+              <tr>
+                <td>${pkg.carton ? escHtml(pkg.carton.name) : '<span class="carton-tag carton-tag--loose">그대로</span>'}</td>
+                <td>${dimsLabel(pkg)}</td>
+                <td>${pkg.weightKg}</td>
+                <td>${pkg.fillPct == null ? '-' : pkg.fillPct + '%'}</td>
+                <td class="carton-contents">${contents}</td>
+                <td>${g.count}</td>
+                <td>${pkg.cost == null ? '<span class="error-cell">발송 불가</span>' : fmtMoney(pkg.cost, currency)}</td>
+              </tr>
+            `;
+          }).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  function selectCarrier(carrierId) {
+    activeCarrier = carrierId;
+    renderResults();
+  }
+
+  // ─── Apply ──────────────────────────────────────────────────────
+
+  function apply() {
+    const plan = plans.find(p => p.carrier.id === activeCarrier);
+    if (!plan) return;
+    UI.replaceItems([...selected], plan.rows);
+    UI.closeModal();
+    UI.showToast(`${plan.carrier.shortName} 포장안 적용 — ${plan.rows.length}행`, 'success');
+  }
+
+  // ─── Public API ───────────────────────────────────────────────
+
+  return { init, addCarton, deleteCarton, resetCatalog, selectCarrier, apply };
+})();
@@ -0,0 +1,295 @@
+/**
+ * Cartonizer — packs loose components into cartons from a local catalog.
+ *
+ * Carrier-neutral: every packing decision is priced through a cost callback
+ * (one package → amount, or null when the carrier cannot ship it), so FedEx
+ * billable weight and AHS, Amazon NonStd / AHS and Yamato size tiers all come
+ * from the registered engines rather than being re-implemented here.
+ *
+ * Carton catalog entry — inner dimensions in mm:
+ *   { id, name, L_mm, W_mm, H_mm, wall_mm, tareKg, maxKg }
+ *   Carriers measure the outer size: inner + 2 × wall_mm on every side.
+ *   maxKg is the gross limit — contents plus the carton's own tareKg.
+ *
+ * Fit model: a unit fits a carton when its sorted dimensions fit the sorted
+ * inner dimensions. A carton keeps taking units while their summed volume
+ * stays within CARTON_FILL_RATIO of the inner volume and the packed box weighs
+ * no more than maxKg. This is a volume estimate, not a 3D layout.
+ */
+
+// Share of the inner volume usable for goods (void fill, imperfect stacking)
+const CARTON_FILL_RATIO = 0.85;
+
+// Absorbs float noise when a box is filled exactly to its volume or weight limit
+const CARTON_EPS = 1e-9;
+
+const DEFAULT_CARTONS = [
+    { id: 'box-xs', name: 'Box XS', L_mm: 200, W_mm: 150, H_mm: 100, wall_mm: 4, tareKg: 0.1, maxKg: 5 },
+    { id: 'box-s', name: 'Box S', L_mm: 300, W_mm: 200, H_mm: 150, wall_mm: 4, tareKg: 0.2, maxKg: 10 },
+    { id: 'box-m', name: 'Box M', L_mm: 400, W_mm: 300, H_mm: 250, wall_mm: 5, tareKg: 0.4, maxKg: 20 },
+    { id: 'box-l', name: 'Box L', L_mm: 500, W_mm: 400, H_mm: 350, wall_mm: 5, tareKg: 0.7, maxKg: 25 },
+    { id: 'box-xl', name: 'Box XL', L_mm: 600, W_mm: 450, H_mm: 400, wall_mm: 7, tareKg: 1.0, maxKg: 30 },
+];
+
+// ─── Geometry ────────────────────────────────────────────────────────
+
+function cartonInnerVolume(carton) {
+    return carton.L_mm * carton.W_mm * carton.H_mm;
+}
+
+function cartonOuterDims(carton) {
+    const wall = 2 * (carton.wall_mm || 0);
+    return { L_mm: carton.L_mm + wall, W_mm: carton.W_mm + wall, H_mm: carton.H_mm + wall };
+}
+
+function cartonSortedDims(obj) {
+    return [obj.L_mm, obj.W_mm, obj.H_mm].map(Number).sort((a, b) => b - a);
+}
+
+/** Unit fits on its own in some orientation */
+function cartonFitsUnit(carton, unit) {
+    const inner = cartonSortedDims(carton);
+    return cartonSortedDims(unit).every((d, i) => d <= inner[i])
+        && unit.weightKg + (carton.tareKg || 0) <= carton.maxKg;
+}
+
+/** Every unit fits, within the fill ratio and weight limit */
+function cartonHolds(carton, contents) {
+    const volume = contents.reduce((s, c) => s + c.unit.volume * c.count, 0);
+    const weight = contents.reduce((s, c) => s + c.unit.weightKg * c.count, 0);
+    return contents.every(c => cartonFitsUnit(carton, c.unit))
+        && volume <= cartonInnerVolume(carton) * CARTON_FILL_RATIO + CARTON_EPS
+        && weight + (carton.tareKg || 0) <= carton.maxKg + CARTON_EPS;
+}
+
+// ─── Units / Packages ────────────────────────────────────────────────
+//
+// Pieces of one items row are identical, so they are packed and priced as
+// counts: package contents are [{ unit, count }], and the plan lists each
+// distinct box once with how many of it ship.
+
+/**
+ * One unit per items row (qty > 0), largest first; count = pieces.
+ * @param {Object[]} items - { name, L_mm, W_mm, H_mm, weightKg, qty, packaging? }
+ */
+function cartonUnitGroups(items) {
+    const units = [];
+    items.forEach((item, itemIndex) => {
+        if (!(item.qty > 0)) return;
+        units.push({
+            unit: {
+                itemIndex,
+                name: item.name || '',
+                L_mm: item.L_mm, W_mm: item.W_mm, H_mm: item.H_mm,
+                weightKg: item.weightKg,
+                packaging: item.packaging,
+                volume: item.L_mm * item.W_mm * item.H_mm,
+            },
+            count: item.qty,
+        });
+    });
+    return units.sort((a, b) => b.unit.volume - a.unit.volume || a.unit.itemIndex - b.unit.itemIndex);
+}
+
+function cartonPackage(carton, contents) {
+    const contentKg = contents.reduce((s, c) => s + c.unit.weightKg * c.count, 0);
+    const volume = contents.reduce((s, c) => s + c.unit.volume * c.count, 0);
+    return {
+        carton,
+        contents,
+        ...cartonOuterDims(carton),
+        weightKg: Math.round((contentKg + (carton.tareKg || 0)) * 100) / 100,
+        fillPct: Math.round(volume / cartonInnerVolume(carton) * 1000) / 10,
+    };
+}
+
+/** A unit no carton can take ships as it is */
+function cartonLoosePackage(unit) {
+    return {
+        carton: null,
+        contents: [{ unit, count: 1 }],
+        L_mm: unit.L_mm, W_mm: unit.W_mm, H_mm: unit.H_mm,
+        weightKg: unit.weightKg,
+        packaging: unit.packaging,
+        fillPct: null,
+    };
+}
+
+// How many more of a unit fit in what room is left
+function cartonRoomFor(room, size) {
+    return size > 0 ? Math.floor(room / size + CARTON_EPS) : Infinity;
+}
+
+/** First fit, largest first, into one carton; takes as many of each unit as still fit */
+function cartonFill(carton, remaining) {
+    const capacity = cartonInnerVolume(carton) * CARTON_FILL_RATIO;
+    const packed = [];
+    let volume = 0;
+    let weight = carton.tareKg || 0;
+    remaining.forEach(({ unit, count }) => {
+        if (!count || !cartonFitsUnit(carton, unit)) return;
+        const n = Math.min(count,
+            cartonRoomFor(capacity - volume, unit.volume),
+            cartonRoomFor(carton.maxKg - weight, unit.weightKg));
+        if (n <= 0) return;
+        packed.push({ unit, count: n });
+        volume += unit.volume * n;
+        weight += unit.weightKg * n;
+    });
+    return packed;
+}
+
+// ─── Planning ────────────────────────────────────────────────────────
+
+// Cheaper first; on a tie the smaller carton
+function cartonBetter(a, b) {
+    if (!b) return true;
+    if (Math.abs(a.score - b.score) > 1e-9) return a.score < b.score;
+    return cartonInnerVolume(a.pkg.carton) < cartonInnerVolume(b.pkg.carton);
+}
+
+/** Cheapest carton that still holds the package's contents */
+function cartonRightsize(pkg, cartons, costFn) {
+    let best = null;
+    cartons.forEach(carton => {
+        if (!cartonHolds(carton, pkg.contents)) return;
+        const candidate = cartonPackage(carton, pkg.contents);
+        const cost = costFn(candidate);
+        if (cost == null) return;
+        const entry = { pkg: candidate, score: cost };
+        if (cartonBetter(entry, best)) best = entry;
+    });
+    return best ? best.pkg : pkg;
+}
+
+/**
+ * One box per unit when that costs less than the shared box — heavy contents
+ * can push a shared box into a weight bracket that separate boxes stay under.
+ * @returns {{ pkg, count }[]} boxes replacing one pkg
+ */
+function cartonSplitIfCheaper(pkg, cartons, costFn) {
+    const pieces = pkg.contents.reduce((s, c) => s + c.count, 0);
+    if (pieces < 2) return [{ pkg, count: 1 }];
+    const shared = costFn(pkg);
+    const singles = pkg.contents.map(c => ({
+        pkg: cartonRightsize(cartonLoosePackage(c.unit), cartons, costFn),
+        count: c.count,
+    }));
+    if (singles.some(s => !s.pkg.carton)) return [{ pkg, count: 1 }];
+    const costs = singles.map(s => costFn(s.pkg));
+    if (shared == null || costs.some(c => c == null)) return [{ pkg, count: 1 }];
+    const split = costs.reduce((s, c, i) => s + c * singles[i].count, 0);
+    return split < shared ? singles : [{ pkg, count: 1 }];
+}
+
+/**
+ * Greedy packing priced by one carrier:
+ *   1. Units no carton can take ship loose.
+ *   2. Repeatedly fill one box of every carton type from the remaining units
+ *      and keep the box with the lowest cost per packed volume — repeated for
+ *      as long as the remaining counts would give every carton the same fill.
+ *   3. Move every box to the cheapest carton that still holds its contents,
+ *      and split it into one box per unit when that is cheaper still.
+ *
+ * @param {Object[]} items   - { name, L_mm, W_mm, H_mm, weightKg, qty, packaging? }
+ * @param {Object[]} cartons - catalog entries
+ * @param {Function} costFn  - (package) → amount | null (carrier cannot ship it)
+ * @returns {{ packages, total, unshippable }}
+ *   packages: { carton | null, contents: [{ unit, count }], L_mm, W_mm, H_mm (outer), weightKg, fillPct, cost, count }
+ *   total sums cost × count; shipment-level discounts are not included
+ */
+function cartonPlan(items, cartons, costFn) {
+    const groups = cartonUnitGroups(items);
+    const boxes = [];
+
+    const fits = (unit) => cartons.some(c => cartonFitsUnit(c, unit));
+    groups.filter(g => !fits(g.unit)).forEach(g => boxes.push({ pkg: cartonLoosePackage(g.unit), count: g.count }));
+    const remaining = groups.filter(g => fits(g.unit)).map(g => ({ ...g }));
+    const left = (unit) => remaining.find(r => r.unit === unit).count;
+
+    while (remaining.some(r => r.count > 0)) {
+        let best = null;
+        const fills = [];
+        cartons.forEach(carton => {
+            const packed = cartonFill(carton, remaining);
+            if (!packed.length) return;
+            fills.push(packed);
+            const pkg = cartonPackage(carton, packed);
+            const cost = costFn(pkg);
+            if (cost == null) return;
+            const entry = { pkg, score: cost / packed.reduce((s, c) => s + c.unit.volume * c.count, 0) };
+            if (cartonBetter(entry, best)) best = entry;
+        });
+
+        if (!best) {
+            // No carton this carrier accepts holds the largest unit
+            const largest = remaining.find(r => r.count > 0);
+            boxes.push({ pkg: cartonLoosePackage(largest.unit), count: largest.count });
+            largest.count = 0;
+            continue;
+        }
+
+        // Every fill repeats unchanged while each unit it took is still left in full
+        const repeat = Math.max(1, Math.min(...fills.flatMap(packed =>
+            packed.map(c => Math.floor(left(c.unit) / c.count)))));
+        boxes.push({ pkg: best.pkg, count: repeat });
+        best.pkg.contents.forEach(c => { remaining.find(r => r.unit === c.unit).count -= c.count * repeat; });
+    }
+
+    const priced = boxes
+        .map(box => (box.pkg.carton ? { ...box, pkg: cartonRightsize(box.pkg, cartons, costFn) } : box))
+        .flatMap(box => (box.pkg.carton
+            ? cartonSplitIfCheaper(box.pkg, cartons, costFn).map(s => ({ pkg: s.pkg, count: s.count * box.count }))
+            : [box]))
+        .map(box => ({ ...box.pkg, cost: costFn(box.pkg), count: box.count }));
+
+    return {
+        packages: priced,
+        total: priced.reduce((s, p) => s + (p.cost || 0) * p.count, 0),
+        unshippable: priced.filter(p => p.cost == null).reduce((s, p) => s + p.count, 0),
+    };
+}
+
+/**
+ * Identical boxes (same carton, same contents) collapsed into one row.
+ * @returns {{ package, count, contents: [{ itemIndex, name, qty }] }[]}
+ */
+function cartonGroupPackages(packages) {
+    const groups = new Map();
+    packages.forEach(pkg => {
+        const contents = pkg.contents
+            .map(c => ({ itemIndex: c.unit.itemIndex, name: c.unit.name, qty: c.count }))
+            .sort((a, b) => a.itemIndex - b.itemIndex);
+        const key = (pkg.carton ? pkg.carton.id : 'loose') + '|' + contents.map(c => `${c.itemIndex}x${c.qty}`).join(',');
+        const count = pkg.count || 1;
+        if (groups.has(key)) groups.get(key).count += count;
+        else groups.set(key, { package: pkg, count, contents });
+    });
+    return [...groups.values()];
+}
+
+// ─── Catalog Validation ──────────────────────────────────────────────
+
+/** @returns {string[]} problems, empty when the catalog is usable */
+function validateCartonCatalog(cartons) {
+    const errors = [];
+    if (!Array.isArray(cartons) || !cartons.length) return ['박스 카탈로그가 비어 있습니다'];
+    cartons.forEach((c, i) => {
+        const label = c.name || `#${i + 1}`;
+        if (!(c.L_mm > 0 && c.W_mm > 0 && c.H_mm > 0)) errors.push(`${label}: 내경 치수를 입력하세요`);
+        if (!(c.maxKg > 0)) errors.push(`${label}: 최대 중량을 입력하세요`);
+        if (c.wall_mm < 0 || c.tareKg < 0) errors.push(`${label}: 벽 두께·자중은 0 이상이어야 합니다`);
+    });
+    return errors;
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        cartonInnerVolume, cartonOuterDims, cartonFitsUnit, cartonHolds,
+        cartonUnitGroups, cartonPackage, cartonLoosePackage, cartonFill,
+        cartonRightsize, cartonSplitIfCheaper, cartonPlan, cartonGroupPackages, validateCartonCatalog,
+        CARTON_FILL_RATIO, DEFAULT_CARTONS,
+    };
+}
@@ -0,0 +1,296 @@
+/**
+ * CJ Logistics (CJ대한통운) Parcel — Shipping Cost Calculator Engine
+ *
+ * Size determination: Applied Tier = MAX(3-side-sum tier, weight tier), with the
+ * tiers and limits read from meta.json (size_tiers, size_rules).
+ * Shows up once a version folder with CJ's rate table is in
+ * public/data/manifest.json (rates, regions, postal prefixes, surcharges, meta).
+ * Rates by region pair (동일권 / 타권). Jeju routes and island (도서산간)
+ * addresses add a per-package fee. All rates in KRW (VAT included).
+ */
+
+// ─── Size Tier Rules ────────────────────────────────────────────────
+
+/**
+ * Size tiers and limits from meta.json (size_tiers, size_rules).
+ * @param {Object} meta
+ * @returns {{ tiers: [{ id, label, sum, weight }], maxSum, maxLongest, maxWeight }}
+ *   tiers smallest first
+ */
+function cjSizeRules(meta) {
+  const rules = meta.size_rules;
+  return {
+    tiers: meta.size_tiers.map(t => ({
+      id: t.id, label: t.label_ko, sum: t.max_three_side_sum_cm, weight: t.max_weight_kg,
+    })),
+    maxSum: rules.max_three_side_sum_cm,
+    maxLongest: rules.max_longest_cm,
+    maxWeight: rules.max_weight_kg,
+  };
+}
+
+function cjTier(sizeRules, id) {
+  return sizeRules.tiers.find(t => t.id === id) || null;
+}
+
+// ─── Size Tier Determination ────────────────────────────────────────
+
+/**
+ * @param {Object} sizeRules - cjSizeRules() result
+ */
+function cjCalcSize(L_cm, W_cm, H_cm, weightKg, sizeRules) {
+  const longest = Math.max(L_cm, W_cm, H_cm);
+  const threeSideSum = L_cm + W_cm + H_cm;
+
+  if (longest > sizeRules.maxLongest) {
+    return {
+      error: true,
+      reason: `최장변 ${longest.toFixed(0)}cm > ${sizeRules.maxLongest}cm 초과`,
+      threeSideSum, longest
+    };
+  }
+  if (threeSideSum > sizeRules.maxSum) {
+    return {
+      error: true,
+      reason: `3변합 ${threeSideSum.toFixed(0)}cm > ${sizeRules.maxSum}cm 초과`,
+      threeSideSum, longest
+    };
+  }
+  if (weightKg > sizeRules.maxWeight) {
+    return {
+      error: true,
+      reason: `중량 ${weightKg.toFixed(1)}kg > ${sizeRules.maxWeight}kg 초과`,
+      threeSideSum, longest
+    };
+  }
+
+  const { tiers } = sizeRules;
+  const sumTier = tiers.find(t => threeSideSum <= t.sum);
+  const weightTier = tiers.find(t => weightKg <= t.weight);
+  const sizeSource = tiers.indexOf(sumTier) >= tiers.indexOf(weightTier) ? 'sum' : 'weight';
+  const appliedTier = sizeSource === 'sum' ? sumTier : weightTier;
+
+  return {
+    error: false,
+    threeSideSum: Math.round(threeSideSum * 10) / 10,
+    longest: Math.round(longest * 10) / 10,
+    sumTier: sumTier.id,
+    weightTier: weightTier.id,
+    appliedTier: appliedTier.id,
+    appliedLabel: appliedTier.label,
+    sizeSource,
+    reason: sizeSource === 'sum'
+      ? `3변합 ${threeSideSum.toFixed(0)}cm → ${sumTier.label}`
+      : `중량 ${weightKg.toFixed(1)}kg → ${weightTier.label}`
+  };
+}
+
+// ─── Province / Postal Code ─────────────────────────────────────────
+
+function cjRegionForProvince(regions, province) {
+  const region = regions.find(r => r.provinces.includes(province));
+  return region ? region.id : null;
+}
+
+/**
+ * Accepts "06236" or "062-36". Returns the 5-digit code or null.
+ */
+function cjNormalizePostal(input) {
+  const digits = String(input || '').trim().replace(/-/g, '');
+  return /^\d{5}$/.test(digits) ? digits : null;
+}
+
+/**
+ * Postal code → province and island flag via postal-prefixes.json.
+ * @returns {{ status, province, island, islandArea, message }}
+ *   status: 'ok' | 'invalid' | 'unknown'
+ */
+function cjLookupPostal(postalPrefixes, input) {
+  const postal = cjNormalizePostal(input);
+  if (!postal) {
+    return { status: 'invalid', province: null, island: false, islandArea: null, message: '우편번호는 5자리로 입력하세요' };
+  }
+
+  const prefix = postal.slice(0, 2);
+  const range = postalPrefixes.ranges.find(r => prefix >= r.from && prefix <= r.to);
+  if (!range) {
+    return { status: 'unknown', province: null, island: false, islandArea: null, message: `${postal}: 해당하는 시·도 없음` };
+  }
+  const island = (postalPrefixes.islands || []).find(r => postal >= r.from && postal <= r.to);
+  return {
+    status: 'ok',
+    province: range.province,
+    island: !!island,
+    islandArea: island ? island.area : null,
+    message: '',
+  };
+}
+
+/**
+ * Derive region ids and the Jeju / island flags from provinces.
+ * @param {Object} settings - { originProvince, destProvince, island }
+ * @returns {{ origin, destination, jeju, island }}
+ */
+function cjResolveRoute(regions, settings) {
+  const origin = cjRegionForProvince(regions, settings.originProvince);
+  const destination = cjRegionForProvince(regions, settings.destProvince);
+  return {
+    origin,
+    destination,
+    // Air/ferry freight only when the parcel crosses between Jeju and the mainland
+    jeju: (origin === 'jeju') !== (destination === 'jeju'),
+    island: !!settings.island,
+  };
+}
+
+// ─── Rate Lookup ────────────────────────────────────────────────────
+
+function cjLookupRate(rates, origin, destination, tier) {
+  const tierRates = (rates[origin] || {})[tier];
+  const rate = tierRates ? tierRates[destination] : null;
+  return rate == null ? 0 : rate;
+}
+
+// ─── Line Item Calculation ──────────────────────────────────────────
+
+/**
+ * @param {Object} item - { name, L_cm, W_cm, H_cm, weightKg, qty }
+ * @param {Object} route - cjResolveRoute() result
+ * @param {Object} rates
+ * @param {Object} surcharges - { jeju: { fees }, island: { fees } }
+ * @param {Object} sizeRules - cjSizeRules() result
+ */
+function cjCalcLineItem(item, route, rates, surcharges, sizeRules) {
+  const { L_cm, W_cm, H_cm, weightKg, qty } = item;
+
+  const size = cjCalcSize(L_cm, W_cm, H_cm, weightKg, sizeRules);
+
+  if (size.error) {
+    return {
+      name: item.name || '',
+      L_cm, W_cm, H_cm, weightKg, qty,
+      error: true,
+      errorReason: size.reason,
+      threeSideSum: size.threeSideSum,
+      longest: size.longest,
+      appliedTier: null,
+      baseRate: 0,
+      jejuFee: 0,
+      islandFee: 0,
+      perPkgTotal: 0,
+      lineTotal: 0,
+    };
+  }
+
+  const tier = size.appliedTier;
+  const baseRate = cjLookupRate(rates, route.origin, route.destination, tier);
+  const jejuFee = route.jeju ? surcharges.jeju.fees[tier] : 0;
+  const islandFee = route.island ? surcharges.island.fees[tier] : 0;
+
+  const perPkgTotal = baseRate + jejuFee + islandFee;
+  const lineTotal = perPkgTotal * qty;
+
+  return {
+    name: item.name || '',
+    L_cm, W_cm, H_cm, weightKg, qty,
+    error: false,
+    threeSideSum: size.threeSideSum,
+    longest: size.longest,
+    sumTier: size.sumTier,
+    weightTier: size.weightTier,
+    appliedTier: tier,
+    appliedLabel: size.appliedLabel,
+    sizeSource: size.sizeSource,
+    sizeReason: size.reason,
+    baseRate,
+    jejuFee,
+    islandFee,
+    perPkgTotal,
+    lineTotal,
+  };
+}
+
+// ─── Grand Total ────────────────────────────────────────────────────
+
+function cjCalcAll(items, route, rates, surcharges, sizeRules) {
+  const lines = items
+    .filter(item => item.qty > 0)
+    .map(item => cjCalcLineItem(item, route, rates, surcharges, sizeRules));
+
+  return {
+    lines,
+    grandTotal: lines.reduce((s, l) => s + l.lineTotal, 0),
+    baseSubtotal: lines.reduce((s, l) => s + (l.baseRate * l.qty), 0),
+    jejuSubtotal: lines.reduce((s, l) => s + (l.jejuFee * l.qty), 0),
+    islandSubtotal: lines.reduce((s, l) => s + (l.islandFee * l.qty), 0),
+  };
+}
+
+// ─── Carrier Registration ───────────────────────────────────────────
+
+/**
+ * Registry entry point.
+ * @param {Object[]} items
+ * @param {Object} settings - { originProvince, destProvince, island }
+ * @param {Object} data     - { rates, regions, postalPrefixes, surcharges, meta }
+ */
+function cjQuote(items, settings, data) {
+  const route = cjResolveRoute(data.regions, settings);
+  const result = cjCalcAll(items, route, data.rates, data.surcharges, cjSizeRules(data.meta));
+  return {
+    ...result,
+    carrier: 'cj-logistics',
+    currency: 'KRW',
+    route,
+    lines: CarrierRegistry.indexLines(items, result.lines),
+    components: {
+      base: result.baseSubtotal,
+      jeju: result.jejuSubtotal,
+      island: result.islandSubtotal,
+    },
+  };
+}
+
+if (typeof CarrierRegistry !== 'undefined') {
+  CarrierRegistry.register({
+    id: 'cj-logistics',
+    name: 'CJ대한통운 택배',
+    shortName: 'CJ',
+    country: 'KR',
+    currency: 'KRW',
+    theme: 'cj',
+    chartRgb: '20, 184, 166',
+    files: {
+      rates: 'rates.json',
+      regions: 'regions.json',
+      postalPrefixes: 'postal-prefixes.json',
+      surcharges: 'surcharges.json',
+      meta: 'meta.json',
+    },
+    settings: [
+      { key: 'originProvince', type: 'select', label: '출발지', default: () => '경기도' },
+      { key: 'destProvince', type: 'select', label: '도착지', default: () => '서울특별시' },
+      { key: 'island', type: 'checkbox', label: '도서산간 지역', default: false },
+    ],
+    quote: cjQuote,
+    thresholds: {
+      specs: (line, item, data) => {
+        const rules = cjSizeRules(data.meta);
+        return tierThresholdSpecs({
+          sizes: rules.tiers.map(t => ({ label: t.label, sum: t.sum, weight: t.weight })),
+          maxSum: rules.maxSum, maxWeight: rules.maxWeight, maxLongest: rules.maxLongest,
+        }, item);
+      },
+      label: (line) => (line.error ? '발송 불가' : line.appliedLabel),
+    },
+  });
+}
+
+// ─── Exports ────────────────────────────────────────────────────────
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    cjSizeRules, cjTier, cjCalcSize, cjRegionForProvince, cjNormalizePostal, cjLookupPostal, cjResolveRoute,
+    cjLookupRate, cjCalcLineItem, cjCalcAll, cjQuote,
+  };
+}
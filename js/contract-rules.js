@@ -0,0 +1,180 @@
+/**
+ * Contract Rules — negotiated account discounts applied on top of list prices.
+ * Shared by every US carrier engine; the UI keeps one account profile in
+ * localStorage (see public/data/contracts/example-account.json):
+ *   { account, carriers: { carrierId: contract } }
+ * A carrier contract:
+ *   rates       - [{ lb: '1-5' | '71+', zones?: '2-4', pct }] first matching band wins;
+ *                 lb is the billable weight, zones defaults to every zone
+ *   surcharges  - { scType: pct } e.g. { 'AHS-Dim': 50, 'Oversize': 25 }
+ *   das         - pct off the DAS charge
+ *   residential - pct off the residential charge
+ *   dim_divisor, dim_rounding - negotiated DIM terms (see resolveDimConfig in calculator.js)
+ * Fuel is charged on the discounted base rate, as carriers bill it. The list
+ * price always uses the carrier's own DIM terms, so a negotiated divisor shows
+ * up as part of the contract discount.
+ *
+ * Depends on: calculator.js DIM_ROUNDING (validation only).
+ */
+
+// ─── Band Matching ───────────────────────────────────────────────────
+
+/** "1-5" / "71+" / "3" / 3 → true when value is inside (inclusive) */
+function contractInRange(value, spec) {
+    if (spec == null || spec === '') return true;
+    const str = String(spec).trim();
+    if (str.endsWith('+')) return value >= Number(str.slice(0, -1));
+    const [from, to] = str.split('-');
+    return value >= Number(from) && value <= Number(to || from);
+}
+
+function contractRatePct(contract, billableLb, zone) {
+    const band = (contract.rates || []).find(b =>
+        contractInRange(billableLb, b.lb) && contractInRange(Number(zone), b.zones));
+    return band ? band.pct : 0;
+}
+
+function contractSurchargePct(contract, scType) {
+    return (contract.surcharges || {})[scType] || 0;
+}
+
+// ─── Validation ──────────────────────────────────────────────────────
+
+const CONTRACT_RANGE = /^\s*\d+(\.\d+)?\s*(\+|-\s*\d+(\.\d+)?)?\s*$/;
+
+function isContractPct(value) {
+    return typeof value === 'number' && value >= 0 && value <= 100;
+}
+
+function isContractObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Check an account profile before it is saved.
+ * @returns {string[]} problems; empty when the profile is usable
+ */
+function validateContractProfile(profile) {
+    const errors = [];
+    if (!isContractObject(profile) || !isContractObject(profile.carriers)) {
+        return ['"carriers" 객체가 없습니다'];
+    }
+    Object.entries(profile.carriers).forEach(([id, contract]) => {
+        if (!isContractObject(contract)) {
+            errors.push(`${id}: 계약 조건은 객체여야 합니다 (예: { "rates": [...] })`);
+            return;
+        }
+        if (contract.rates != null && !Array.isArray(contract.rates)) {
+            errors.push(`${id}: rates는 배열이어야 합니다 (예: [{ "lb": "1-5", "pct": 20 }])`);
+        }
+        if (contract.surcharges != null && !isContractObject(contract.surcharges)) {
+            errors.push(`${id}: surcharges는 객체여야 합니다 (예: { "AHS-Dim": 50 })`);
+        }
+        (Array.isArray(contract.rates) ? contract.rates : []).forEach((band, i) => {
+            if (!isContractObject(band)) {
+                errors.push(`${id}: rates[${i}]는 객체여야 합니다 (예: { "lb": "1-5", "pct": 20 })`);
+                return;
+            }
+            if (band.lb != null && !CONTRACT_RANGE.test(String(band.lb))) errors.push(`${id}: rates[${i}].lb "${band.lb}" 형식 오류 (예: "1-5", "71+")`);
+            if (band.zones != null && !CONTRACT_RANGE.test(String(band.zones))) errors.push(`${id}: rates[${i}].zones "${band.zones}" 형식 오류 (예: "2-4")`);
+            if (!isContractPct(band.pct)) errors.push(`${id}: rates[${i}].pct는 0~100 숫자여야 합니다`);
+        });
+        Object.entries(isContractObject(contract.surcharges) ? contract.surcharges : {}).forEach(([type, pct]) => {
+            if (!isContractPct(pct)) errors.push(`${id}: surcharges.${type}는 0~100 숫자여야 합니다`);
+        });
+        ['das', 'residential'].forEach(key => {
+            if (contract[key] != null && !isContractPct(contract[key])) errors.push(`${id}: ${key}는 0~100 숫자여야 합니다`);
+        });
+        if (contract.dim_divisor != null && !(typeof contract.dim_divisor === 'number' && contract.dim_divisor > 0)) {
+            errors.push(`${id}: dim_divisor는 양수여야 합니다 (예: 166)`);
+        }
+        if (contract.dim_rounding != null && !(contract.dim_rounding in DIM_ROUNDING)) {
+            errors.push(`${id}: dim_rounding은 ${Object.keys(DIM_ROUNDING).join(' / ')} 중 하나여야 합니다`);
+        }
+    });
+    return errors;
+}
+
+// ─── Applying a Contract ─────────────────────────────────────────────
+
+function contractRound(n) {
+    return Math.round(n * 100) / 100;
+}
+
+/**
+ * Re-price one line under the contract.
+ * The list figures stay on the line as list*; the normal fields become net.
+ * @param {Object} line       - priced with the contract's DIM terms
+ * @param {Object} [listLine] - the same item priced with the carrier's own DIM terms (default: line)
+ */
+function applyContractToLine(line, contract, fuelPct, listLine = line) {
+    const ratePct = contractRatePct(contract, line.billableLb, line.zone);
+    const baseRate = line.baseRate * (1 - ratePct / 100);
+    const fuelAmount = baseRate * (fuelPct / 100);
+    const rateSubtotal = baseRate + fuelAmount;
+    const scAmount = line.scAmount * (1 - contractSurchargePct(contract, line.scType) / 100);
+    const residentialCharge = line.residentialCharge * (1 - (contract.residential || 0) / 100);
+    const dasCharge = line.dasCharge * (1 - (contract.das || 0) / 100);
+    const perPkgTotal = rateSubtotal + scAmount + residentialCharge + dasCharge;
+
+    return {
+        ...line,
+        listBaseRate: listLine.baseRate,
+        listFuelAmount: listLine.fuelAmount,
+        listRateSubtotal: listLine.rateSubtotal,
+        listScAmount: listLine.scAmount,
+        listResidentialCharge: listLine.residentialCharge,
+        listDasCharge: listLine.dasCharge,
+        listPerPkgTotal: listLine.perPkgTotal,
+        listLineTotal: listLine.lineTotal,
+        contractRatePct: ratePct,
+        baseRate: contractRound(baseRate),
+        fuelAmount: contractRound(fuelAmount),
+        rateSubtotal: contractRound(rateSubtotal),
+        scAmount: contractRound(scAmount),
+        residentialCharge: contractRound(residentialCharge),
+        dasCharge: contractRound(dasCharge),
+        perPkgTotal: contractRound(perPkgTotal),
+        lineTotal: contractRound(perPkgTotal * line.qty),
+        discountPerPkg: contractRound(listLine.perPkgTotal - perPkgTotal),
+    };
+}
+
+/**
+ * Apply a carrier contract to a calcAll()-shaped result
+ * ({ lines, grandTotal, rateSubtotal, scSubtotal, residentialSubtotal, dasSubtotal }).
+ * Without a contract the result is returned unchanged, with listTotal = grandTotal.
+ * @param {number} fuelPct      - fuel % the engine used for the list price
+ * @param {Object} [listResult] - the same items priced with the carrier's own DIM terms, when the
+ *                                contract negotiates DIM (result is then priced with the contract's);
+ *                                list figures and the discount are measured against it
+ */
+function applyContract(result, contract, fuelPct, listResult = null) {
+    if (!contract) return { ...result, listTotal: result.grandTotal, contractDiscount: 0 };
+
+    const list = listResult || result;
+    const lines = result.lines.map((line, i) => applyContractToLine(line, contract, fuelPct, list.lines[i]));
+    const sum = (field) => contractRound(lines.reduce((s, l) => s + l[field] * l.qty, 0));
+    const grandTotal = contractRound(lines.reduce((s, l) => s + l.lineTotal, 0));
+
+    return {
+        ...result,
+        lines,
+        grandTotal,
+        rateSubtotal: sum('rateSubtotal'),
+        scSubtotal: sum('scAmount'),
+        residentialSubtotal: sum('residentialCharge'),
+        dasSubtotal: sum('dasCharge'),
+        listTotal: list.grandTotal,
+        contractDiscount: contractRound(list.grandTotal - grandTotal),
+    };
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        contractInRange, contractRatePct, contractSurchargePct,
+        validateContractProfile, applyContractToLine, applyContract,
+    };
+}
@@ -0,0 +1,257 @@
+/**
+ * Crossover UI — US tab card: which of two carriers is cheaper for one box
+ * shape, as a weight (1–150 lb) × zone heatmap. Cell color = cheaper carrier,
+ * depth and number = price gap; row tags mark where a surcharge tier starts.
+ * The box comes from an items row or is typed in (cm). The sweep runs only
+ * while the card is expanded — collapsed, item edits just keep the rows.
+ * Depends on: crossover.js, CarrierRegistry, UI (zonesFor / zoneQuoteFor).
+ */
+
+const CrossoverUI = (() => {
+  const MANUAL = 'manual';
+
+  const opts = {
+    pair: [],                          // [carrierA, carrierB]
+    source: MANUAL,                    // MANUAL or an items row id
+    dims: { L_cm: 40, W_cm: 30, H_cm: 30 },
+    step: 5,
+    isResidential: false,
+  };
+  let items = [];
+  let carriers = [];
+  let expanded = false;
+
+  // ─── Utilities ──────────────────────────────────────────────────
+
+  function escHtml(str) {
+    if (str == null || str === '') return '';
+    return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+                      .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+  }
+
+  function fmt(n) {
+    return n.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  }
+
+  function carrier(id) {
+    return carriers.find(c => c.id === id);
+  }
+
+  // ─── Initialization ─────────────────────────────────────────────
+
+  function init() {
+    document.getElementById('btn-crossover-toggle').addEventListener('click', toggle);
+  }
+
+  function toggle() {
+    expanded = !expanded;
+    document.getElementById('crossover-body').hidden = !expanded;
+    document.getElementById('btn-crossover-toggle').textContent = expanded ? '접기' : '펼치기';
+    if (expanded) recalculateWithItems(items);
+  }
+
+  // ─── Controls ───────────────────────────────────────────────────
+
+  function carrierOptions(selected) {
+    return carriers.map(c =>
+      `<option value="${c.id}"${c.id === selected ? ' selected' : ''}>${escHtml(c.name)}</option>`).join('');
+  }
+
+  function sourceOptions() {
+    const rows = items.filter(item => item.qty > 0).map(item =>
+      `<option value="${item.id}"${String(item.id) === String(opts.source) ? ' selected' : ''}>${escHtml(item.name) || '(이름 없음)'} — ${item.L_mm}×${item.W_mm}×${item.H_mm}mm</option>`);
+    return `<option value="${MANUAL}"${opts.source === MANUAL ? ' selected' : ''}>직접 입력 (cm)</option>${rows.join('')}`;
+  }
+
+  function renderControls() {
+    const manual = opts.source === MANUAL;
+    const dimInput = (key, label) => `
+      <div class="setting-group">
+        <label for="crossover-${key}">${label} (cm)</label>
+        <input type="number" id="crossover-${key}" data-crossover-dim="${key}" min="1" step="0.1" value="${opts.dims[key]}"${manual ? '' : ' disabled'}>
+      </div>`;
+
+    document.getElementById('crossover-controls').innerHTML = `
+      <div class="setting-group">
+        <label for="crossover-a">배송사 A</label>
+        <select id="crossover-a">${carrierOptions(opts.pair[0])}</select>
+      </div>
+      <div class="setting-group">
+        <label for="crossover-b">배송사 B</label>
+        <select id="crossover-b">${carrierOptions(opts.pair[1])}</select>
+      </div>
+      <div class="setting-group">
+        <label for="crossover-source">박스</label>
+        <select id="crossover-source">${sourceOptions()}</select>
+      </div>
+      ${dimInput('L_cm', '길이')}
+      ${dimInput('W_cm', '너비')}
+      ${dimInput('H_cm', '높이')}
+      <div class="setting-group">
+        <label for="crossover-step">중량 간격</label>
+        <select id="crossover-step">
+          ${CROSSOVER_STEPS.map(s => `<option value="${s}"${s === opts.step ? ' selected' : ''}>${s} lb</option>`).join('')}
+        </select>
+      </div>
+      <div class="setting-group">
+        <label class="checkbox-label">
+          <input type="checkbox" id="crossover-resi"${opts.isResidential ? ' checked' : ''}>
+          <span>Residential</span>
+        </label>
+      </div>
+    `;
+
+    document.getElementById('crossover-a').addEventListener('change', (e) => { opts.pair[0] = e.target.value; run(); });
+    document.getElementById('crossover-b').addEventListener('change', (e) => { opts.pair[1] = e.target.value; run(); });
+    document.getElementById('crossover-source').addEventListener('change', (e) => {
+      opts.source = e.target.value;
+      renderControls();
+      run();
+    });
+    document.querySelectorAll('[data-crossover-dim]').forEach(input => {
+      input.addEventListener('change', () => {
+        const value = parseFloat(input.value);
+        if (value > 0) opts.dims[input.dataset.crossoverDim] = value;
+        run();
+      });
+    });
+    document.getElementById('crossover-step').addEventListener('change', (e) => { opts.step = Number(e.target.value); run(); });
+    document.getElementById('crossover-resi').addEventListener('change', (e) => { opts.isResidential = e.target.checked; run(); });
+  }
+
+  // ─── Sweep ──────────────────────────────────────────────────────
+
+  // Box shape in cm: the chosen items row, or the typed dimensions
+  function boxDims() {
+    const item = opts.source === MANUAL ? null : items.find(i => String(i.id) === String(opts.source));
+    if (!item) return opts.dims;
+    return { L_cm: item.L_mm / 10, W_cm: item.W_mm / 10, H_cm: item.H_mm / 10, packaging: item.packaging };
+  }
+
+  function recalculateWithItems(newItems) {
+    items = newItems;
+    if (!expanded) return;
+    carriers = CarrierRegistry.list('US');
+    if (!carriers.some(c => c.id === opts.pair[0])) opts.pair[0] = carriers[0] && carriers[0].id;
+    if (!carriers.some(c => c.id === opts.pair[1])) opts.pair[1] = carriers[1] && carriers[1].id;
+    if (opts.source !== MANUAL && !items.some(i => String(i.id) === String(opts.source) && i.qty > 0)) {
+      opts.source = MANUAL;
+    }
+    renderControls();
+    run();
+  }
+
+  function run() {
+    const [idA, idB] = opts.pair;
+    if (!idA || !idB || idA === idB) {
+      document.getElementById('crossover-flips').innerHTML =
+        '<span class="zip-zone zip-zone--warn">서로 다른 배송사 두 곳을 선택하세요</span>';
+      document.getElementById('crossover-thead').innerHTML = '';
+      document.getElementById('crossover-tbody').innerHTML = '';
+      return;
+    }
+
+    const dims = boxDims();
+    const variant = { isResidential: opts.isResidential, dasTier: 'None' };
+    const carrierZones = { [idA]: UI.zonesFor(idA), [idB]: UI.zonesFor(idB) };
+    const zones = [...new Set([...carrierZones[idA], ...carrierZones[idB]])].sort((a, b) => a - b);
+
+    // One pricing hook per carrier and zone, reused across the weight sweep
+    const hooks = {};
+    const quoteLine = (id, zone, weightLb) => {
+      if (!carrierZones[id].includes(zone)) return null;
+      const key = `${id}:${zone}`;
+      if (!hooks[key]) hooks[key] = UI.zoneQuoteFor(id, zone, variant);
+      const item = {
+        name: '', L_mm: dims.L_cm * 10, W_mm: dims.W_cm * 10, H_mm: dims.H_cm * 10,
+        weightKg: crossoverLbToKg(weightLb), qty: 1, packaging: dims.packaging,
+      };
+      return hooks[key]([item]).lines[0] || null;
+    };
+
+    const rows = crossoverSweep([idA, idB], crossoverWeights(opts.step), zones, quoteLine);
+    renderFlips(rows, zones);
+    renderHeatmap(rows, zones);
+  }
+
+  // ─── Rendering ──────────────────────────────────────────────────
+
+  function sideCarrier(side) {
+    return carrier(opts.pair[side === 'a' ? 0 : 1]);
+  }
+
+  // One chip per zone: cheaper carrier from the lightest weight, then each flip
+  function renderFlips(rows, zones) {
+    const flips = crossoverFlips(rows, zones);
+    document.getElementById('crossover-flips').innerHTML = zones.map(zone => {
+      const list = flips[zone];
+      if (!list.length) return '';
+      const text = list.map((f, i) =>
+        (i === 0 ? '' : ` → ${f.weightLb} lb~ `) + sideCarrier(f.winner).shortName).join('');
+      return `<span class="zip-zone zip-zone--ok">Zone ${zone}: ${escHtml(text)}</span>`;
+    }).join('');
+  }
+
+  function pointTip(c, point) {
+    if (!point) return `${c.shortName}: Zone 없음`;
+    if (point.blocked) return `${c.shortName}: 발송 불가 (${point.reason})`;
+    return `${c.shortName}: $${fmt(point.total)} · 청구 ${point.billableLb} lb · ${point.label}`;
+  }
+
+  function renderCell(cell, maxGap) {
+    const a = sideCarrier('a');
+    const b = sideCarrier('b');
+    const title = escHtml(`${pointTip(a, cell.a)}\n${pointTip(b, cell.b)}`);
+    if (!cell.winner) return `<td class="diff-zero" title="${title}">-</td>`;
+    if (cell.winner === 'tie') return `<td class="crossover-cell" title="${title}">=</td>`;
+
+    const win = sideCarrier(cell.winner);
+    const gap = cell.diff == null ? null : Math.abs(cell.diff);
+    const alpha = gap == null ? 0.75 : 0.12 + 0.63 * Math.min(1, gap / (maxGap || 1));
+    const text = gap == null ? `${escHtml(sideCarrier(cell.winner === 'a' ? 'b' : 'a').shortName)} 불가` : fmt(gap);
+    return `<td class="crossover-cell" style="background: rgba(${win.chartRgb}, ${alpha.toFixed(2)})" title="${title}">${text}</td>`;
+  }
+
+  function renderHeatmap(rows, zones) {
+    const a = sideCarrier('a');
+    const b = sideCarrier('b');
+    document.getElementById('crossover-thead').innerHTML = `
+      <tr>
+        <th>실중량</th>
+        ${zones.map(z => `<th>Zone ${z}</th>`).join('')}
+        <th>할증 구간</th>
+      </tr>
+    `;
+
+    // Color depth scales to the 90th percentile gap so one Unauthorized / Oversize jump doesn't wash out the rest
+    const gaps = rows.flatMap(row => zones.map(z => row.cells[z].diff).filter(d => d != null).map(Math.abs))
+      .sort((x, y) => x - y);
+    const maxGap = gaps.length ? gaps[Math.floor((gaps.length - 1) * 0.9)] : 0;
+
+    document.getElementById('crossover-tbody').innerHTML = rows.map(row => {
+      const tiers = row.tiers.map(t => {
+        const c = carrier(t.carrierId);
+        return `<span class="crossover-tier" style="border-color: rgb(${c.chartRgb})">${escHtml(c.shortName)} ▸ ${escHtml(t.label)}</span>`;
+      }).join(' ');
+      return `
+        <tr${row.tiers.length ? ' class="crossover-tier-row"' : ''}>
+          <td class="cell-name">${row.weightLb} lb</td>
+          ${zones.map(z => renderCell(row.cells[z], maxGap)).join('')}
+          <td class="crossover-tiers">${tiers}</td>
+        </tr>
+      `;
+    }).join('') + `
+      <tr class="crossover-legend">
+        <td colspan="${zones.length + 2}">
+          <span class="crossover-swatch" style="background: rgba(${a.chartRgb}, 0.6)"></span> ${escHtml(a.shortName)} 저렴
+          <span class="crossover-swatch" style="background: rgba(${b.chartRgb}, 0.6)"></span> ${escHtml(b.shortName)} 저렴
+          · 숫자 = 1개당 차액($), 진할수록 차이 큼 · 칸에 마우스를 올리면 두 배송사 운임·청구중량·할증
+        </td>
+      </tr>
+    `;
+  }
+
+  // ─── Public API ───────────────────────────────────────────────
+
+  return { init, recalculateWithItems };
+})();
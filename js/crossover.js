@@ -0,0 +1,115 @@
+/**
+ * Carrier Crossover — which of two carriers is cheaper for one box shape,
+ * swept over actual weight (1–150 lb) × zone.
+ *
+ * Every point is a one-package quote from the registered engines (calcLineItem,
+ * amazonCalcLineItem, ... through a quote callback), so DIM billable weight,
+ * AHS / Oversize / LargePkg tiers, fuel and contract match the comparison table.
+ *
+ * Depends on: calculator.js (KG_TO_LB).
+ */
+
+const CROSSOVER_MAX_LB = 150;
+const CROSSOVER_STEPS = [1, 5, 10];
+
+// ─── Sweep ───────────────────────────────────────────────────────────
+
+/** 1 lb, then every `step` lb up to maxLb */
+function crossoverWeights(step, maxLb = CROSSOVER_MAX_LB) {
+    const weights = [1];
+    for (let lb = step; lb <= maxLb; lb += step) {
+        if (lb > 1) weights.push(lb);
+    }
+    return weights;
+}
+
+/**
+ * kg for an actual weight in lb, rounded down so the engines' kg → lb
+ * conversion never lands just above the whole pound (and bills one more)
+ */
+function crossoverLbToKg(lb) {
+    return Math.floor(lb / KG_TO_LB * 10000) / 10000;
+}
+
+function crossoverPoint(line) {
+    if (!line) return null;
+    if (line.error) return { blocked: true, label: '발송 불가', reason: line.errorReason };
+    return { blocked: false, total: line.perPkgTotal, billableLb: line.billableLb, label: line.scType };
+}
+
+// diff = b − a (positive: A cheaper); a carrier that cannot ship loses to one that can
+function crossoverCompare(a, b) {
+    const okA = !!a && !a.blocked;
+    const okB = !!b && !b.blocked;
+    if (okA && okB) {
+        const diff = b.total - a.total;
+        return { diff, winner: Math.abs(diff) < 0.005 ? 'tie' : diff > 0 ? 'a' : 'b' };
+    }
+    if (okA && b) return { diff: null, winner: 'a' };
+    if (okB && a) return { diff: null, winner: 'b' };
+    return { diff: null, winner: null };
+}
+
+/**
+ * @param {string[]} pair      - [carrierA, carrierB]
+ * @param {number[]} weightsLb - crossoverWeights()
+ * @param {number[]} zones
+ * @param {Function} quoteLine - (carrierId, zone, weightLb) → line of a one-package quote,
+ *                               or null when the carrier has no such zone
+ * @returns {{ weightLb, cells: { zone: { a, b, diff, winner } }, tiers: { carrierId, label }[] }[]}
+ *   winner 'a' | 'b' | 'tie' | null (nothing to compare)
+ *   tiers: carriers whose surcharge tier (scType, or 발송 불가) changes at this weight
+ */
+function crossoverSweep(pair, weightsLb, zones, quoteLine) {
+    const [idA, idB] = pair;
+    const prevLabel = {};
+
+    return weightsLb.map(weightLb => {
+        const cells = {};
+        zones.forEach(zone => {
+            const a = crossoverPoint(quoteLine(idA, zone, weightLb));
+            const b = crossoverPoint(quoteLine(idB, zone, weightLb));
+            cells[zone] = { a, b, ...crossoverCompare(a, b) };
+        });
+
+        // Surcharge tiers depend on size and weight only — any zone the carrier serves will do
+        const tiers = [];
+        [['a', idA], ['b', idB]].forEach(([side, carrierId]) => {
+            const point = zones.map(zone => cells[zone][side]).find(p => p);
+            if (!point) return;
+            if (carrierId in prevLabel && prevLabel[carrierId] !== point.label) {
+                tiers.push({ carrierId, label: point.label });
+            }
+            prevLabel[carrierId] = point.label;
+        });
+        return { weightLb, cells, tiers };
+    });
+}
+
+/**
+ * Weights where the cheaper carrier flips, per zone (ties and gaps skipped).
+ * @returns {{ zone: { weightLb, winner }[] }} first entry = cheaper carrier at the lightest weight
+ */
+function crossoverFlips(rows, zones) {
+    const flips = {};
+    zones.forEach(zone => {
+        flips[zone] = [];
+        rows.forEach(row => {
+            const winner = row.cells[zone].winner;
+            if (winner !== 'a' && winner !== 'b') return;
+            const last = flips[zone][flips[zone].length - 1];
+            if (!last || last.winner !== winner) flips[zone].push({ weightLb: row.weightLb, winner });
+        });
+    });
+    return flips;
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        crossoverWeights, crossoverLbToKg, crossoverPoint, crossoverCompare,
+        crossoverSweep, crossoverFlips,
+        CROSSOVER_MAX_LB, CROSSOVER_STEPS,
+    };
+}
@@ -1,80 +1,140 @@
 /**
  * Data Loader — Fetches JSON data files for any carrier and caches them.
+ * File lists come from each carrier's CarrierRegistry entry; the folder comes
+ * from public/data/manifest.json (generate-manifest.js), which lists every rate
+ * version per carrier with its effective date. The version in force on the
+ * ship date is used unless the caller pins one.
  */
 
 const DataLoader = (() => {
-    const CARRIER_PATHS = {
-        'fedex-ground': 'public/data/2025/fedex-ground',
-        'amazon-shipping': 'public/data/2026/amazon-shipping',
-    };
+    const MANIFEST_PATH = 'public/data/manifest.json';
 
     let _cache = {};
+    let _manifest = null;
+
+    async function fetchJSON(path) {
+        if (_cache[path]) return _cache[path];
+        const resp = await fetch(path);
+        if (!resp.ok) throw new Error(`Failed to load ${path}: ${resp.status}`);
+        const data = await resp.json();
+        _cache[path] = data;
+        return data;
+    }
 
-    async function loadJSON(carrier, filename) {
-        const cacheKey = `${carrier}/${filename}`;
-        if (_cache[cacheKey]) return _cache[cacheKey];
-        const basePath = CARRIER_PATHS[carrier];
-        if (!basePath) throw new Error(`Unknown carrier: ${carrier}`);
-        const resp = await fetch(`${basePath}/${filename}`);
-        if (!resp.ok) throw new Error(`Failed to load ${cacheKey}: ${resp.status}`);
+    // null when the file is not in the folder (an optional file not imported yet)
+    async function fetchOptionalJSON(path) {
+        if (path in _cache) return _cache[path];
+        const resp = await fetch(path);
+        if (resp.status === 404) {
+            _cache[path] = null;
+            return null;
+        }
+        if (!resp.ok) throw new Error(`Failed to load ${path}: ${resp.status}`);
         const data = await resp.json();
-        _cache[cacheKey] = data;
+        _cache[path] = data;
         return data;
     }
 
-    async function loadAll(carrier) {
-        carrier = carrier || 'fedex-ground';
-        const [rates, surcharges, defaults, zones, meta] = await Promise.all([
-            loadJSON(carrier, 'rates.json'),
-            loadJSON(carrier, 'surcharges.json'),
-            loadJSON(carrier, 'defaults.json'),
-            loadJSON(carrier, 'zones.json'),
-            loadJSON(carrier, 'meta.json'),
-        ]);
-        return { rates, surcharges, defaults, zones, meta };
+    // ─── Rate Versions ──────────────────────────────────────────────
+
+    async function loadManifest() {
+        if (!_manifest) _manifest = await fetchJSON(MANIFEST_PATH);
+        return _manifest;
     }
 
-    async function loadBoth() {
-        const [fedex, amazon] = await Promise.all([
-            loadAll('fedex-ground'),
-            loadAll('amazon-shipping'),
-        ]);
-        return { fedex, amazon };
+    function todayIso() {
+        const d = new Date();
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
     }
 
-    function getCarriers() {
-        return Object.keys(CARRIER_PATHS);
+    /**
+     * Pick one version from a carrier's manifest list.
+     * A pinned version wins; otherwise the latest one effective on the ship date
+     * (today when none is given). A date before every version falls back to the
+     * earliest so there is always something to quote with, flagged beforeFirst
+     * so the caller can warn that no listed rate was in force on that date.
+     * @param {Array} versions - manifest entries sorted by effective_date
+     * @param {{ shipDate?: string, pinned?: string }} opts
+     */
+    function pickVersion(versions, { shipDate, pinned } = {}) {
+        if (!versions || versions.length === 0) return null;
+        if (pinned) {
+            const hit = versions.find(v => v.version === pinned);
+            if (hit) return hit;
+        }
+        const date = shipDate || todayIso();
+        const inForce = versions.filter(v => v.effective_date <= date);
+        return inForce.length ? inForce[inForce.length - 1] : { ...versions[0], beforeFirst: true };
     }
 
-    const YAMATO_PATH = 'public/data/2025/yamato';
+    /** Manifest entries for one carrier (after loadManifest) */
+    function getVersions(carrier) {
+        return (_manifest && _manifest.carriers[carrier]) || [];
+    }
 
-    async function loadYamatoJSON(filename) {
-        const cacheKey = `yamato/${filename}`;
-        if (_cache[cacheKey]) return _cache[cacheKey];
-        const resp = await fetch(`${YAMATO_PATH}/${filename}`);
-        if (!resp.ok) throw new Error(`Failed to load ${cacheKey}: ${resp.status}`);
-        const data = await resp.json();
-        _cache[cacheKey] = data;
+    async function resolveBasePath(carrier, opts) {
+        const def = CarrierRegistry.get(carrier);
+        if (def.dataPath) return { path: def.dataPath };
+        const manifest = await loadManifest();
+        const version = pickVersion(manifest.carriers[carrier], opts);
+        if (!version) throw new Error(`No rate version for ${carrier} in ${MANIFEST_PATH}`);
+        return version;
+    }
+
+    // ─── Loading ────────────────────────────────────────────────────
+
+    async function loadJSON(carrier, filename, opts = {}) {
+        const { path } = await resolveBasePath(carrier, opts);
+        return fetchJSON(`${path}/${filename}`);
+    }
+
+    /**
+     * Load every file the carrier declares.
+     * @param {{ shipDate?: string, pinned?: string }} opts - version selection
+     * @returns {Promise<Object>} keyed like the carrier's `files` and
+     *   `optionalFiles` maps (null for a missing optional file), plus
+     *   rateVersion: the manifest entry the files came from
+     */
+    async function loadAll(carrier, opts = {}) {
+        const version = await resolveBasePath(carrier, opts);
+        const def = CarrierRegistry.get(carrier);
+        const optional = def.optionalFiles || {};
+        const files = { ...def.files, ...optional };
+        const keys = Object.keys(files);
+        const values = await Promise.all(keys.map(key => {
+            const path = `${version.path}/${files[key]}`;
+            return key in optional ? fetchOptionalJSON(path) : fetchJSON(path);
+        }));
+        const data = {};
+        keys.forEach((key, i) => { data[key] = values[i]; });
+        data.rateVersion = version;
         return data;
     }
 
-    async function loadYamato() {
-        const [ratesCash, ratesCashless, ratesIntrapref, zones, surcharges, discounts, defaults, meta] = await Promise.all([
-            loadYamatoJSON('rates-cash.json'),
-            loadYamatoJSON('rates-cashless.json'),
-            loadYamatoJSON('rates-intrapref.json'),
-            loadYamatoJSON('zones.json'),
-            loadYamatoJSON('surcharges.json'),
-            loadYamatoJSON('discounts.json'),
-            loadYamatoJSON('defaults.json'),
-            loadYamatoJSON('meta.json'),
-        ]);
-        return { ratesCash, ratesCashless, ratesIntrapref, zones, surcharges, discounts, defaults, meta };
+    /**
+     * Load all carriers of one country tab.
+     * @param {{ shipDate?: string, pinned?: { carrierId: version } }} opts
+     * @returns {Promise<Object>} { carrierId: data }
+     */
+    async function loadCountry(country, { shipDate, pinned = {} } = {}) {
+        const ids = getCarriers(country);
+        const all = await Promise.all(ids.map(id => loadAll(id, { shipDate, pinned: pinned[id] })));
+        const byId = {};
+        ids.forEach((id, i) => { byId[id] = all[i]; });
+        return byId;
+    }
+
+    function getCarriers(country) {
+        return CarrierRegistry.list(country).map(c => c.id);
     }
 
     function clearCache() {
         _cache = {};
+        _manifest = null;
     }
 
-    return { loadJSON, loadAll, loadBoth, loadYamato, getCarriers, clearCache };
+    return {
+        loadJSON, loadAll, loadCountry, getCarriers, clearCache,
+        loadManifest, pickVersion, getVersions,
+    };
 })();
@@ -0,0 +1,648 @@
+/**
+ * Japan UI Controller — Japan Domestic Shipping Tab
+ * V8: Side-by-side comparison of every 'JP' carrier in CarrierRegistry
+ * (Yamato / Yu-Pack / Sagawa), fed by the items shared from the UI module.
+ * The route (prefectures, postal codes) is shared; each carrier keeps its
+ * own settings column. Diffs are against the first carrier (Yamato).
+ * Depends on: DataLoader, CarrierRegistry, yamato-calculator.js (postal lookup, option defs).
+ */
+
+const JapanUI = (() => {
+  let carriers = [];           // CarrierRegistry.list('JP')
+  let carrierData = {};        // { carrierId: data }
+  let route = null;            // shared { originPref, destPref, originPostal, destPostal }
+  let settings = {};           // { carrierId: registry settings }
+  let postalStatus = { origin: null, destination: null };  // yamatoLookupPostal() results
+
+  // Set by the shared route card, not by the carrier columns
+  const ROUTE_KEYS = ['originPref', 'destPref'];
+
+  // Prefectures and postal prefixes come from the Yamato data set
+  const ROUTE_CARRIER = 'yamato';
+
+  // Summary cells for a total that leaves out lines the carrier cannot ship
+  const PARTIAL_DIFF_CELL = '<td class="diff-cell diff-zero" title="발송 불가 품목이 빠진 합계끼리는 비교하지 않습니다">-</td>';
+  const PARTIAL_TOTAL_NOTE = '<div class="list-price">부분 합계 (발송 불가 제외)</div>';
+
+  // ─── Utilities ──────────────────────────────────────────────────
+
+  function escHtml(str) {
+    if (!str) return '';
+    return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+              .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+  }
+
+  function fmtJpy(n) {
+    return Math.round(n).toLocaleString('ja-JP');
+  }
+
+  function fmtDiffJpy(n) {
+    if (Math.round(n) === 0) return '¥0';
+    return (n > 0 ? '+' : '-') + '¥' + fmtJpy(Math.abs(n));
+  }
+
+  function fmtPct(diff, base) {
+    const pct = base > 0 ? (diff / base * 100) : 0;
+    return Math.abs(pct) >= 0.05 ? ` (${pct >= 0 ? '+' : ''}${pct.toFixed(1)}%)` : '';
+  }
+
+  function diffClass(diff) {
+    return diff > 0.5 ? 'diff-positive' : diff < -0.5 ? 'diff-negative' : 'diff-zero';
+  }
+
+  const DISCOUNT_KO = {
+    dropoff: '지참할인', digital: '디지털할인',
+    multi_package: '복수구할인', branch_pickup: '영업소수취',
+    member_dropoff: '회원지참할인', same_address: '동일수신처할인',
+  };
+
+  function discountLabel(key, def) {
+    return DISCOUNT_KO[key] || (def && def.name_ja) || key;
+  }
+
+  function toast(msg, type) {
+    if (typeof UI !== 'undefined' && UI.showToast) {
+      UI.showToast(msg, type);
+    }
+  }
+
+  // ─── Initialization ─────────────────────────────────────────────
+
+  async function init() {
+    try {
+      carrierData = await DataLoader.loadCountry('JP');
+    } catch (e) {
+      console.error('Japan data load failed:', e);
+      toast('일본 요금 데이터를 불러오지 못했습니다', 'error');
+      return;
+    }
+    carriers = CarrierRegistry.list('JP');
+
+    resetToDefaults();
+    populatePrefectures();
+    renderSettings();
+    bindEvents();
+  }
+
+  function resetToDefaults() {
+    carriers.forEach(c => {
+      settings[c.id] = CarrierRegistry.applyDefaults(c.id, {}, carrierData[c.id]);
+    });
+    const base = settings[ROUTE_CARRIER];
+    route = { originPref: base.originPref, destPref: base.destPref, originPostal: '', destPostal: '' };
+  }
+
+  function quoteSettings(carrierId) {
+    return { ...settings[carrierId], originPref: route.originPref, destPref: route.destPref };
+  }
+
+  // Prefectures grouped by zone — each carrier derives its own zone from the prefecture
+  function populatePrefectures() {
+    const html = carrierData[ROUTE_CARRIER].zones.map(z => `
+      <optgroup label="${escHtml(`${z.name_ja} (${z.name_en})`)}">
+        ${z.prefectures.map(p => `<option value="${escHtml(p)}">${escHtml(p)}</option>`).join('')}
+      </optgroup>
+    `).join('');
+
+    document.getElementById('ym-origin').innerHTML = html;
+    document.getElementById('ym-destination').innerHTML = html;
+  }
+
+  // ─── Settings ─────────────────────────────────────────────────
+
+  function renderSettings() {
+    document.getElementById('ym-origin').value = route.originPref;
+    document.getElementById('ym-destination').value = route.destPref;
+    document.getElementById('ym-origin-postal').value = route.originPostal;
+    document.getElementById('ym-dest-postal').value = route.destPostal;
+    renderCarrierSettings();
+  }
+
+  function renderCarrierSettings() {
+    document.getElementById('ym-carrier-settings').innerHTML = carriers.map(c => {
+      const data = carrierData[c.id];
+      const fields = c.settings.map(f => renderSettingField(c, f)).join('');
+      const note = c.note ? `<div class="carrier-col-note">${escHtml(c.note)}</div>` : '';
+      const year = data.meta && data.meta.year ? ` ${data.meta.year}` : '';
+      return `
+        <div class="carrier-col ${c.theme}-col">
+          <div class="carrier-col-title">${escHtml(c.name)}${year}</div>
+          <div class="carrier-col-body">${fields}${note}</div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  function renderSettingField(c, field) {
+    if (ROUTE_KEYS.includes(field.key)) return '';
+    if (field.key === 'payment') return renderPaymentToggle(c);
+    if (field.type === 'group') return renderOptions(c);
+    if (field.type === 'multi') return renderDiscountChecks(c, field);
+    return '';
+  }
+
+  function renderPaymentToggle(c) {
+    const payment = settings[c.id].payment;
+    const btn = (value, label) =>
+      `<button data-carrier="${c.id}" data-payment="${value}"${value === payment ? ' class="active"' : ''}>${label}</button>`;
+    return `
+      <div class="setting-group">
+        <label>결제 방법</label>
+        <div class="unit-toggle">${btn('cash', '현금')}${btn('cashless', '캐시리스')}</div>
+      </div>
+    `;
+  }
+
+  // "회원지참할인은 지참할인 대체 · 복수구할인: 같은 도착지 2개 이상" from discounts.json
+  function discountTip(defs) {
+    const parts = ['여러 할인을 동시 적용 가능'];
+    Object.entries(defs).forEach(([key, def]) => {
+      if (def.replaces) {
+        parts.push(`${discountLabel(key, def)}은 ${def.replaces.map(r => discountLabel(r, defs[r])).join('·')} 대체`);
+      }
+      const min = (def.conditions || {}).min_packages_same_destination;
+      if (min) parts.push(`${discountLabel(key, def)}: 같은 도착지로 ${min}개 이상일 때만 적용`);
+    });
+    return parts.join(' · ');
+  }
+
+  function renderDiscountChecks(c, field) {
+    const defs = carrierData[c.id].discounts || {};
+    const selected = settings[c.id].discounts;
+    const checks = Object.entries(defs).map(([key, def]) => `
+      <label class="checkbox-label" title="${escHtml(def.note)}">
+        <input type="checkbox" data-carrier="${c.id}" data-discount="${key}"${selected.includes(key) ? ' checked' : ''}>
+        <span>${escHtml(discountLabel(key, def))} (-¥${fmtJpy(-def.amount)})</span>
+      </label>
+    `).join('');
+    return `
+      <div class="setting-group ym-discounts">
+        <label>${escHtml(field.label)} <span class="tip" data-tip="${escHtml(discountTip(defs))}">ⓘ</span></label>
+        <div class="discount-checks">${checks}</div>
+      </div>
+    `;
+  }
+
+  // ─── Optional Services (declared in surcharges.json) ──────────
+
+  function optionDefs(carrierId) {
+    return yamatoOptionDefs(carrierData[carrierId].surcharges);
+  }
+
+  function optionLabel(carrierId, key) {
+    const def = optionDefs(carrierId).find(d => d.key === key);
+    return def ? def.label_ko || def.name_ja : key;
+  }
+
+  // "+¥55" / "+¥275~715" hint from the option's pricing data
+  function optionFeeHint(def) {
+    let fees = [];
+    if (def.fee != null) fees = [def.fee];
+    else if (def.fees) fees = Object.values(def.fees);
+    else if (def.ranges) fees = def.ranges.map(r => r.fee);
+    if (fees.length === 0) return '';
+    const min = Math.min(...fees);
+    const max = Math.max(...fees);
+    return min === max ? `+¥${fmtJpy(min)}` : `+¥${fmtJpy(min)}~${fmtJpy(max)}`;
+  }
+
+  function optionTip(def) {
+    const parts = [def.name_ja, optionFeeHint(def)];
+    const c = def.constraints || {};
+    if (c.max_size != null) parts.push(`사이즈 ${c.max_size} 이하만 가능`);
+    if (c.max_amount != null) parts.push(`상한 ¥${fmtJpy(c.max_amount)}`);
+    if (def.input === 'amount') parts.push('1개당 부과. 품목표에서 품목별 지정 가능');
+    return parts.filter(Boolean).join(' · ');
+  }
+
+  function renderOptions(c) {
+    const values = settings[c.id].options;
+    return optionDefs(c.id).map(def => {
+      const id = `ym-opt-${c.id}-${def.key}`;
+      const attrs = `id="${id}" data-carrier="${c.id}" data-option="${def.key}"`;
+      const label = escHtml(def.label_ko || def.name_ja);
+      const tip = `<span class="tip" data-tip="${escHtml(optionTip(def))}">ⓘ</span>`;
+
+      if (def.input === 'select') {
+        const choices = (def.choices || []).map(ch =>
+          `<option value="${escHtml(ch.value)}"${ch.value === values[def.key] ? ' selected' : ''}>${escHtml(ch.label_ko || ch.value)}</option>`
+        ).join('');
+        return `<div class="setting-group"><label for="${id}">${label} ${tip}</label><select ${attrs}>${choices}</select></div>`;
+      }
+      if (def.input === 'amount') {
+        const value = values[def.key] ? values[def.key] : '';
+        return `<div class="setting-group"><label for="${id}">${label} (¥/개) ${tip}</label><input type="number" ${attrs} value="${value}" min="0" step="1" placeholder="0 = 없음"></div>`;
+      }
+      return `<div class="setting-group"><label class="checkbox-label"><input type="checkbox" ${attrs}${values[def.key] ? ' checked' : ''}><span>${label} (${optionFeeHint(def)}) ${tip}</span></label></div>`;
+    }).join('');
+  }
+
+  function onOptionInput(el) {
+    const carrierId = el.dataset.carrier;
+    const def = optionDefs(carrierId).find(d => d.key === el.dataset.option);
+    if (!def) return;
+    const options = settings[carrierId].options;
+    if (def.input === 'checkbox') options[def.key] = el.checked;
+    else if (def.input === 'amount') options[def.key] = Math.max(0, Math.floor(Number(el.value) || 0));
+    else options[def.key] = el.value;
+    onSettingChange();
+  }
+
+  // ─── Calculation (receives items from UI) ───────────────────────
+
+  function toCalcItem(item) {
+    return {
+      name: item.name,
+      L_cm: item.L_mm / 10,
+      W_cm: item.W_mm / 10,
+      H_cm: item.H_mm / 10,
+      weightKg: item.weightKg,
+      qty: item.qty,
+      // Per-item COD column of the shared items table (empty = shipment default)
+      options: item.codAmount == null ? undefined : { cod: item.codAmount },
+    };
+  }
+
+  function recalculateWithItems(items) {
+    if (!route) return;
+
+    const calcItems = items.map(toCalcItem);
+
+    const quotes = {};
+    carriers.forEach(c => {
+      quotes[c.id] = CarrierRegistry.quoteWithHints(c.id, calcItems, quoteSettings(c.id), carrierData[c.id]);
+    });
+
+    renderCompareHeaders();
+    renderResults(quotes);
+    renderSummary(quotes);
+    renderRouteStatus(quotes);
+    renderDiscountStatus(quotes);
+  }
+
+  // Selected discounts the shipment does not qualify for
+  function renderDiscountStatus(quotes) {
+    document.getElementById('ym-discount-status').innerHTML = carriers.map(c =>
+      quotes[c.id].discountRejected.map(r =>
+        `<span class="zip-zone zip-zone--warn">⚠ ${escHtml(c.shortName)}: ${escHtml(discountLabel(r.key, { name_ja: r.name }))} 미적용 (${escHtml(r.reason)})</span>`
+      ).join('')
+    ).join('');
+  }
+
+  // ─── Postal Code → Prefecture ─────────────────────────────────
+
+  /**
+   * Resolve a postal code into route[prefKey]. Ambiguous prefixes keep the
+   * current prefecture if it is a candidate, else take the first candidate.
+   */
+  function applyPostal(end, prefKey, input) {
+    if (!input) {
+      postalStatus[end] = null;
+      return;
+    }
+    const r = yamatoLookupPostal(carrierData[ROUTE_CARRIER].postalPrefixes, input);
+    postalStatus[end] = r;
+    if (r.status === 'ok') {
+      route[prefKey] = r.prefecture;
+    } else if (r.status === 'ambiguous' && !r.candidates.includes(route[prefKey])) {
+      route[prefKey] = r.candidates[0];
+    }
+  }
+
+  // Picking one of the candidate prefectures settles an ambiguous postal prefix
+  function resolveAmbiguousPostal(end, pref) {
+    const r = postalStatus[end];
+    if (r && r.status === 'ambiguous' && r.candidates.includes(pref)) postalStatus[end] = null;
+  }
+
+  function zoneName(carrierId, zoneId) {
+    const z = carrierData[carrierId].zones.find(zone => zone.id === zoneId);
+    return z ? z.name_ja : zoneId;
+  }
+
+  // One chip per carrier: its own region pair, and whether the intraprefectural fare applied
+  function renderRouteStatus(quotes) {
+    const chips = carriers.map(c => {
+      const q = quotes[c.id];
+      const intrapref = q.lines.some(l => l.isIntrapref) ? ' · 현내 운임' : '';
+      return `<span class="zip-zone zip-zone--ok">${escHtml(c.shortName)}: ${escHtml(zoneName(c.id, q.route.origin))} → ${escHtml(zoneName(c.id, q.route.destination))}${intrapref}</span>`;
+    });
+
+    [['origin', '출발지'], ['destination', '도착지']].forEach(([end, label]) => {
+      const r = postalStatus[end];
+      if (!r || r.status === 'ok') return;
+      const level = r.status === 'ambiguous' ? 'warn' : 'error';
+      chips.push(`<span class="zip-zone zip-zone--${level}">⚠ ${label}: ${escHtml(r.message)}</span>`);
+    });
+
+    document.getElementById('ym-route-status').innerHTML = chips.join('');
+  }
+
+  // ─── Comparison Table ─────────────────────────────────────────
+
+  function diffColumns() {
+    return carriers.slice(1);
+  }
+
+  function diffHeaderLabel(c) {
+    return diffColumns().length === 1 ? '차이' : `차이 (${escHtml(c.shortName)})`;
+  }
+
+  function renderCompareHeaders() {
+    const groups = carriers.map(c =>
+      `<th colspan="4" class="th-${c.theme}">${escHtml(c.name)}</th>`).join('');
+    const diffs = diffColumns().map(c => `<th rowspan="2">${diffHeaderLabel(c)}</th>`).join('');
+    const subs = carriers.map(c => `
+      <th class="th-${c.theme}-sub">Size</th>
+      <th class="th-${c.theme}-sub">운임</th>
+      <th class="th-${c.theme}-sub">옵션·할인</th>
+      <th class="th-${c.theme}-sub">합계</th>
+    `).join('');
+    document.getElementById('ym-compare-thead').innerHTML = `
+      <tr>
+        <th rowspan="2">#</th>
+        <th rowspan="2">품명</th>
+        <th rowspan="2">3변합</th>
+        <th rowspan="2">중량(kg)</th>
+        ${groups}
+        ${diffs}
+        <th rowspan="2">수량</th>
+      </tr>
+      <tr>${subs}</tr>
+    `;
+
+    document.getElementById('ym-summary-thead').innerHTML = `
+      <tr>
+        <th></th>
+        ${carriers.map(c => `<th class="th-${c.theme}">${escHtml(c.name)}</th>`).join('')}
+        ${diffColumns().map(c => `<th>${diffHeaderLabel(c)}</th>`).join('')}
+      </tr>
+    `;
+  }
+
+  // Size tooltip: both tiers, or sum only when weight does not set the size (Yu-Pack)
+  function sizeTip(line) {
+    const sum = `3변합 ${line.threeSideSum}cm → Size ${line.sumTier}`;
+    if (line.weightTier == null) return `${sum} · 중량은 사이즈에 영향 없음`;
+    return `${sum} · 중량 ${line.weightKg}kg → Size ${line.weightTier}`;
+  }
+
+  function renderSizeCell(line) {
+    const intrapref = line.isIntrapref ? ' 현내' : '';
+    const weightTag = line.weightTier > line.sumTier
+      ? ` <span class="ym-tag ym-tag--weight">중량▲</span>`
+      : '';
+    return `<strong>${line.appliedSize}${intrapref}</strong>${weightTag}`;
+  }
+
+  function renderExtrasCell(c, line) {
+    const tags = [];
+    line.options.forEach(o => {
+      tags.push(`<span class="ym-cool-tag" title="${escHtml(o.name)}">${escHtml(optionLabel(c.id, o.key))} +¥${fmtJpy(o.fee)}</span>`);
+    });
+    // Options dropped by a constraint (e.g. Cool above Size 120)
+    line.optionErrors.forEach(e => {
+      tags.push(`<span class="ym-tag ym-tag--cool-err" title="${escHtml(e.reason)}">${escHtml(optionLabel(c.id, e.key))} 불가</span>`);
+    });
+    if (line.discountTotal < 0) {
+      const names = line.discountDetails.map(d => discountLabel(d.key, { name_ja: d.name })).join(' · ');
+      tags.push(`<span class="ym-discount-tag" title="${escHtml(names)}">¥${fmtJpy(line.discountTotal)}</span>`);
+    }
+    return tags.length ? tags.join(' ') : '-';
+  }
+
+  function renderResults(quotes) {
+    const tbody = document.getElementById('ym-result-tbody');
+    tbody.innerHTML = '';
+    const base = quotes[carriers[0].id];
+
+    base.lines.forEach((baseLine, k) => {
+      const tr = document.createElement('tr');
+
+      const carrierCells = carriers.map(c => {
+        const l = quotes[c.id].lines[k];
+        if (l.error) {
+          return `<td colspan="4" class="${c.theme}-cell error-cell">⚠ ${escHtml(l.errorReason)}</td>`;
+        }
+        return `
+          <td class="${c.theme}-cell" title="${escHtml(sizeTip(l))}">${renderSizeCell(l)}</td>
+          <td class="${c.theme}-cell">¥${fmtJpy(l.baseRate)}</td>
+          <td class="${c.theme}-cell">${renderExtrasCell(c, l)}</td>
+          <td class="${c.theme}-cell"><strong>¥${fmtJpy(l.perPkgTotal)}</strong></td>
+        `;
+      }).join('');
+
+      const diffCells = diffColumns().map(c => {
+        const l = quotes[c.id].lines[k];
+        if (l.error || baseLine.error) return '<td class="diff-zero">-</td>';
+        const diff = l.lineTotal - baseLine.lineTotal;
+        return `<td class="${diffClass(diff)}">${fmtDiffJpy(diff)}</td>`;
+      }).join('');
+
+      tr.innerHTML = `
+        <td>${baseLine.itemIndex + 1}</td>
+        <td class="cell-name">${escHtml(baseLine.name)}</td>
+        <td>${baseLine.threeSideSum}</td>
+        <td>${baseLine.weightKg}</td>
+        ${carrierCells}
+        ${diffCells}
+        <td>${baseLine.qty}</td>
+      `;
+      tbody.appendChild(tr);
+      const hintRow = renderHintRow(quotes, k, 3 + carriers.length * 4 + diffColumns().length + 1);
+      if (hintRow) tbody.appendChild(hintRow);
+    });
+  }
+
+  // Size tier proximity hints under an item row — shrink-to-save and near-tier warnings per carrier
+  function renderHintRow(quotes, k, span) {
+    const chips = carriers.flatMap(c =>
+      (quotes[c.id].lines[k].hints || []).map(h =>
+        `<span class="hint-chip hint-chip--${h.kind}" title="${escHtml(h.limit)}">${escHtml(c.shortName)}: ${escHtml(describeThresholdHint(h, n => '¥' + fmtJpy(n)))}</span>`));
+    if (!chips.length) return null;
+    const tr = document.createElement('tr');
+    tr.className = 'hint-row';
+    tr.innerHTML = `<td></td><td colspan="${span}">${chips.join(' ')}</td>`;
+    return tr;
+  }
+
+  // ─── Summary ──────────────────────────────────────────────────
+
+  // base, then every option any carrier declares, then discount
+  function componentKeys(quotes) {
+    const keys = [];
+    carriers.forEach(c => {
+      Object.keys(quotes[c.id].components).forEach(k => {
+        if (!keys.includes(k)) keys.push(k);
+      });
+    });
+    return keys.filter(k => k !== 'discount').concat('discount');
+  }
+
+  function componentLabel(key) {
+    if (key === 'base') return '기본 운임';
+    if (key === 'discount') return '할인 합계';
+    const owner = carriers.find(c => optionDefs(c.id).some(d => d.key === key));
+    return owner ? optionLabel(owner.id, key) : key;
+  }
+
+  function renderSummary(quotes) {
+    const base = quotes[carriers[0].id];
+    const totalQty = base.lines.reduce((s, l) => s + l.qty, 0);
+    const span = carriers.length + diffColumns().length;
+
+    // A total missing lines the carrier cannot ship is partial — never diffed against a complete one
+    const partial = carriers.map(c => quotes[c.id].lines.some(l => l.error));
+    const isPartial = (i) => partial[0] || partial[i + 1];
+
+    const rows = [`
+      <tr>
+        <td class="row-label">활성 품목</td>
+        <td colspan="${span}" class="center-cell">${base.lines.length}건 / ${totalQty}개</td>
+      </tr>
+    `];
+
+    // A carrier without the component (e.g. Cool on Sagawa) shows '-'
+    componentKeys(quotes).forEach(key => {
+      const values = carriers.map(c => quotes[c.id].components[key]);
+      const cls = key === 'discount' ? ' discount-amount' : '';
+      rows.push(`
+        <tr>
+          <td class="row-label">${escHtml(componentLabel(key))}</td>
+          ${carriers.map((c, i) => `<td class="${c.theme}-cell${cls}">${values[i] == null ? '-' : '¥' + fmtJpy(values[i])}</td>`).join('')}
+          ${diffColumns().map((c, i) => {
+            if (isPartial(i)) return PARTIAL_DIFF_CELL;
+            if (values[i + 1] == null || values[0] == null) return '<td class="diff-cell diff-zero">-</td>';
+            const diff = values[i + 1] - values[0];
+            return `<td class="diff-cell ${diffClass(diff)}">${fmtDiffJpy(diff)}</td>`;
+          }).join('')}
+        </tr>
+      `);
+    });
+
+    // Lines a carrier cannot take are left out of its totals
+    const blocked = carriers.map(c => quotes[c.id].lines.filter(l => l.error));
+    if (blocked.some(lines => lines.length > 0)) {
+      rows.push(`
+        <tr class="list-price-row">
+          <td class="row-label">발송 불가 (합계 제외)</td>
+          ${carriers.map((c, i) => {
+            const qty = blocked[i].reduce((s, l) => s + l.qty, 0);
+            const names = blocked[i].map(l => l.name).join(', ');
+            return `<td class="${c.theme}-cell" title="${escHtml(names)}">${blocked[i].length ? `${blocked[i].length}건 / ${qty}개` : '-'}</td>`;
+          }).join('')}
+          ${diffColumns().map(() => '<td></td>').join('')}
+        </tr>
+      `);
+    }
+
+    const totals = carriers.map(c => quotes[c.id].grandTotal);
+    rows.push(`
+      <tr class="grand-total-row">
+        <td class="row-label">총 배송비</td>
+        ${carriers.map((c, i) => `
+          <td class="${c.theme}-cell">¥${fmtJpy(totals[i])}${partial[i] ? PARTIAL_TOTAL_NOTE : ''}</td>
+        `).join('')}
+        ${diffColumns().map((c, i) => {
+          if (isPartial(i)) return PARTIAL_DIFF_CELL;
+          const diff = totals[i + 1] - totals[0];
+          return `<td class="diff-cell ${diffClass(diff)}">${fmtDiffJpy(diff)}${fmtPct(diff, totals[0])}</td>`;
+        }).join('')}
+      </tr>
+    `);
+
+    // Like-for-like comparison over the items every carrier can ship
+    const common = CarrierRegistry.commonTotals(carriers.map(c => quotes[c.id]));
+    if (partial.some(p => p) && common.lines > 0) {
+      rows.push(`
+        <tr class="grand-total-row">
+          <td class="row-label">공통 품목 합계 <span class="dest-zip">${common.lines}건 / ${common.qty}개</span></td>
+          ${carriers.map((c, i) => `<td class="${c.theme}-cell">¥${fmtJpy(common.totals[i])}</td>`).join('')}
+          ${diffColumns().map((c, i) => {
+            const diff = common.totals[i + 1] - common.totals[0];
+            return `<td class="diff-cell ${diffClass(diff)}">${fmtDiffJpy(diff)}${fmtPct(diff, common.totals[0])}</td>`;
+          }).join('')}
+        </tr>
+      `);
+    }
+
+    document.getElementById('ym-summary-tbody').innerHTML = rows.join('');
+
+    const payLabel = settings.yamato && settings.yamato.payment === 'cashless' ? '캐시리스' : '현금';
+    document.getElementById('ym-sum-route').textContent =
+      `${route.originPref} → ${route.destPref} | Yamato ${payLabel}`;
+  }
+
+  // ─── Events ───────────────────────────────────────────────────
+
+  function onSettingChange() {
+    // Trigger recalculation with current shared items from UI
+    if (typeof UI !== 'undefined' && UI.getItems) {
+      recalculateWithItems(UI.getItems());
+    }
+  }
+
+  function bindEvents() {
+    document.getElementById('ym-origin').addEventListener('change', (e) => {
+      route.originPref = e.target.value;
+      resolveAmbiguousPostal('origin', route.originPref);
+      onSettingChange();
+    });
+
+    document.getElementById('ym-destination').addEventListener('change', (e) => {
+      route.destPref = e.target.value;
+      resolveAmbiguousPostal('destination', route.destPref);
+      onSettingChange();
+    });
+
+    document.getElementById('ym-origin-postal').addEventListener('change', (e) => {
+      route.originPostal = e.target.value.trim();
+      applyPostal('origin', 'originPref', route.originPostal);
+      document.getElementById('ym-origin').value = route.originPref;
+      onSettingChange();
+    });
+
+    document.getElementById('ym-dest-postal').addEventListener('change', (e) => {
+      route.destPostal = e.target.value.trim();
+      applyPostal('destination', 'destPref', route.destPostal);
+      document.getElementById('ym-destination').value = route.destPref;
+      onSettingChange();
+    });
+
+    // Carrier columns are re-rendered, so listen on the container
+    const row = document.getElementById('ym-carrier-settings');
+    row.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-payment]');
+      if (!btn) return;
+      settings[btn.dataset.carrier].payment = btn.dataset.payment;
+      btn.parentElement.querySelectorAll('[data-payment]').forEach(b =>
+        b.classList.toggle('active', b === btn));
+      onSettingChange();
+    });
+    row.addEventListener('change', (e) => {
+      const el = e.target;
+      if (el.dataset.option) {
+        onOptionInput(el);
+      } else if (el.dataset.discount) {
+        const carrierId = el.dataset.carrier;
+        settings[carrierId].discounts = Array.from(
+          row.querySelectorAll(`[data-carrier="${carrierId}"][data-discount]:checked`)
+        ).map(c => c.dataset.discount);
+        onSettingChange();
+      }
+    });
+    row.addEventListener('input', (e) => {
+      if (e.target.dataset.option && e.target.type === 'number') onOptionInput(e.target);
+    });
+  }
+
+  // ─── Public API ───────────────────────────────────────────────
+
+  // Pricing hook for the cartonizer — current route and carrier settings, or null before data loads
+  function quoteFor(carrierId) {
+    if (!route || !carrierData[carrierId]) return null;
+    return (items) => CarrierRegistry.quote(carrierId, items.map(toCalcItem), quoteSettings(carrierId), carrierData[carrierId]);
+  }
+
+  return { init, recalculateWithItems, quoteFor };
+})();
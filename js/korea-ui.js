@@ -0,0 +1,296 @@
+/**
+ * Korea UI Controller — Korea Domestic Shipping Tab
+ * Items are shared from the UI module (same as JapanUI). This module handles
+ * only the CJ Logistics route settings, calculation, and result rendering.
+ * Depends on: DataLoader, CarrierRegistry ('cj-logistics' entry in cj-calculator.js).
+ * The tab is hidden while CJ is not registered (no rate version in manifest.json).
+ */
+
+const KoreaUI = (() => {
+  const CARRIER_ID = 'cj-logistics';
+
+  let data = null;
+  let state = null;
+  let postalStatus = { origin: null, destination: null };  // cjLookupPostal() results
+
+  // ─── Utilities ──────────────────────────────────────────────────
+
+  function escHtml(str) {
+    if (!str) return '';
+    return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+              .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+  }
+
+  function round1(n) { return Math.round(n * 10) / 10; }
+
+  function fmtKrw(n) {
+    return Math.round(n).toLocaleString('ko-KR');
+  }
+
+  function toast(msg, type) {
+    if (typeof UI !== 'undefined' && UI.showToast) {
+      UI.showToast(msg, type);
+    }
+  }
+
+  // ─── Initialization ─────────────────────────────────────────────
+
+  async function init() {
+    // No CJ rate table on disk → the engine was unregistered and the tab stays hidden
+    if (!CarrierRegistry.has(CARRIER_ID)) {
+      document.getElementById('tab-btn-korea').hidden = true;
+      return;
+    }
+
+    try {
+      data = await DataLoader.loadAll(CARRIER_ID);
+    } catch (e) {
+      console.error('CJ data load failed:', e);
+      toast('한국 요금 데이터를 불러오지 못했습니다', 'error');
+      return;
+    }
+
+    resetToDefaults();
+    populateProvinces();
+    renderSettings();
+    bindEvents();
+  }
+
+  function resetToDefaults() {
+    state = CarrierRegistry.applyDefaults(CARRIER_ID, { originPostal: '', destPostal: '' }, data);
+  }
+
+  // Provinces grouped by region — the region is derived from the province
+  function populateProvinces() {
+    const html = data.regions.map(r => `
+      <optgroup label="${escHtml(r.name_ko)}">
+        ${r.provinces.map(p => `<option value="${escHtml(p)}">${escHtml(p)}</option>`).join('')}
+      </optgroup>
+    `).join('');
+
+    document.getElementById('kr-origin').innerHTML = html;
+    document.getElementById('kr-destination').innerHTML = html;
+  }
+
+  // ─── Settings ─────────────────────────────────────────────────
+
+  function renderSettings() {
+    document.getElementById('kr-origin').value = state.originProvince;
+    document.getElementById('kr-destination').value = state.destProvince;
+    document.getElementById('kr-origin-postal').value = state.originPostal;
+    document.getElementById('kr-dest-postal').value = state.destPostal;
+    document.getElementById('kr-island').checked = state.island;
+  }
+
+  // ─── Calculation (receives items from UI) ───────────────────────
+
+  function toCalcItem(item) {
+    return {
+      name: item.name,
+      L_cm: item.L_mm / 10,
+      W_cm: item.W_mm / 10,
+      H_cm: item.H_mm / 10,
+      weightKg: item.weightKg,
+      qty: item.qty,
+    };
+  }
+
+  function recalculateWithItems(items) {
+    if (!data) return;
+
+    const calcItems = items.map(toCalcItem);
+
+    const result = CarrierRegistry.quoteWithHints(CARRIER_ID, calcItems, state, data);
+
+    renderResults(result);
+    renderSummary(result);
+    renderRouteStatus(result.route);
+  }
+
+  // ─── Postal Code → Province / Island ──────────────────────────
+
+  function applyPostal(end, provinceKey, input) {
+    if (!input) {
+      postalStatus[end] = null;
+    } else {
+      const r = cjLookupPostal(data.postalPrefixes, input);
+      postalStatus[end] = r;
+      if (r.status === 'ok') state[provinceKey] = r.province;
+    }
+    // Island fee follows the postal codes; the checkbox can still override it
+    state.island = ['origin', 'destination'].some(e => postalStatus[e] && postalStatus[e].island);
+    document.getElementById('kr-island').checked = state.island;
+  }
+
+  function regionName(regionId) {
+    const r = data.regions.find(region => region.id === regionId);
+    return r ? r.name_ko : regionId;
+  }
+
+  function renderRouteStatus(route) {
+    const sameRegion = route.origin === route.destination;
+    const chips = [
+      `<span class="zip-zone zip-zone--ok">${escHtml(regionName(route.origin))} → ${escHtml(regionName(route.destination))} (${sameRegion ? '동일권' : '타권'})</span>`,
+    ];
+
+    if (route.jeju) {
+      chips.push(`<span class="zip-zone zip-zone--warn">제주 ↔ 내륙 — 제주 추가운임 적용</span>`);
+    }
+
+    [['origin', '출발지'], ['destination', '도착지']].forEach(([end, label]) => {
+      const r = postalStatus[end];
+      if (!r) return;
+      if (r.status !== 'ok') {
+        chips.push(`<span class="zip-zone zip-zone--error">⚠ ${label}: ${escHtml(r.message)}</span>`);
+      } else if (r.island) {
+        chips.push(`<span class="zip-zone zip-zone--warn">${label}: 도서산간 (${escHtml(r.islandArea)})</span>`);
+      }
+    });
+
+    if (route.island) {
+      chips.push(`<span class="zip-zone zip-zone--warn">도서산간 추가운임 적용</span>`);
+    }
+
+    document.getElementById('kr-route-status').innerHTML = chips.join('');
+  }
+
+  // ─── Results Table ────────────────────────────────────────────
+
+  function tierOf(id) {
+    return cjTier(cjSizeRules(data.meta), id);
+  }
+
+  function renderResults(result) {
+    const tbody = document.getElementById('kr-result-tbody');
+    tbody.innerHTML = '';
+
+    result.lines.forEach(line => {
+      const tr = document.createElement('tr');
+
+      if (line.error) {
+        tr.innerHTML = `
+          <td>${line.itemIndex + 1}</td>
+          <td class="cell-name">${escHtml(line.name)}</td>
+          <td colspan="11" class="error-row">⚠️ ${escHtml(line.errorReason)}</td>
+        `;
+      } else {
+        // Size determination — both tiers, the one that set the size highlighted
+        const sumTier = tierOf(line.sumTier);
+        const weightTier = tierOf(line.weightTier);
+        const sumTip = escHtml(`3변합 ${line.threeSideSum}cm → ${sumTier.label} (${sumTier.sum}cm 이하)`);
+        const wgtTip = escHtml(`중량 ${line.weightKg}kg → ${weightTier.label} (${weightTier.weight}kg 이하)`);
+        let sumClass = 'ym-tag--equal';
+        let wgtClass = 'ym-tag--equal';
+        if (line.sumTier !== line.weightTier) {
+          const weightWins = line.sizeSource === 'weight';
+          sumClass = weightWins ? 'ym-tag--dim' : 'ym-tag--sum';
+          wgtClass = weightWins ? 'ym-tag--weight' : 'ym-tag--dim';
+        }
+        const weightMark = wgtClass === 'ym-tag--weight' ? '▲' : '';
+        const tags = [
+          `<span class="ym-tag ${sumClass}" title="${sumTip}">3변합 ${escHtml(sumTier.label)}</span>`,
+          `<span class="ym-tag ${wgtClass}" title="${wgtTip}">중량${weightMark} ${escHtml(weightTier.label)}</span>`,
+        ].join(' ');
+
+        const fee = (n) => n > 0 ? `₩${fmtKrw(n)}` : '-';
+
+        tr.innerHTML = `
+          <td>${line.itemIndex + 1}</td>
+          <td class="cell-name">${escHtml(line.name)}</td>
+          <td>${round1(line.L_cm)}×${round1(line.W_cm)}×${round1(line.H_cm)}</td>
+          <td>${line.weightKg}</td>
+          <td>${line.threeSideSum}</td>
+          <td><strong>${escHtml(line.appliedLabel)}</strong></td>
+          <td class="kr-rationale-cell">${tags}</td>
+          <td>₩${fmtKrw(line.baseRate)}</td>
+          <td>${fee(line.jejuFee)}</td>
+          <td>${fee(line.islandFee)}</td>
+          <td><strong>₩${fmtKrw(line.perPkgTotal)}</strong></td>
+          <td>${line.qty}</td>
+          <td><strong>₩${fmtKrw(line.lineTotal)}</strong></td>
+        `;
+      }
+
+      tbody.appendChild(tr);
+      if (line.hints && line.hints.length) tbody.appendChild(renderHintRow(line));
+    });
+  }
+
+  // Size tier proximity hints under an item row — shrink-to-save and near-tier warnings
+  function renderHintRow(line) {
+    const tr = document.createElement('tr');
+    tr.className = 'hint-row';
+    tr.innerHTML = `<td></td><td colspan="12">${line.hints.map(h =>
+      `<span class="hint-chip hint-chip--${h.kind}" title="${escHtml(h.limit)}">${escHtml(describeThresholdHint(h, n => '₩' + fmtKrw(n)))}</span>`).join(' ')}</td>`;
+    return tr;
+  }
+
+  // ─── Summary ──────────────────────────────────────────────────
+
+  function renderSummary(result) {
+    const activeLines = result.lines.filter(l => !l.error);
+    const totalQty = activeLines.reduce((s, l) => s + l.qty, 0);
+    document.getElementById('kr-sum-count').textContent =
+      activeLines.length + '건 / ' + totalQty + '개';
+
+    document.getElementById('kr-sum-base').textContent = '₩' + fmtKrw(result.baseSubtotal);
+    document.getElementById('kr-sum-jeju').textContent = '₩' + fmtKrw(result.jejuSubtotal);
+    document.getElementById('kr-sum-island').textContent = '₩' + fmtKrw(result.islandSubtotal);
+    document.getElementById('kr-sum-grand').textContent = '₩' + fmtKrw(result.grandTotal);
+
+    const blocked = result.lines.filter(l => l.error);
+    const blockedLabel = blocked.length ? ` | 발송 불가 ${blocked.length}건 (합계 제외)` : '';
+    document.getElementById('kr-sum-route').textContent =
+      `${state.originProvince} (${regionName(result.route.origin)}) → ${state.destProvince} (${regionName(result.route.destination)})${blockedLabel}`;
+  }
+
+  // ─── Events ───────────────────────────────────────────────────
+
+  function onSettingChange() {
+    // Trigger recalculation with current shared items from UI
+    if (typeof UI !== 'undefined' && UI.getItems) {
+      recalculateWithItems(UI.getItems());
+    }
+  }
+
+  function bindEvents() {
+    document.getElementById('kr-origin').addEventListener('change', (e) => {
+      state.originProvince = e.target.value;
+      onSettingChange();
+    });
+
+    document.getElementById('kr-destination').addEventListener('change', (e) => {
+      state.destProvince = e.target.value;
+      onSettingChange();
+    });
+
+    document.getElementById('kr-origin-postal').addEventListener('change', (e) => {
+      state.originPostal = e.target.value.trim();
+      applyPostal('origin', 'originProvince', state.originPostal);
+      document.getElementById('kr-origin').value = state.originProvince;
+      onSettingChange();
+    });
+
+    document.getElementById('kr-dest-postal').addEventListener('change', (e) => {
+      state.destPostal = e.target.value.trim();
+      applyPostal('destination', 'destProvince', state.destPostal);
+      document.getElementById('kr-destination').value = state.destProvince;
+      onSettingChange();
+    });
+
+    document.getElementById('kr-island').addEventListener('change', (e) => {
+      state.island = e.target.checked;
+      onSettingChange();
+    });
+  }
+
+  // ─── Public API ───────────────────────────────────────────────
+
+  // Pricing hook for the cartonizer — current route, or null before data loads
+  function quoteFor(carrierId) {
+    if (!data || carrierId !== CARRIER_ID) return null;
+    return (items) => CarrierRegistry.quote(CARRIER_ID, items.map(toCalcItem), state, data);
+  }
+
+  return { init, recalculateWithItems, quoteFor };
+})();
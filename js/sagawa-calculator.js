@@ -0,0 +1,239 @@
+/**
+ * Sagawa Express Hikyaku Takuhaibin — Shipping Cost Calculator Engine
+ *
+ * Size determination: Applied Size = MAX(3-side-sum tier, weight tier)
+ * Sizes 170–260 are the Hikyaku Large Size tiers. All rates in JPY (tax included).
+ * No separate intraprefectural fare — the same-region price applies.
+ *
+ * Route resolution and discount rules are shared with the Yamato engine
+ * (yamatoResolveRoute, yamatoCalcDiscounts).
+ *
+ * Shows up once a version folder with Sagawa's published tariff is in
+ * public/data/manifest.json, dated like the Yamato tables it is compared with.
+ */
+
+// ─── Size Tier Rules ────────────────────────────────────────────────
+
+const SAGAWA_SIZE_TIERS = [60, 80, 100, 140, 160, 170, 180, 200, 220, 240, 260];
+
+const SAGAWA_WEIGHT_LIMITS = {
+  60: 2, 80: 5, 100: 10, 140: 20, 160: 30,
+  170: 50, 180: 50, 200: 50, 220: 50, 240: 50, 260: 50
+};
+
+const SAGAWA_MAX_THREE_SIDE_CM = 260;
+const SAGAWA_MAX_WEIGHT_KG = 50;
+
+// ─── Size Tier Determination ────────────────────────────────────────
+
+function sagawaCalcSize(L_cm, W_cm, H_cm, weightKg) {
+  const longest = Math.max(L_cm, W_cm, H_cm);
+  const threeSideSum = L_cm + W_cm + H_cm;
+
+  if (threeSideSum > SAGAWA_MAX_THREE_SIDE_CM) {
+    return {
+      error: true,
+      reason: `3辺合計 ${threeSideSum.toFixed(0)}cm > ${SAGAWA_MAX_THREE_SIDE_CM}cm 超過`,
+      threeSideSum, longest
+    };
+  }
+  if (weightKg > SAGAWA_MAX_WEIGHT_KG) {
+    return {
+      error: true,
+      reason: `重量 ${weightKg.toFixed(1)}kg > ${SAGAWA_MAX_WEIGHT_KG}kg 超過`,
+      threeSideSum, longest
+    };
+  }
+
+  const sumTier = SAGAWA_SIZE_TIERS.find(tier => threeSideSum <= tier);
+  const weightTier = SAGAWA_SIZE_TIERS.find(tier => weightKg <= SAGAWA_WEIGHT_LIMITS[tier]);
+  const appliedSize = Math.max(sumTier, weightTier);
+  const sizeSource = sumTier >= weightTier ? 'sum' : 'weight';
+
+  return {
+    error: false,
+    threeSideSum: Math.round(threeSideSum * 10) / 10,
+    longest: Math.round(longest * 10) / 10,
+    sumTier,
+    weightTier,
+    appliedSize,
+    sizeSource,
+    reason: sizeSource === 'sum'
+      ? `3辺計 ${threeSideSum.toFixed(0)}cm → Size ${sumTier}`
+      : `重量 ${weightKg.toFixed(1)}kg → Size ${weightTier}`
+  };
+}
+
+// ─── Rate Lookup ────────────────────────────────────────────────────
+
+function sagawaLookupRate(origin, destination, appliedSize, rates) {
+  const sizeRates = (rates[origin] || {})[String(appliedSize)];
+  const rate = sizeRates ? sizeRates[destination] : null;
+  return rate == null ? 0 : rate;
+}
+
+// ─── Line Item Calculation ──────────────────────────────────────────
+
+/**
+ * @param {Object} item - { name, L_cm, W_cm, H_cm, weightKg, qty }
+ * @param {string} origin - zone id
+ * @param {string} destination - zone id
+ * @param {string[]} selectedDiscounts - ['dropoff']
+ * @param {Object} rates
+ * @param {Object} discounts
+ * @param {Object} [shipment] - { packageCount } for discount conditions (default: this line alone)
+ */
+function sagawaCalcLineItem(item, origin, destination, selectedDiscounts, rates, discounts, shipment) {
+  const { L_cm, W_cm, H_cm, weightKg, qty } = item;
+
+  const size = sagawaCalcSize(L_cm, W_cm, H_cm, weightKg);
+
+  if (size.error) {
+    return {
+      name: item.name || '',
+      L_cm, W_cm, H_cm, weightKg, qty,
+      error: true,
+      errorReason: size.reason,
+      threeSideSum: size.threeSideSum,
+      longest: size.longest,
+      appliedSize: null,
+      baseRate: 0,
+      options: [],
+      optionErrors: [],
+      optionTotal: 0,
+      discountTotal: 0,
+      discountDetails: [],
+      discountRejected: [],
+      perPkgTotal: 0,
+      lineTotal: 0,
+      isIntrapref: false,
+    };
+  }
+
+  const rate = sagawaLookupRate(origin, destination, size.appliedSize, rates);
+  const discountCalc = yamatoCalcDiscounts(selectedDiscounts, discounts, shipment || { packageCount: qty });
+
+  const perPkgTotal = Math.max(0, rate + discountCalc.total);
+  const lineTotal = perPkgTotal * qty;
+
+  return {
+    name: item.name || '',
+    L_cm, W_cm, H_cm, weightKg, qty,
+    error: false,
+    threeSideSum: size.threeSideSum,
+    longest: size.longest,
+    sumTier: size.sumTier,
+    weightTier: size.weightTier,
+    appliedSize: size.appliedSize,
+    sizeSource: size.sizeSource,
+    sizeReason: size.reason,
+    baseRate: rate,
+    isIntrapref: false,
+    options: [],
+    optionErrors: [],
+    optionTotal: 0,
+    discountTotal: discountCalc.total,
+    discountDetails: discountCalc.applied,
+    discountRejected: discountCalc.rejected,
+    perPkgTotal,
+    lineTotal,
+  };
+}
+
+// ─── Grand Total ────────────────────────────────────────────────────
+
+function sagawaCalcAll(items, origin, destination, selectedDiscounts, rates, discounts) {
+  const active = items.filter(item => item.qty > 0);
+
+  const shipment = {
+    packageCount: active
+      .filter(item => !sagawaCalcSize(item.L_cm, item.W_cm, item.H_cm, item.weightKg).error)
+      .reduce((s, item) => s + item.qty, 0),
+  };
+
+  const lines = active.map(item => sagawaCalcLineItem(
+    item, origin, destination, selectedDiscounts, rates, discounts, shipment
+  ));
+
+  const discountRejected = yamatoCalcDiscounts(selectedDiscounts, discounts, shipment).rejected;
+
+  return {
+    lines,
+    grandTotal: lines.reduce((s, l) => s + l.lineTotal, 0),
+    baseSubtotal: lines.reduce((s, l) => s + (l.baseRate * l.qty), 0),
+    discountSubtotal: lines.reduce((s, l) => s + (l.discountTotal * l.qty), 0),
+    discountRejected,
+  };
+}
+
+// ─── Carrier Registration ───────────────────────────────────────────
+
+/**
+ * Registry entry point.
+ * @param {Object[]} items
+ * @param {Object} settings - { originPref, destPref, discounts }
+ *                            (or explicit origin, destination)
+ * @param {Object} data     - { rates, zones, discounts, meta }
+ */
+function sagawaQuote(items, settings, data) {
+  const route = yamatoResolveRoute(data.zones, settings);
+  const result = sagawaCalcAll(
+    items,
+    route.origin,
+    route.destination,
+    settings.discounts,
+    data.rates,
+    data.discounts
+  );
+  return {
+    ...result,
+    carrier: 'sagawa',
+    currency: 'JPY',
+    route,
+    lines: CarrierRegistry.indexLines(items, result.lines),
+    components: {
+      base: result.baseSubtotal,
+      discount: result.discountSubtotal,
+    },
+  };
+}
+
+if (typeof CarrierRegistry !== 'undefined') {
+  CarrierRegistry.register({
+    id: 'sagawa',
+    name: 'Sagawa Hikyaku Takuhaibin',
+    shortName: 'Sagawa',
+    country: 'JP',
+    currency: 'JPY',
+    theme: 'sagawa',
+    chartRgb: '14, 165, 233',
+    files: {
+      rates: 'rates.json',
+      zones: 'zones.json',
+      discounts: 'discounts.json',
+      meta: 'meta.json',
+    },
+    settings: [
+      { key: 'originPref', type: 'select', label: '출발지', default: () => '東京都' },
+      { key: 'destPref', type: 'select', label: '도착지', default: () => '大阪府' },
+      { key: 'discounts', type: 'multi', label: '할인', default: () => [] },
+    ],
+    quote: sagawaQuote,
+    thresholds: {
+      specs: (line, item) => tierThresholdSpecs({
+        sizes: SAGAWA_SIZE_TIERS.map(t => ({ label: `Size ${t}`, sum: t, weight: SAGAWA_WEIGHT_LIMITS[t] })),
+        maxSum: SAGAWA_MAX_THREE_SIDE_CM, maxWeight: SAGAWA_MAX_WEIGHT_KG,
+      }, item),
+      label: (line) => (line.error ? '발송 불가' : `Size ${line.appliedSize}`),
+    },
+  });
+}
+
+// ─── Exports ────────────────────────────────────────────────────────
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    sagawaCalcSize, sagawaLookupRate, sagawaCalcLineItem, sagawaCalcAll, sagawaQuote,
+    SAGAWA_SIZE_TIERS, SAGAWA_WEIGHT_LIMITS, SAGAWA_MAX_THREE_SIDE_CM, SAGAWA_MAX_WEIGHT_KG,
+  };
+}
@@ -0,0 +1,113 @@
+/**
+ * Split Advisor — ship a surcharge-triggering line as one package or split it.
+ *
+ * Carrier-neutral like the cartonizer: each option is priced through a quote
+ * callback per carrier ((items) → normalized quote), so AHS minimum billable
+ * weight, USPS limits and Yamato / Sagawa / CJ size errors come straight from
+ * the registered engines.
+ *
+ * Split modes (per piece of the line, into N packages):
+ *   weight — weight ÷ N, dimensions kept (parts packed in the same size box)
+ *   length — weight ÷ N and the longest side ÷ N (cut along its length)
+ */
+
+const SPLIT_MODES = {
+    weight: '중량만 분할 (치수 유지)',
+    length: '길이 방향 분할 (최장변 ÷ N)',
+};
+
+const SPLIT_DEFAULT_MAX_PARTS = 4;
+
+// ─── Flags ───────────────────────────────────────────────────────────
+
+/** Line the carrier surcharges (US scType) or cannot take (error) */
+function splitLineFlagged(line) {
+    return !!line && (line.error || (line.scType != null && line.scType !== 'OK'));
+}
+
+// ─── Options ─────────────────────────────────────────────────────────
+
+/**
+ * One piece of item as N packages; qty scales so the line still covers every piece.
+ * Other fields (packaging, destId, codAmount) carry over unchanged, so an option
+ * is priced as the row it becomes.
+ * @param {Object} item - { name, L_mm, W_mm, H_mm, weightKg, qty, ... }
+ */
+function splitItem(item, parts, mode) {
+    if (parts <= 1) return { ...item };
+    const dims = { L_mm: item.L_mm, W_mm: item.W_mm, H_mm: item.H_mm };
+    if (mode === 'length') {
+        const longest = ['L_mm', 'W_mm', 'H_mm'].reduce((a, b) => (dims[b] > dims[a] ? b : a));
+        dims[longest] = Math.round(dims[longest] / parts);
+    }
+    return {
+        ...item,
+        ...dims,
+        name: `${item.name} [1/${parts}]`,
+        weightKg: Math.round(item.weightKg / parts * 100) / 100,
+        qty: item.qty * parts,
+    };
+}
+
+/**
+ * @param {Object} item
+ * @param {Object} quoteFns - { carrierId: (items) → quote }
+ * @param {Object} [opts]   - { maxParts, mode }
+ * @returns {{ parts, item, costs: { carrierId: { total, perPiece, line, blocked, flagged } } }[]}
+ *   parts 1 = ship as one; total covers the whole line (every piece)
+ */
+function splitOptions(item, quoteFns, opts = {}) {
+    const maxParts = opts.maxParts || SPLIT_DEFAULT_MAX_PARTS;
+    const mode = opts.mode || 'weight';
+    const options = [];
+    for (let parts = 1; parts <= maxParts; parts++) {
+        const candidate = splitItem(item, parts, mode);
+        const costs = {};
+        Object.entries(quoteFns).forEach(([carrierId, quote]) => {
+            const q = quote([candidate]);
+            const line = q.lines[0] || null;
+            const blocked = !line || !!line.error;
+            costs[carrierId] = {
+                total: blocked ? null : q.grandTotal,
+                perPiece: blocked || !item.qty ? null : q.grandTotal / item.qty,
+                line,
+                blocked,
+                flagged: splitLineFlagged(line),
+            };
+        });
+        options.push({ parts, item: candidate, costs });
+    }
+    return options;
+}
+
+/**
+ * Cheapest option per carrier and what it saves against shipping as one.
+ * @returns {{ carrierId: { parts, total, savings } | null }}
+ *   savings null when the line cannot ship as one (splitting makes it shippable)
+ */
+function splitBest(options) {
+    const best = {};
+    Object.keys(options[0].costs).forEach(carrierId => {
+        const asOne = options[0].costs[carrierId];
+        let pick = null;
+        options.forEach(o => {
+            const c = o.costs[carrierId];
+            if (c.total == null) return;
+            if (!pick || c.total < pick.total - 1e-9) pick = { parts: o.parts, total: c.total };
+        });
+        best[carrierId] = pick && {
+            ...pick,
+            savings: asOne.total == null ? null : asOne.total - pick.total,
+        };
+    });
+    return best;
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        splitLineFlagged, splitItem, splitOptions, splitBest,
+        SPLIT_MODES, SPLIT_DEFAULT_MAX_PARTS,
+    };
+}
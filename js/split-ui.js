@@ -0,0 +1,225 @@
+/**
+ * Split UI — 분할 검토 (split-or-consolidate advisor) modal.
+ * For every row of the shared items table that some carrier surcharges or
+ * cannot take, prices shipping it as one package against splitting it into
+ * N packages under every carrier (tab modules' quoteFor() hooks), and shows
+ * the savings. A chosen split replaces the row in the items table.
+ * Depends on: split-advisor.js, CarrierRegistry, UI.
+ */
+
+const SplitUI = (() => {
+  const CURRENCY_SYMBOLS = { USD: '$', JPY: '¥', KRW: '₩' };
+
+  let mode = 'weight';
+  let maxParts = SPLIT_DEFAULT_MAX_PARTS;
+  let advice = [];   // { item, carriers, options, best }, one per flagged row
+
+  // ─── Utilities ──────────────────────────────────────────────────
+
+  function escHtml(str) {
+    if (str == null || str === '') return '';
+    return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+                      .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+  }
+
+  function fmtMoney(n, currency) {
+    const symbol = CURRENCY_SYMBOLS[currency] || '';
+    if (currency === 'USD') {
+      return symbol + n.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    }
+    return symbol + Math.round(n).toLocaleString('ja-JP');
+  }
+
+  function dimsLabel(obj) {
+    return `${Math.round(obj.L_mm)}×${Math.round(obj.W_mm)}×${Math.round(obj.H_mm)}`;
+  }
+
+  // ─── Initialization ─────────────────────────────────────────────
+
+  function init() {
+    document.getElementById('btn-split-advisor').addEventListener('click', open);
+  }
+
+  // Tab module that prices a carrier's country
+  function tabModule(country) {
+    if (country === 'US') return typeof UI !== 'undefined' ? UI : null;
+    if (country === 'JP') return typeof JapanUI !== 'undefined' ? JapanUI : null;
+    if (country === 'KR') return typeof KoreaUI !== 'undefined' ? KoreaUI : null;
+    return null;
+  }
+
+  // Carriers with a pricing hook — JP / KR drop out when their data failed to load
+  function pricedCarriers(destId) {
+    const quoteFns = {};
+    const carriers = CarrierRegistry.list().filter(c => {
+      const mod = tabModule(c.country);
+      const quote = mod && mod.quoteFor ? mod.quoteFor(c.id, destId) : null;
+      if (quote) quoteFns[c.id] = quote;
+      return !!quote;
+    });
+    return { carriers, quoteFns };
+  }
+
+  // ─── Advice ─────────────────────────────────────────────────────
+
+  function runAdvice() {
+    advice = [];
+    UI.getItems().filter(item => item.qty > 0).forEach(item => {
+      const { carriers, quoteFns } = pricedCarriers(item.destId || '');
+      const asOne = splitOptions(item, quoteFns, { maxParts: 1, mode })[0];
+      if (!Object.values(asOne.costs).some(c => c.flagged)) return;
+
+      const options = splitOptions(item, quoteFns, { maxParts, mode });
+      advice.push({ item, carriers, options, best: splitBest(options) });
+    });
+  }
+
+  // ─── Modal ──────────────────────────────────────────────────────
+
+  function open() {
+    runAdvice();
+
+    const modal = document.getElementById('modal-content');
+    modal.classList.add('modal--wide');
+    modal.innerHTML = `
+  <div class="help-modal split-modal">
+    <h3>✂️ 분할 검토</h3>
+    <p class="split-intro">추가 수수료(AHS·Oversize 등)가 붙거나 발송 불가인 품목을 한 개로 보낼 때와 N개로 나눠 보낼 때의 배송비를 배송사별로 비교합니다.
+      금액은 현재 탭 설정으로 각 배송사 엔진이 계산한 품목 행 전체(수량 포함) 합계입니다.</p>
+
+    <div class="split-controls">
+      <div class="setting-group setting-group--inline">
+        <label for="split-mode">분할 방식</label>
+        <select id="split-mode">
+          ${Object.entries(SPLIT_MODES).map(([key, label]) =>
+            `<option value="${key}"${key === mode ? ' selected' : ''}>${escHtml(label)}</option>`).join('')}
+        </select>
+      </div>
+      <div class="setting-group setting-group--inline">
+        <label for="split-max">최대 분할</label>
+        <select id="split-max">
+          ${[2, 3, 4, 5, 6].map(n => `<option value="${n}"${n === maxParts ? ' selected' : ''}>${n}개</option>`).join('')}
+        </select>
+      </div>
+    </div>
+
+    <div id="split-results"></div>
+
+    <div class="modal-actions">
+      <button class="btn" onclick="UI.closeModal()">닫기</button>
+    </div>
+  </div>
+`;
+    document.getElementById('split-mode').addEventListener('change', (e) => {
+      mode = e.target.value;
+      refresh();
+    });
+    document.getElementById('split-max').addEventListener('change', (e) => {
+      maxParts = Number(e.target.value);
+      refresh();
+    });
+    renderResults();
+    document.getElementById('modal-overlay').classList.add('active');
+  }
+
+  function refresh() {
+    runAdvice();
+    renderResults();
+  }
+
+  // ─── Results ────────────────────────────────────────────────────
+
+  function costCell(cost, carrier, isBest) {
+    if (cost.blocked) return '<td class="error-cell">발송 불가</td>';
+    const sc = cost.line && cost.line.scType && cost.line.scType !== 'OK'
+      ? `<div class="split-sc">${escHtml(cost.line.scType)}</div>` : '';
+    const amount = fmtMoney(cost.total, carrier.currency);
+    return `<td class="${carrier.theme}-cell${isBest ? ' split-best' : ''}">${isBest ? `<strong>${amount}</strong>` : amount}${sc}</td>`;
+  }
+
+  function savingsCell(best, carrier) {
+    if (!best) return '<td class="error-cell">발송 불가</td>';
+    if (best.savings == null) return `<td class="diff-negative">${best.parts}분할 시 발송 가능</td>`;
+    if (best.savings < 0.005) return '<td class="diff-zero">한 개로 발송</td>';
+    return `<td class="diff-negative">-${fmtMoney(best.savings, carrier.currency)} (${best.parts}분할)</td>`;
+  }
+
+  function renderResults() {
+    const el = document.getElementById('split-results');
+    if (!advice.length) {
+      el.innerHTML = '<p class="split-empty">추가 수수료나 발송 제한에 걸리는 품목이 없습니다</p>';
+      return;
+    }
+
+    el.innerHTML = advice.map(a => {
+      const carriers = a.carriers;
+      const flags = carriers
+        .filter(c => a.options[0].costs[c.id].flagged)
+        .map(c => {
+          const cost = a.options[0].costs[c.id];
+          const label = cost.blocked ? '발송 불가' : cost.line.scType;
+          return `<span class="zip-zone zip-zone--warn">${escHtml(c.shortName)}: ${escHtml(label)}</span>`;
+        }).join('');
+
+      const rows = a.options.map(o => `
+        <tr>
+          <td>${o.parts === 1 ? '한 개로' : `${o.parts}분할`}</td>
+          <td>${dimsLabel(o.item)} · ${o.item.weightKg}kg × ${o.item.qty}</td>
+          ${carriers.map(c => costCell(o.costs[c.id], c, !!a.best[c.id] && a.best[c.id].parts === o.parts)).join('')}
+          <td>${o.parts === 1 ? '' : `<button class="btn btn-sm" onclick="SplitUI.apply(${a.item.id}, ${o.parts})">적용</button>`}</td>
+        </tr>
+      `).join('');
+
+      return `
+        <div class="help-section split-item">
+          <h4>${escHtml(a.item.name) || '(이름 없음)'} <span class="split-item-dims">${dimsLabel(a.item)}mm · ${a.item.weightKg}kg × ${a.item.qty}</span></h4>
+          <div class="split-flags">${flags}</div>
+          <div class="table-scroll">
+            <table class="compare-table split-table">
+              <thead>
+                <tr>
+                  <th>옵션</th><th>패키지</th>
+                  ${carriers.map(c => `<th class="th-${c.theme}">${escHtml(c.shortName)}</th>`).join('')}
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                ${rows}
+                <tr class="split-savings">
+                  <td colspan="2">절감</td>
+                  ${carriers.map(c => savingsCell(a.best[c.id], c)).join('')}
+                  <td></td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  // ─── Apply ──────────────────────────────────────────────────────
+
+  function apply(itemId, parts) {
+    const item = UI.getItems().find(i => i.id === itemId);
+    if (!item) return;
+    const split = splitItem(item, parts, mode);
+    UI.replaceItems([itemId], [{
+      name: split.name,
+      L_mm: split.L_mm,
+      W_mm: split.W_mm,
+      H_mm: split.H_mm,
+      weightKg: split.weightKg,
+      qty: split.qty,
+      packaging: item.packaging,
+      destId: item.destId,
+      codAmount: item.codAmount,
+    }]);
+    UI.closeModal();
+    UI.showToast(`${item.name} → ${parts}분할 적용`, 'success');
+  }
+
+  // ─── Public API ───────────────────────────────────────────────
+
+  return { init, apply };
+})();
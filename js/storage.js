@@ -1,9 +1,14 @@
 /**
- * Storage — LocalStorage scenarios + URL state sharing.
+ * Storage — LocalStorage scenarios + URL state sharing + account contract profile
+ * + carton catalog.
  */
 
 const Storage = (() => {
     const STORAGE_KEY = 'musicus_shipping_scenarios';
+    // Kept out of the URL state: contract terms stay on this machine
+    const ACCOUNT_KEY = 'musicus_shipping_account';
+    // Our own carton sizes for the cartonizer (see cartonizer.js)
+    const CARTON_KEY = 'musicus_shipping_cartons';
 
     // ─── URL State ──────────────────────────────────────────────────
 
@@ -82,6 +87,44 @@ const Storage = (() => {
         return found ? found.state : null;
     }
 
+    // ─── Account Contract Profile ───────────────────────────────────
+
+    function loadAccountProfile() {
+        try {
+            const raw = localStorage.getItem(ACCOUNT_KEY);
+            return raw ? JSON.parse(raw) : null;
+        } catch {
+            return null;
+        }
+    }
+
+    function saveAccountProfile(profile) {
+        localStorage.setItem(ACCOUNT_KEY, JSON.stringify(profile));
+    }
+
+    function clearAccountProfile() {
+        localStorage.removeItem(ACCOUNT_KEY);
+    }
+
+    // ─── Carton Catalog ─────────────────────────────────────────────
+
+    function loadCartonCatalog() {
+        try {
+            const raw = localStorage.getItem(CARTON_KEY);
+            return raw ? JSON.parse(raw) : null;
+        } catch {
+            return null;
+        }
+    }
+
+    function saveCartonCatalog(cartons) {
+        localStorage.setItem(CARTON_KEY, JSON.stringify(cartons));
+    }
+
+    function clearCartonCatalog() {
+        localStorage.removeItem(CARTON_KEY);
+    }
+
     // ─── JSON Export / Import ───────────────────────────────────────
 
     function exportJSON(state) {
@@ -112,6 +155,8 @@ const Storage = (() => {
     return {
         saveToURL, loadFromURL, getShareURL,
         getScenarios, saveScenario, deleteScenario, loadScenario,
+        loadAccountProfile, saveAccountProfile, clearAccountProfile,
+        loadCartonCatalog, saveCartonCatalog, clearCartonCatalog,
         exportJSON, importJSON,
     };
 })();
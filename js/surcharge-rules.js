@@ -0,0 +1,303 @@
+/**
+ * Surcharge Rule Evaluator — shared by the US carrier engines (FedEx / Amazon / UPS)
+ *
+ * Evaluates the declarative `rules` block of a carrier's surcharges.json
+ * (conditions, logic, min_billable_lb, priority_order) against a package.
+ * Thresholds live only in the data files; the engines decide what to do
+ * with the triggered rules (pick first, compare amounts, etc.).
+ * Also looks up the diesel-indexed fuel surcharge (fuel_diesel_table) and
+ * the weekly diesel price for a ship date (fuel-history.json).
+ *
+ * Depends on: calculator.js unit helpers (cmToInchCeil, kgToLb).
+ */
+
+// ─── Field Labels (for reason strings) ──────────────────────────────
+
+const RULE_FIELD_LABELS = {
+    longest_inch: { label: '최장변', unit: 'in' },
+    second_longest_inch: { label: '둘째변', unit: 'in' },
+    third_longest_inch: { label: '셋째변', unit: 'in' },
+    length_girth_inch: { label: 'L+Girth', unit: 'in' },
+    girth_inch: { label: 'Girth', unit: 'in' },
+    cubic_inch: { label: '부피', unit: 'in³' },
+    actual_weight_lb: { label: '실중량', unit: 'lb', digits: 1 },
+    actual_weight_kg: { label: '실중량', unit: 'kg', digits: 1 },
+    non_standard_packaging: { label: '비표준 포장' },
+};
+
+// ─── Packaging Types ────────────────────────────────────────────────
+
+// Anything not fully encased in corrugated cardboard counts as
+// non-standard packaging (AHS-Pkg) for every US carrier.
+const DEFAULT_PACKAGING = 'corrugated';
+
+const PACKAGING_TYPES = {
+    corrugated: { label: '골판지 박스', nonStandard: false },
+    wood: { label: '목재 크레이트', nonStandard: true },
+    metal: { label: '금속 케이스', nonStandard: true },
+    plastic: { label: '플라스틱 케이스', nonStandard: true },
+    cylindrical: { label: '원통형 (튜브/롤)', nonStandard: true },
+    soft_pack: { label: '비닐/소프트 포장', nonStandard: true },
+    shrink_wrap: { label: '수축 포장', nonStandard: true },
+    wheels: { label: '바퀴/캐스터 노출', nonStandard: true },
+};
+
+function isNonStandardPackaging(packaging) {
+    const def = PACKAGING_TYPES[packaging || DEFAULT_PACKAGING];
+    return def ? def.nonStandard : false;
+}
+
+const RULE_OPS = {
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b,
+};
+
+// ─── Package Metrics ────────────────────────────────────────────────
+
+/**
+ * Build the field values that rule conditions refer to.
+ * Each side is rounded up to whole inches before sorting/summing,
+ * same as the carriers' published measuring rules.
+ *
+ * @param {string} [packaging] - PACKAGING_TYPES key (default corrugated)
+ */
+function buildPackageMetrics(L_cm, W_cm, H_cm, weightKg, packaging) {
+    const dims_cm = [L_cm, W_cm, H_cm].sort((a, b) => b - a);
+    const longest = cmToInchCeil(dims_cm[0]);
+    const second = cmToInchCeil(dims_cm[1]);
+    const third = cmToInchCeil(dims_cm[2]);
+    const lengthGirth = longest + 2 * (second + third);
+
+    return {
+        longest_inch: longest,
+        second_longest_inch: second,
+        third_longest_inch: third,
+        length_girth_inch: lengthGirth,
+        girth_inch: lengthGirth,
+        cubic_inch: longest * second * third,
+        actual_weight_lb: kgToLb(weightKg),
+        actual_weight_kg: weightKg,
+        non_standard_packaging: isNonStandardPackaging(packaging),
+        packaging: packaging || DEFAULT_PACKAGING,
+    };
+}
+
+// ─── Condition / Rule Evaluation ────────────────────────────────────
+
+function evaluateCondition(cond, metrics) {
+    const test = RULE_OPS[cond.op];
+    if (!test) throw new Error(`Unknown rule operator: ${cond.op}`);
+    const actual = metrics[cond.field];
+    if (actual == null) return false;
+    return test(actual, cond.value);
+}
+
+/**
+ * @returns {Object[]|null} matched conditions, or null if the rule does not apply
+ *   OR     → first matching condition
+ *   AND    → all conditions (only when every one matches)
+ *   SINGLE → the one condition
+ */
+function evaluateRule(rule, metrics) {
+    const conds = rule.conditions || [];
+    if (rule.logic === 'AND') {
+        return conds.length > 0 && conds.every(c => evaluateCondition(c, metrics)) ? conds : null;
+    }
+    const hit = conds.find(c => evaluateCondition(c, metrics));
+    return hit ? [hit] : null;
+}
+
+function describeCondition(cond, metrics) {
+    const meta = RULE_FIELD_LABELS[cond.field] || { label: cond.field };
+    const actual = metrics[cond.field];
+    if (cond.field === 'non_standard_packaging') {
+        const pkg = PACKAGING_TYPES[metrics.packaging];
+        return pkg ? `${meta.label} (${pkg.label})` : meta.label;
+    }
+    if (typeof actual === 'boolean') return meta.label;
+    const shown = meta.digits != null ? actual.toFixed(meta.digits) : actual;
+    const unit = meta.unit ? ' ' + meta.unit : '';
+    return `${meta.label} ${shown}${unit} ${cond.op} ${cond.value}${unit}`;
+}
+
+// ─── Priority Order ─────────────────────────────────────────────────
+
+/**
+ * Expand priority_order into rule keys. An entry that is not itself a rule
+ * names a group whose order is given by `<name>_priority`
+ * (e.g. Amazon "AHS" → ahs_priority).
+ */
+function expandRulePriority(rules) {
+    const order = [];
+    (rules.priority_order || []).forEach(key => {
+        if (rules[key] && rules[key].conditions) {
+            order.push(key);
+            return;
+        }
+        const group = rules[`${key.toLowerCase()}_priority`];
+        if (Array.isArray(group)) order.push(...group);
+    });
+    return order;
+}
+
+/**
+ * Evaluate every rule in priority order.
+ * @returns {{ key: string, minLb: number|null, reason: string }[]} triggered rules, highest priority first
+ */
+function evaluateSurchargeRules(rules, metrics) {
+    if (!rules) return [];
+    const hits = [];
+    expandRulePriority(rules).forEach(key => {
+        const rule = rules[key];
+        if (!rule) return;
+        const matched = evaluateRule(rule, metrics);
+        if (!matched) return;
+        hits.push({
+            key,
+            minLb: rule.min_billable_lb != null ? rule.min_billable_lb : null,
+            reason: matched.map(c => describeCondition(c, metrics)).join(' & '),
+        });
+    });
+    return hits;
+}
+
+// ─── Fuel Surcharge from Diesel Price ────────────────────────────────
+
+// Plausible weekly diesel prices ($/gal); typed-in values are clamped to this range
+const DIESEL_PRICE_MIN = 1;
+const DIESEL_PRICE_MAX = 10;
+
+function clampDieselPrice(price) {
+    const n = Number(price);
+    if (!n) return 0;
+    return Math.min(DIESEL_PRICE_MAX, Math.max(DIESEL_PRICE_MIN, n));
+}
+
+/**
+ * Fuel surcharge % for a weekly diesel price ($/gal) from the carrier's
+ * fuel_diesel_table, extended by fuel_extension_rule outside the table.
+ */
+function dieselFuelPct(dieselPrice, surchargeData) {
+    const table = surchargeData.fuel_diesel_table;
+    if (!table || !dieselPrice) return 0;
+
+    // Direct table lookup
+    for (const row of table) {
+        if (dieselPrice >= row.min && dieselPrice < row.max) {
+            return row.pct;
+        }
+    }
+
+    // Extension rule: outside table range
+    const ext = surchargeData.fuel_extension_rule;
+    if (!ext) return 0;
+
+    const firstRow = table[0];
+    const lastRow = table[table.length - 1];
+
+    // Whole increments between the price and the table edge (epsilon absorbs float noise at exact steps)
+    const EPS = 1e-9;
+
+    if (dieselPrice < firstRow.min) {
+        // Below table: one increment_pct off per increment_price started below the first row
+        const steps = Math.ceil((firstRow.min - dieselPrice) / ext.increment_price - EPS);
+        return Math.max(0, Math.round((firstRow.pct - steps * ext.increment_pct) * 100) / 100);
+    }
+
+    // Above table: one increment_pct per full increment_price from the last row's max
+    const steps = dieselPrice >= lastRow.max
+        ? Math.floor((dieselPrice - lastRow.max) / ext.increment_price + EPS) + 1
+        : 0;
+    return Math.round((lastRow.pct + steps * ext.increment_pct) * 100) / 100;
+}
+
+// ─── Fuel History by Ship Date ───────────────────────────────────────
+
+/** Monday (UTC) of the week containing an ISO date, as 'YYYY-MM-DD'; null if invalid */
+function fuelWeekStart(isoDate) {
+    const m = String(isoDate || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!m) return null;
+    const d = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])));
+    if (isNaN(d) || d.getUTCMonth() !== Number(m[2]) - 1 || d.getUTCDate() !== Number(m[3])) return null;
+    d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+    return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Pick the weekly diesel price that sets the fuel surcharge for a ship date.
+ * fuel-history.json: { lag_weeks, weeks: [{ week: 'YYYY-MM-DD' (Monday), diesel }] }
+ * The carrier applies the price published lag_weeks before the ship week.
+ * @returns {{ status, week, diesel, message }}
+ *   status: 'ok' | 'stale' | 'before-history' | 'no-history' | 'invalid'
+ *   week/diesel are null unless status is 'ok' or 'stale' (latest week older than needed).
+ */
+function fuelForShipDate(history, shipDate) {
+    const result = { status: 'invalid', week: null, diesel: null, message: '' };
+
+    const shipWeek = fuelWeekStart(shipDate);
+    if (!shipWeek) {
+        result.message = '발송일 형식 오류 (YYYY-MM-DD)';
+        return result;
+    }
+
+    const weeks = (history && history.weeks) || [];
+    if (weeks.length === 0) {
+        result.status = 'no-history';
+        result.message = '연료 이력 미수록 (EIA 주간 경유가격 CSV를 import-fuel-history.js로 가져오세요) — 경유가격 입력값 사용';
+        return result;
+    }
+
+    const target = new Date(`${shipWeek}T00:00:00Z`);
+    target.setUTCDate(target.getUTCDate() - 7 * (history.lag_weeks || 0));
+    const targetWeek = target.toISOString().slice(0, 10);
+
+    // weeks are sorted ascending; ISO dates compare as strings
+    let hit = null;
+    weeks.forEach(w => { if (w.week <= targetWeek) hit = w; });
+    if (!hit) {
+        result.status = 'before-history';
+        result.message = `${targetWeek} 주 이력 없음 (최초 ${weeks[0].week}) — 경유가격 입력값 사용`;
+        return result;
+    }
+
+    result.status = hit.week === targetWeek ? 'ok' : 'stale';
+    result.week = hit.week;
+    result.diesel = hit.diesel;
+    if (result.status === 'stale') {
+        result.message = `${targetWeek} 주 값 없음 — 최근 ${hit.week} 주 적용`;
+    }
+    return result;
+}
+
+/**
+ * Diesel price used for a quote. With a ship date and history the dated
+ * week wins; otherwise the typed-in diesel price.
+ * @returns {{ source: 'history'|'input', diesel, week, status, message }}
+ */
+function resolveFuelDiesel(settings, history) {
+    const typed = { source: 'input', diesel: settings.dieselPrice, week: null, status: null, message: '' };
+    if (!settings.shipDate) return typed;
+
+    const r = fuelForShipDate(history, settings.shipDate);
+    if (r.status === 'ok' || r.status === 'stale') {
+        return { source: 'history', diesel: r.diesel, week: r.week, status: r.status, message: r.message };
+    }
+    return { ...typed, status: r.status, message: r.message };
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        buildPackageMetrics, evaluateCondition, evaluateRule,
+        describeCondition, expandRulePriority, evaluateSurchargeRules,
+        isNonStandardPackaging, dieselFuelPct, clampDieselPrice,
+        fuelWeekStart, fuelForShipDate, resolveFuelDiesel,
+        RULE_FIELD_LABELS, RULE_OPS, PACKAGING_TYPES, DEFAULT_PACKAGING,
+        DIESEL_PRICE_MIN, DIESEL_PRICE_MAX,
+    };
+}
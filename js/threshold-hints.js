@@ -0,0 +1,281 @@
+/**
+ * Threshold Hints — how far a package is from the next cheaper (or dearer) tier.
+ *
+ * A carrier opts in with a `thresholds` block on its registry entry:
+ *   thresholds: {
+ *     specs(line, item, data) → spec[]   (ruleThresholdSpecs / tierThresholdSpecs)
+ *     label(line) → string               tier or surcharge the line landed in
+ *   }
+ * Every spec is priced by re-quoting the package with one measurement changed,
+ * so savings come from the carrier's own engine and the current settings
+ * (contract, fuel, zone, route):
+ *   over — past a threshold: shrinking by `change` saves `delta`
+ *   near — within HINT_NEAR_CM / HINT_NEAR_KG under one: growing by `change` costs `delta` more
+ *
+ * Spec: { key, kind: 'over'|'near', lever: 'longest'|'second'|'third'|'sum'|'weight',
+ *         change, unit: 'cm'|'kg', limit }   (change rounded up to 0.1, always positive)
+ * Hint: spec + { seq, delta, after, unblocks, blocks }   (seq = order among the line's specs)
+ *
+ * Depends on: calculator.js (cmToInchCeil, KG_TO_LB), surcharge-rules.js.
+ */
+
+const HINT_NEAR_CM = 3;
+const HINT_NEAR_KG = 1;
+const HINT_MAX_PER_LINE = 4;
+
+const HINT_LEVER_LABELS = {
+    longest: '최장변',
+    second: '둘째변',
+    third: '셋째변',
+    sum: '3변합',
+    weight: '중량',
+};
+
+// Rule field → the measurement that moves it (L+Girth moves with the longest side)
+const RULE_FIELD_LEVERS = {
+    longest_inch: 'longest',
+    second_longest_inch: 'second',
+    third_longest_inch: 'third',
+    length_girth_inch: 'longest',
+    girth_inch: 'longest',
+    cubic_inch: 'third',
+    actual_weight_lb: 'weight',
+    actual_weight_kg: 'weight',
+};
+
+// ─── Levers ──────────────────────────────────────────────────────────
+
+/** Smallest 0.1 step strictly past diff */
+function hintStep(diff) {
+    return (Math.floor(diff * 10 + 1e-9) + 1) / 10;
+}
+
+function hintSideKeys(item) {
+    return ['L_cm', 'W_cm', 'H_cm'].sort((a, b) => item[b] - item[a]);
+}
+
+function hintLeverValue(item, lever) {
+    if (lever === 'weight') return item.weightKg;
+    if (lever === 'sum') return item.L_cm + item.W_cm + item.H_cm;
+    const keys = hintSideKeys(item);
+    return item[lever === 'second' ? keys[1] : lever === 'third' ? keys[2] : keys[0]];
+}
+
+/**
+ * Item with one lever moved by `change` (negative = shrink).
+ * 'sum' moves the longest side — the 3-side sum moves by the same amount.
+ */
+function hintApplyLever(item, lever, change) {
+    if (lever === 'weight') {
+        return { ...item, weightKg: Math.max(0, Math.round((item.weightKg + change) * 100) / 100) };
+    }
+    const keys = hintSideKeys(item);
+    const key = lever === 'second' ? keys[1] : lever === 'third' ? keys[2] : keys[0];
+    return { ...item, [key]: Math.max(0, Math.round((item[key] + change) * 10) / 10) };
+}
+
+/**
+ * over / near spec for a lever against a boundary in the lever's unit
+ * (the package is past the boundary when the lever measures more).
+ */
+function hintSpec(key, lever, current, boundary, limit) {
+    const unit = lever === 'weight' ? 'kg' : 'cm';
+    if (current > boundary) {
+        if (boundary <= 0) return null;
+        return { key, kind: 'over', lever, change: hintStep(current - boundary), unit, limit };
+    }
+    const margin = boundary - current;
+    if (margin > (lever === 'weight' ? HINT_NEAR_KG : HINT_NEAR_CM)) return null;
+    return { key, kind: 'near', lever, change: hintStep(margin), unit, limit };
+}
+
+// ─── US Surcharge Rules ──────────────────────────────────────────────
+
+/**
+ * Boundary of a rule condition on its lever (cm or kg).
+ * Sides are measured in whole inches rounded up, so "> 48 in" means more than 48 × 2.54 cm.
+ */
+function ruleConditionBoundary(cond, metrics) {
+    const strict = cond.op === '>';
+    if (cond.field === 'actual_weight_lb') return (strict ? cond.value : cond.value - 0.001) / KG_TO_LB;
+    if (cond.field === 'actual_weight_kg') return strict ? cond.value : cond.value - 0.001;
+
+    const maxInch = strict ? cond.value : cond.value - 1;
+    if (cond.field === 'length_girth_inch' || cond.field === 'girth_inch') {
+        return (metrics.longest_inch - (metrics[cond.field] - maxInch)) * 2.54;
+    }
+    if (cond.field === 'cubic_inch') {
+        return Math.floor(maxInch / (metrics.longest_inch * metrics.second_longest_inch)) * 2.54;
+    }
+    return maxInch * 2.54;
+}
+
+/**
+ * Specs from a US carrier's surcharges.json rules (see surcharge-rules.js).
+ * A triggered rule gives an over spec for each condition that clears it on its
+ * own (AND rules), or one spec when every matched condition moves with the same
+ * lever (OR rules — e.g. longest side and L+Girth). A rule that is not triggered
+ * gives near specs for conditions close to their value (AND rules only when
+ * every other condition already holds).
+ */
+function ruleThresholdSpecs(rules, item) {
+    if (!rules) return [];
+    const metrics = buildPackageMetrics(item.L_cm, item.W_cm, item.H_cm, item.weightKg, item.packaging);
+    const specs = [];
+
+    expandRulePriority(rules).forEach(key => {
+        const rule = rules[key];
+        if (!rule || !rule.conditions) return;
+        const matched = rule.conditions.map(c => evaluateCondition(c, metrics));
+        const hit = !!evaluateRule(rule, metrics);
+
+        const condSpecs = rule.conditions.map(cond => {
+            const lever = RULE_FIELD_LEVERS[cond.field];
+            if (!lever || (cond.op !== '>' && cond.op !== '>=')) return null;
+            const meta = RULE_FIELD_LABELS[cond.field] || { label: cond.field };
+            const limit = `${key}: ${meta.label} ${cond.op} ${cond.value}${meta.unit ? ' ' + meta.unit : ''}`;
+            return hintSpec(key, lever, hintLeverValue(item, lever), ruleConditionBoundary(cond, metrics), limit);
+        });
+
+        if (!hit) {
+            condSpecs.forEach((spec, i) => {
+                if (!spec || spec.kind !== 'near') return;
+                if (rule.logic === 'AND' && !matched.every((m, j) => m || j === i)) return;
+                specs.push(spec);
+            });
+        } else if (rule.logic === 'AND') {
+            condSpecs.forEach((spec, i) => {
+                if (matched[i] && spec && spec.kind === 'over') specs.push(spec);
+            });
+        } else {
+            const over = condSpecs.filter((spec, i) => matched[i]);
+            if (!over.every(spec => spec && spec.kind === 'over' && spec.lever === over[0].lever)) return;
+            specs.push(over.reduce((a, b) => (b.change > a.change ? b : a)));
+        }
+    });
+    return specs;
+}
+
+// ─── Size Tiers (JP / KR) ────────────────────────────────────────────
+
+/**
+ * Specs for size-tier engines (applied size = larger of the 3-side-sum and weight tiers).
+ * @param {Object} tiers - { sizes: [{ label, sum, weight? }] (ascending),
+ *                           maxSum, maxWeight, maxLongest? }
+ */
+function tierThresholdSpecs(tiers, item) {
+    const specs = [];
+    const push = (spec) => { if (spec) specs.push(spec); };
+    const sum = hintLeverValue(item, 'sum');
+    const weight = item.weightKg;
+    const sizes = tiers.sizes;
+    const LIMIT_KEY = '발송 한도';
+
+    // Carrier limits — past them the package cannot be sent at all
+    push(hintSpec(LIMIT_KEY, 'sum', sum, tiers.maxSum, `3변합 ≤ ${tiers.maxSum}cm`));
+    push(hintSpec(LIMIT_KEY, 'weight', weight, tiers.maxWeight, `중량 ≤ ${tiers.maxWeight}kg`));
+    if (tiers.maxLongest) {
+        push(hintSpec(LIMIT_KEY, 'longest', hintLeverValue(item, 'longest'), tiers.maxLongest, `최장변 ≤ ${tiers.maxLongest}cm`));
+    }
+
+    // Tier boundaries either side of the current tier
+    [['sum', sum, 'sum', 'cm'], ['weight', weight, 'weight', 'kg']].forEach(([lever, value, field, unit]) => {
+        if (sizes.some(t => t[field] == null)) return;
+        const idx = sizes.findIndex(t => value <= t[field]);
+        if (idx > 0) {
+            const lower = sizes[idx - 1];
+            push(hintSpec(lower.label, lever, value, lower[field], `${lower.label} ≤ ${lower[field]}${unit}`));
+        }
+        if (idx >= 0 && idx < sizes.length - 1) {
+            const current = sizes[idx];
+            const spec = hintSpec(sizes[idx + 1].label, lever, value, current[field], `${current.label} ≤ ${current[field]}${unit}`);
+            if (spec && spec.kind === 'near') specs.push(spec);
+        }
+    });
+    return specs;
+}
+
+// ─── Pricing ─────────────────────────────────────────────────────────
+
+// Shipping / not shipping outweighs any price difference
+function hintEffect(hint) {
+    return hint.unblocks || hint.blocks ? Infinity : hint.delta;
+}
+
+/**
+ * a makes b redundant: same kind and lever, no larger move, at least the same effect
+ * (ties keep the earlier spec, i.e. the higher-priority rule)
+ */
+function hintDominates(a, b) {
+    if (a.kind !== b.kind || a.lever !== b.lever || a.change > b.change) return false;
+    if (hintEffect(a) !== hintEffect(b)) return hintEffect(a) > hintEffect(b);
+    return a.change < b.change || a.seq < b.seq;
+}
+
+/**
+ * Price every spec of every line with the carrier's own quote and keep the
+ * ones that change the price (or whether the package can ship at all).
+ * @returns {Object[]} lines with `hints`
+ */
+function attachThresholdHints(carrier, items, lines, settings, data) {
+    const priceOne = (item) => {
+        const q = carrier.quote([{ ...item, qty: 1 }], settings, data);
+        const line = q.lines[0];
+        return { line, price: !line || line.error ? null : q.grandTotal };
+    };
+
+    return lines.map(line => {
+        const item = items[line.itemIndex];
+        if (!item) return line;
+        const base = priceOne(item);
+        const hints = [];
+
+        carrier.thresholds.specs(line, item, data).forEach((spec, seq) => {
+            const sign = spec.kind === 'over' ? -1 : 1;
+            const moved = priceOne(hintApplyLever(item, spec.lever, sign * spec.change));
+            const hint = {
+                ...spec,
+                seq,
+                after: moved.line ? carrier.thresholds.label(moved.line) : '',
+                delta: base.price != null && moved.price != null ? Math.abs(moved.price - base.price) : null,
+                unblocks: base.price == null && moved.price != null,
+                blocks: base.price != null && moved.price == null,
+            };
+            const worth = spec.kind === 'over'
+                ? hint.unblocks || (hint.delta != null && moved.price < base.price - 0.004)
+                : hint.blocks || (hint.delta != null && moved.price > base.price + 0.004);
+            if (worth) hints.push(hint);
+        });
+
+        const kept = hints.filter(h => !hints.some(o => o !== h && hintDominates(o, h)));
+        kept.sort((a, b) => (a.kind === b.kind ? hintEffect(b) - hintEffect(a) || a.seq - b.seq : a.kind === 'over' ? -1 : 1));
+        return { ...line, hints: kept.slice(0, HINT_MAX_PER_LINE) };
+    });
+}
+
+// ─── Text ────────────────────────────────────────────────────────────
+
+/**
+ * One-line hint text, e.g. "✂ 최장변 −2.3cm → OK (−$28.10)" / "⚠ 3변합 +1.5cm → Size 140 (+¥230)".
+ * @param {Function} fmtMoney - amount → display string in the carrier's currency
+ */
+function describeThresholdHint(hint, fmtMoney) {
+    const lever = HINT_LEVER_LABELS[hint.lever] || hint.lever;
+    if (hint.kind === 'over') {
+        const effect = hint.unblocks ? '발송 가능' : `−${fmtMoney(hint.delta)}`;
+        return `✂ ${lever} −${hint.change}${hint.unit} → ${hint.after} (${effect})`;
+    }
+    if (hint.blocks) return `⚠ ${lever} +${hint.change}${hint.unit} → 발송 불가`;
+    return `⚠ ${lever} +${hint.change}${hint.unit} → ${hint.after} (+${fmtMoney(hint.delta)})`;
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        hintStep, hintLeverValue, hintApplyLever, hintSpec,
+        ruleConditionBoundary, ruleThresholdSpecs, tierThresholdSpecs,
+        hintEffect, hintDominates, attachThresholdHints, describeThresholdHint,
+        HINT_NEAR_CM, HINT_NEAR_KG, HINT_MAX_PER_LINE, HINT_LEVER_LABELS, RULE_FIELD_LEVERS,
+    };
+}
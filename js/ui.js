@@ -1,42 +1,82 @@
 /**
  * UI Controller V7 — Shared Items + Tab-based Comparison
- * V7: Items input shared between US and Japan tabs.
- * US tab: FedEx vs Amazon side-by-side comparison.
- * Japan tab: Yamato TA-Q-BIN (via YamatoUI module).
+ * V7: Items input shared between the US, Japan and Korea tabs.
+ * US tab: side-by-side comparison of every carrier registered for 'US'
+ *         (those with rate tables in manifest.json) — columns come from CarrierRegistry.
+ *         GRI mode swaps the columns for two rate versions of one carrier.
+ * Japan tab: every 'JP' carrier with rate tables on disk (via JapanUI module).
+ * Korea tab: CJ Logistics once its rate table is on disk (via KoreaUI module).
+ * Box optimizer: packs item rows into our cartons (via CartonUI module).
+ * Split advisor: one package vs N packages for surcharged rows (via SplitUI module).
+ * Threshold hints: shrink-to-save / near-tier rows under each result item (threshold-hints.js).
+ * Zone matrix: the items priced for every zone and Residential / DAS variant (via ZoneMatrixUI module).
+ * Crossover: weight × zone heatmap of the cheaper of two carriers for one box (via CrossoverUI module).
  */
 
 const UI = (() => {
-  let fedexData = null;   // { rates, surcharges, defaults, zones, meta }
-  let amazonData = null;  // { rates, surcharges, defaults, zones, meta }
-  let state = null;       // { zone, fuelPct, dieselPrice, isResidential, dasTier, unitDim, unitWeight, items }
+  let usCarriers = [];    // CarrierRegistry entries for the US tab
+  let carrierData = {};   // { carrierId: { rates, surcharges, defaults, zones, meta } }
+  let columns = [];       // comparison columns: one per US carrier, or two rate versions in GRI mode
+  let accountProfile = null; // { account, carriers: { carrierId: contract } } from localStorage
+  let state = null;       // { zone, originZip, destZip, dasTier, unitDim, unitWeight, items, destinations, dieselPrice, shipDate, rateVersions, gri, useContract, ...carrier settings (fuelManual, fuelPct, isResidential) }
   let itemIdCounter = 0;
   let chartItemCompare = null;
   let chartCostBreakdown = null;
 
-  // ─── DAS Tier Mapping ────────────────────────────────────────────
-  const DAS_TO_FEDEX = {
-    'None': 'None',
-    'Delivery Area': 'Base',
-    'Extended': 'Extended',
-    'Remote': 'Remote',
+  // das-tier value that looks the tier up per carrier from the destination ZIP (offered once a DAS list is imported)
+  const DAS_AUTO = 'Auto';
+
+  const DAS_OPTIONS = [
+    [DAS_AUTO, '자동 (ZIP)'],
+    ['None', 'None'],
+    ['Delivery Area', 'Delivery Area'],
+    ['Extended', 'Extended'],
+    ['Remote', 'Remote'],
+  ];
+
+  // item.destId for items shipped with the order-level US settings
+  const DEFAULT_DEST_ID = '';
+
+  // Summary cells for a total that leaves out lines the carrier cannot ship
+  const PARTIAL_DIFF_CELL = '<td class="diff-cell diff-zero" title="발송 불가 품목이 빠진 합계끼리는 비교하지 않습니다">-</td>';
+  const PARTIAL_TOTAL_NOTE = '<div class="list-price">부분 합계 (발송 불가 제외)</div>';
+
+  // rate-version select value: pick the version in force on the ship date
+  const RATE_VERSION_AUTO = '';
+
+  // ─── Summary Components ──────────────────────────────────────────
+  // Keys of quote().components, in display order. Unknown keys are appended.
+  const SUMMARY_COMPONENTS = {
+    rate: { label: '운임 합계', chartLabel: 'Rate + Fuel' },
+    sc: { label: 'SC 합계', chartLabel: 'Surcharge', rgb: '251, 191, 36' },
+    resi: { label: 'Residential', chartLabel: 'Residential', rgb: '244, 114, 182' },
+    das: { label: 'DAS', chartLabel: 'DAS', rgb: '168, 85, 247' },
   };
 
-  const DAS_TO_AMAZON = {
-    'None': 'None',
-    'Delivery Area': 'Delivery Area',
-    'Extended': 'Extended Delivery Area',
-    'Remote': 'Remote Area',
+  // GRI mode splits 'rate' into base and fuel so the increase shows where it came from
+  const GRI_COMPONENTS = {
+    base: { label: '기본운임', chartLabel: 'Base' },
+    fuel: { label: '연료할증', chartLabel: 'Fuel', rgb: '96, 165, 250' },
   };
 
+  // Chart color of the older version in GRI mode (the newer one keeps the carrier color)
+  const GRI_FROM_RGB = '160, 160, 160';
+
   // ─── Initialization ─────────────────────────────────────────────
 
   async function init() {
     const urlState = Storage.loadFromURL();
 
+    accountProfile = Storage.loadAccountProfile();
+
     try {
-      const both = await DataLoader.loadBoth();
-      fedexData = both.fedex;
-      amazonData = both.amazon;
+      // Engines whose rate tables are not on disk yet (no manifest version) stay out of every tab
+      await DataLoader.loadManifest();
+      CarrierRegistry.list()
+        .filter(c => !c.dataPath && DataLoader.getVersions(c.id).length === 0)
+        .forEach(c => CarrierRegistry.unregister(c.id));
+      usCarriers = CarrierRegistry.list('US');
+      carrierData = await DataLoader.loadCountry('US', rateSelection(urlState || {}));
     } catch (e) {
       console.error('Data load failed:', e);
       showToast('데이터 로드 실패: ' + e.message, 'error');
@@ -49,18 +89,33 @@ const UI = (() => {
     } else {
       resetToDefaults();
     }
+    await loadGriColumns();
 
+    renderGriControls();
+    renderCarrierSettings();
+    renderCompareHeaders();
     renderSettings();
     renderItemsTable();
     recalculate();
     renderMeta();
     bindEvents();
 
-    // Initialize Yamato tab, then trigger calculation with shared items
-    if (typeof YamatoUI !== 'undefined') {
-      await YamatoUI.init();
-      YamatoUI.recalculateWithItems(state.items);
+    // Initialize Japan tab, then trigger calculation with shared items
+    if (typeof JapanUI !== 'undefined') {
+      await JapanUI.init();
+      JapanUI.recalculateWithItems(state.items);
+    }
+
+    // Korea tab takes the same shared items
+    if (typeof KoreaUI !== 'undefined') {
+      await KoreaUI.init();
+      KoreaUI.recalculateWithItems(state.items);
     }
+
+    if (typeof CartonUI !== 'undefined') CartonUI.init();
+    if (typeof SplitUI !== 'undefined') SplitUI.init();
+    if (typeof ZoneMatrixUI !== 'undefined') ZoneMatrixUI.init();
+    if (typeof CrossoverUI !== 'undefined') CrossoverUI.init();
   }
 
   function migrateState(old) {
@@ -76,7 +131,7 @@ const UI = (() => {
     }
     if (s.isResidential == null) s.isResidential = false;
 
-    // Convert old FedEx DAS tier to unified
+    // Convert old FedEx DAS tier to unified (unified values and 'Auto' pass through)
     if (s.dasTierAmazon != null || s.dasTier != null) {
       const oldFedex = s.dasTier || 'None';
       const fedexToUnified = {
@@ -84,43 +139,68 @@ const UI = (() => {
         'Extended': 'Extended', 'Remote': 'Remote',
         'Alaska': 'None', 'Hawaii': 'None', 'Intra-Hawaii': 'None',
       };
-      s.dasTier = fedexToUnified[oldFedex] || 'None';
+      if (oldFedex in fedexToUnified) s.dasTier = fedexToUnified[oldFedex];
       delete s.dasTierAmazon;
     }
 
     if (!s.zone) s.zone = 2;
-    if (s.fuelPct == null) s.fuelPct = 0;
-    if (s.dieselPrice == null) s.dieselPrice = 3.50;
+    if (s.originZip == null) s.originZip = '';
+    if (s.destZip == null) s.destZip = '';
     if (!s.dasTier) s.dasTier = 'None';
+    if (s.dieselPrice == null) s.dieselPrice = getItemDefaults().diesel_price || 3.50;
+    s.dieselPrice = clampDieselPrice(s.dieselPrice);
+    if (s.shipDate == null) s.shipDate = '';
+    if (!s.rateVersions) s.rateVersions = {};
+    s.gri = { ...defaultGri(), ...s.gri };
+    if (s.useContract == null) s.useContract = true;
+    // Before the diesel table FedEx fuel was always a typed-in %; keep non-zero ones
+    if (s.fuelManual == null) s.fuelManual = Number(s.fuelPct) > 0;
+    applyCarrierDefaults(s);
+
+    if (!Array.isArray(s.destinations)) s.destinations = [];
+    dropUnavailableDasAuto(s);
+
+    // Items saved before packaging / per-item destination → standard carton, default destination
+    if (Array.isArray(s.items)) {
+      s.items = s.items.map(item => ({ packaging: DEFAULT_PACKAGING, destId: DEFAULT_DEST_ID, codAmount: null, ...item }));
+    }
 
     return s;
   }
 
   function resetToDefaults() {
-    const defaults = fedexData.defaults;
+    const defaults = getItemDefaults();
     state = {
       zone: defaults.zone || 2,
-      fuelPct: defaults.fuel_pct || 0,
-      dieselPrice: 3.50,
-      isResidential: false,
-      dasTier: 'None',
+      originZip: defaults.origin_zip || '',
+      destZip: '',
+      dasTier: defaultDasTier(),
+      dieselPrice: defaults.diesel_price || 3.50,
+      shipDate: '',
+      rateVersions: {},
+      gri: defaultGri(),
+      useContract: true,
       unitDim: 'mm',
       unitWeight: 'kg',
-      items: defaults.items.map((item, i) => ({
-        id: i,
-        name: item.name,
-        L_mm: parseDimStr(item.dimensions_mm).L,
-        W_mm: parseDimStr(item.dimensions_mm).W,
-        H_mm: parseDimStr(item.dimensions_mm).H,
-        weightKg: item.weight_kg,
-        qty: item.qty,
-      })),
+      items: defaults.items.map(defaultItemToState),
+      destinations: [],
     };
+    applyCarrierDefaults(state);
     itemIdCounter = state.items.length;
   }
 
+  // Default items / sets come from the first US carrier's defaults.json
+  function getItemDefaults() {
+    return carrierData[usCarriers[0].id].defaults;
+  }
+
+  function applyCarrierDefaults(s) {
+    usCarriers.forEach(c => CarrierRegistry.applyDefaults(c.id, s, carrierData[c.id]));
+    return s;
+  }
+
   function loadSet(setKey) {
-    const defaults = fedexData.defaults;
+    const defaults = getItemDefaults();
     let items;
     if (setKey === 'all') {
       items = defaults.items;
@@ -129,15 +209,7 @@ const UI = (() => {
     } else {
       return;
     }
-    state.items = items.map((item, i) => ({
-      id: i,
-      name: item.name,
-      L_mm: parseDimStr(item.dimensions_mm).L,
-      W_mm: parseDimStr(item.dimensions_mm).W,
-      H_mm: parseDimStr(item.dimensions_mm).H,
-      weightKg: item.weight_kg,
-      qty: item.qty,
-    }));
+    state.items = items.map(defaultItemToState);
     itemIdCounter = state.items.length;
     renderItemsTable();
     recalculate();
@@ -146,6 +218,22 @@ const UI = (() => {
     if (activeBtn) activeBtn.classList.add('active');
   }
 
+  function defaultItemToState(item, i) {
+    const dims = parseDimStr(item.dimensions_mm);
+    return {
+      id: i,
+      name: item.name,
+      L_mm: dims.L,
+      W_mm: dims.W,
+      H_mm: dims.H,
+      weightKg: item.weight_kg,
+      qty: item.qty,
+      packaging: item.packaging || DEFAULT_PACKAGING,
+      destId: DEFAULT_DEST_ID,
+      codAmount: null,
+    };
+  }
+
   function parseDimStr(str) {
     if (!str) return { L: 0, W: 0, H: 0 };
     const parts = str.split('*').map(Number);
@@ -160,12 +248,346 @@ const UI = (() => {
 
   function renderSettings() {
     document.getElementById('zone-select').value = state.zone;
-    document.getElementById('fuel-input').value = state.fuelPct;
-    document.getElementById('diesel-select').value = state.dieselPrice;
-    document.getElementById('residential-check').checked = state.isResidential;
-    document.getElementById('das-tier').value = state.dasTier;
+    document.getElementById('origin-zip').value = state.originZip;
+    document.getElementById('dest-zip').value = state.destZip;
+    document.getElementById('origin-zip-group').hidden = !hasZoneCharts();
+    document.getElementById('dest-zip-group').hidden = !hasZipLookups();
+    document.getElementById('das-tier').innerHTML = dasOptionsHtml(state.dasTier);
+    document.getElementById('diesel-price').value = state.dieselPrice;
+    document.getElementById('ship-date').value = state.shipDate;
+    document.getElementById('use-contract').checked = state.useContract;
+    document.querySelectorAll('[data-setting]').forEach(el => {
+      const value = state[el.dataset.setting];
+      if (el.type === 'checkbox') el.checked = !!value;
+      else el.value = value;
+    });
     updateUnitToggle('dim', state.unitDim);
     updateUnitToggle('weight', state.unitWeight);
+    renderDestinationsTable();
+  }
+
+  // ─── Rate Versions (public/data/manifest.json) ──────────────────
+
+  /** DataLoader options for the ship date and pinned versions in a state */
+  function rateSelection(s) {
+    return { shipDate: s.shipDate || '', pinned: s.rateVersions || {} };
+  }
+
+  /** Reload US carrier data after the ship date or a pinned version changed */
+  async function reloadCarrierData() {
+    const before = usCarriers.map(c => carrierData[c.id].rateVersion.version).join();
+    try {
+      carrierData = await DataLoader.loadCountry('US', rateSelection(state));
+    } catch (e) {
+      console.error('Data load failed:', e);
+      showToast('데이터 로드 실패: ' + e.message, 'error');
+      return;
+    }
+    if (usCarriers.map(c => carrierData[c.id].rateVersion.version).join() !== before) {
+      showToast('요금표 버전 변경: ' + usCarriers.map(c => `${c.shortName} v${carrierData[c.id].rateVersion.version}`).join(', '), 'success');
+    }
+    await loadGriColumns();
+    applyCarrierDefaults(state);
+    dropUnavailableDasAuto(state);
+    renderGriControls();
+    renderCarrierSettings();
+    renderCompareHeaders();
+    renderSettings();
+    recalculate();
+    renderMeta();
+    updateURL();
+  }
+
+  function renderRateVersionField(carrier) {
+    const versions = DataLoader.getVersions(carrier.id);
+    if (versions.length === 0) return '';
+    const pinned = state.rateVersions[carrier.id] || RATE_VERSION_AUTO;
+    const auto = DataLoader.pickVersion(versions, { shipDate: state.shipDate });
+    const option = (value, label) =>
+      `<option value="${escHtml(value)}"${value === pinned ? ' selected' : ''}>${escHtml(label)}</option>`;
+    const options = [option(RATE_VERSION_AUTO, `자동 (발송일 기준: v${auto.version})`)]
+      .concat(versions.map(v => option(v.version, `v${v.version} — ${v.effective_date} 시행`)))
+      .join('');
+    const tip = '발송일(없으면 오늘)에 시행 중인 요금표를 자동 선택합니다. 특정 버전으로 고정하면 발송일과 무관하게 그 요금표로 계산합니다.';
+    // Auto picked the earliest version only because nothing was in force yet
+    const warn = pinned === RATE_VERSION_AUTO && auto.beforeFirst
+      ? `<div class="rate-version-warn">⚠ 발송일이 모든 요금표 시행일(최초 ${escHtml(auto.effective_date)})보다 이전입니다. 가장 이른 v${escHtml(auto.version)}로 계산합니다.</div>`
+      : '';
+    return `
+      <div class="setting-group">
+        <label for="rate-version-${carrier.id}">요금표 버전 <span class="tip" data-tip="${escHtml(tip)}">ⓘ</span></label>
+        <select id="rate-version-${carrier.id}" data-rate-version="${carrier.id}">${options}</select>
+        ${warn}
+      </div>
+    `;
+  }
+
+  function onRateVersionChange(el) {
+    const id = el.dataset.rateVersion;
+    if (el.value === RATE_VERSION_AUTO) delete state.rateVersions[id];
+    else state.rateVersions[id] = el.value;
+    reloadCarrierData();
+  }
+
+  // ─── GRI Analysis (same carrier, two rate versions) ─────────────
+
+  function defaultGri() {
+    return { enabled: false, carrier: '', from: '', to: '' };
+  }
+
+  /** US carriers whose manifest lists at least two rate versions to compare */
+  function griCarriers() {
+    return usCarriers.filter(c => DataLoader.getVersions(c.id).length >= 2);
+  }
+
+  /**
+   * Rebuild the comparison columns. GRI mode loads both pinned versions of the
+   * chosen carrier; otherwise one column per US carrier with its current data.
+   */
+  async function loadGriColumns() {
+    const gri = state.gri;
+    const comparable = griCarriers();
+    const carrier = comparable.find(c => c.id === gri.carrier) || comparable[0];
+
+    if (!gri.enabled || !carrier) {
+      columns = usCarriers.map(c => ({ ...c, carrierId: c.id, data: carrierData[c.id] }));
+      return;
+    }
+
+    // Default pair: the version before the one in force → the latest
+    const versions = DataLoader.getVersions(carrier.id);
+    const latest = versions[versions.length - 1];
+    gri.carrier = carrier.id;
+    if (!versions.some(v => v.version === gri.to)) gri.to = latest.version;
+    if (!versions.some(v => v.version === gri.from)) {
+      gri.from = (versions[versions.length - 2] || latest).version;
+    }
+
+    let from, to;
+    try {
+      [from, to] = await Promise.all([gri.from, gri.to].map(version =>
+        DataLoader.loadAll(carrier.id, { pinned: version })));
+    } catch (e) {
+      console.error('GRI data load failed:', e);
+      showToast('GRI 요금표 로드 실패: ' + e.message, 'error');
+      gri.enabled = false;
+      columns = usCarriers.map(c => ({ ...c, carrierId: c.id, data: carrierData[c.id] }));
+      return;
+    }
+
+    const column = (data, role, extra) => ({
+      ...carrier,
+      id: `${carrier.id}@${role}`,
+      carrierId: carrier.id,
+      griRole: role,
+      name: `${carrier.name} v${data.rateVersion.version}`,
+      shortName: `v${data.rateVersion.version}`,
+      data,
+      ...extra,
+    });
+    columns = [column(from, 'from', { chartRgb: GRI_FROM_RGB }), column(to, 'to')];
+  }
+
+  function griActive() {
+    return columns.length > 0 && columns[0].griRole === 'from';
+  }
+
+  function renderGriControls() {
+    const el = document.getElementById('gri-controls');
+    const gri = state.gri;
+    const comparable = griCarriers();
+    // Nothing to compare until a carrier has a second rate version on disk
+    document.getElementById('gri-card').hidden = comparable.length === 0;
+    if (comparable.length === 0) {
+      el.innerHTML = '';
+      return;
+    }
+    const carrierId = (comparable.find(c => c.id === gri.carrier) || comparable[0]).id;
+    const versions = DataLoader.getVersions(carrierId);
+    const option = (value, label, selected) =>
+      `<option value="${escHtml(value)}"${value === selected ? ' selected' : ''}>${escHtml(label)}</option>`;
+    const versionOptions = (selected) => versions
+      .map(v => option(v.version, `v${v.version} — ${v.effective_date} 시행`, selected)).join('');
+
+    let status = '';
+    if (gri.enabled && gri.from === gri.to) {
+      status = '<span class="zip-zone zip-zone--warn">⚠ 같은 버전끼리 비교 중 — 차이는 0입니다</span>';
+    } else if (gri.enabled) {
+      status = `<span class="zip-zone zip-zone--ok">비교 결과 · 요약 · 그래프: v${escHtml(gri.from)} → v${escHtml(gri.to)}</span>`;
+    }
+
+    el.innerHTML = `
+      <div class="settings-grid">
+        <div class="setting-group">
+          <label class="checkbox-label">
+            <input type="checkbox" data-gri="enabled"${gri.enabled ? ' checked' : ''}>
+            <span>GRI 비교 모드 <span class="tip" data-tip="현재 품목을 같은 배송사의 두 요금표 버전으로 계산해 품목별·항목별 인상액과 인상률을 보여줍니다. 켜면 아래 비교 결과·요약·그래프가 배송사 비교 대신 버전 비교로 바뀝니다.">ⓘ</span></span>
+          </label>
+        </div>
+        <div class="setting-group">
+          <label for="gri-carrier">배송사</label>
+          <select id="gri-carrier" data-gri="carrier">${comparable.map(c => option(c.id, c.name, carrierId)).join('')}</select>
+        </div>
+        <div class="setting-group">
+          <label for="gri-from">기준 버전 (이전)</label>
+          <select id="gri-from" data-gri="from">${versionOptions(gri.from)}</select>
+        </div>
+        <div class="setting-group">
+          <label for="gri-to">비교 버전 (신규)</label>
+          <select id="gri-to" data-gri="to">${versionOptions(gri.to)}</select>
+        </div>
+      </div>
+      <div class="zip-zone-status">${status}</div>
+    `;
+  }
+
+  function onGriInput(el) {
+    const key = el.dataset.gri;
+    if (key === 'enabled') {
+      state.gri.enabled = el.checked;
+    } else {
+      state.gri[key] = el.value;
+      // Another carrier has its own version list → start from its default pair
+      if (key === 'carrier') state.gri.from = state.gri.to = '';
+    }
+    reloadCarrierData();
+  }
+
+  // ─── Account Contract (contract-rules.js) ───────────────────────
+
+  function contractFor(carrierId) {
+    if (!state.useContract || !accountProfile) return null;
+    return accountProfile.carriers[carrierId] || null;
+  }
+
+  // One chip per carrier: which contract priced it and how much it took off
+  function renderContractStatus(quotes) {
+    const el = document.getElementById('contract-status');
+    if (!accountProfile) {
+      el.innerHTML = '<span class="zip-zone zip-zone--warn">계약 프로필 없음 — 정가(list) 기준</span>';
+      return;
+    }
+    const account = accountProfile.account ? `${accountProfile.account} · ` : '';
+    el.innerHTML = columns.map(c => {
+      const contract = accountProfile.carriers[c.carrierId];
+      let text;
+      let level = 'ok';
+      if (!contract) {
+        text = '계약 없음 — 정가';
+        level = 'warn';
+      } else if (!state.useContract) {
+        text = '계약 미적용 — 정가';
+        level = 'warn';
+      } else {
+        const q = quotes[c.id];
+        const pct = q.listTotal > 0 ? ` (${(q.contractDiscount / q.listTotal * 100).toFixed(1)}%)` : '';
+        const dim = q.dim && q.dim.source === 'account' ? ` · DIM ÷${q.dim.divisor}` : '';
+        text = `${account}${contract.label || '계약'} 할인 −$${fmt(q.contractDiscount)}${pct}${dim}`;
+      }
+      return `<span class="zip-zone zip-zone--${level}">${escHtml(c.shortName)}: ${escHtml(text)}</span>`;
+    }).join('');
+  }
+
+  function importContractProfile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json';
+    input.onchange = async (e) => {
+      try {
+        const profile = await Storage.importJSON(e.target.files[0]);
+        const errors = validateContractProfile(profile);
+        if (errors.length) throw new Error(errors.join(', '));
+        Storage.saveAccountProfile(profile);
+        accountProfile = profile;
+        recalculate();
+        const known = Object.keys(profile.carriers).filter(id => usCarriers.some(c => c.id === id));
+        showToast(`계약 프로필 불러오기 완료 (${known.length}개 배송사)`, 'success');
+      } catch (err) {
+        showToast('계약 파일 오류: ' + err.message, 'error');
+      }
+    };
+    input.click();
+  }
+
+  // ─── Carrier-Specific Settings (from registry schema) ───────────
+
+  function renderCarrierSettings() {
+    const row = document.getElementById('carrier-settings-row');
+    row.innerHTML = usCarriers.map(c => {
+      const data = carrierData[c.id];
+      const fields = renderRateVersionField(c) + c.settings.map(f => renderSettingField(f, data)).join('');
+      const note = c.note ? `<div class="carrier-col-note">${escHtml(c.note)}</div>` : '';
+      const year = data.meta && data.meta.year ? ` ${data.meta.year}` : '';
+      return `
+        <div class="carrier-col ${c.theme}-col">
+          <div class="carrier-col-title">${escHtml(c.name)}${year}</div>
+          <div class="carrier-col-body">${fields}${note}</div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  function renderSettingField(field, data) {
+    const id = `setting-${field.key}`;
+    const tip = field.tip ? ` <span class="tip" data-tip="${escHtml(field.tip)}">ⓘ</span>` : '';
+
+    if (field.type === 'checkbox') {
+      return `
+        <div class="setting-group">
+          <label class="checkbox-label">
+            <input type="checkbox" id="${id}" data-setting="${field.key}">
+            <span>${escHtml(field.label)}${tip}</span>
+          </label>
+        </div>
+      `;
+    }
+
+    let control;
+    if (field.type === 'select') {
+      const options = (field.options ? field.options(data) : [])
+        .map(o => `<option value="${escHtml(String(o.value))}">${escHtml(o.label)}</option>`).join('');
+      control = `<select id="${id}" data-setting="${field.key}">${options}</select>`;
+    } else {
+      const attrs = ['min', 'max', 'step']
+        .filter(a => field[a] != null).map(a => `${a}="${field[a]}"`).join(' ');
+      control = `<input type="number" id="${id}" data-setting="${field.key}" ${attrs}>`;
+    }
+    return `
+      <div class="setting-group">
+        <label for="${id}">${escHtml(field.label)}${tip}</label>
+        ${control}
+      </div>
+    `;
+  }
+
+  function findSettingField(key) {
+    for (const c of usCarriers) {
+      const field = c.settings.find(f => f.key === key);
+      if (field) return { carrier: c, field };
+    }
+    return null;
+  }
+
+  function onCarrierSettingInput(el) {
+    const found = findSettingField(el.dataset.setting);
+    if (!found) return;
+    const { carrier, field } = found;
+
+    let value;
+    if (field.type === 'checkbox') {
+      value = el.checked;
+    } else if (field.type === 'select') {
+      // Keep the option's original type (e.g. diesel price stays a number)
+      const options = field.options ? field.options(carrierData[carrier.id]) : [];
+      const match = options.find(o => String(o.value) === el.value);
+      value = match ? match.value : el.value;
+    } else {
+      value = Number(el.value) || 0;
+    }
+
+    state[field.key] = value;
+    recalculate();
+    updateURL();
   }
 
   function updateUnitToggle(type, value) {
@@ -207,13 +629,16 @@ const UI = (() => {
         <td><input type="number" class="input-dim" data-field="H" value="${displayH}" min="0" step="${dimStep}"></td>
         <td><input type="number" class="input-weight" data-field="weight" value="${displayWeight}" min="0" step="0.1"></td>
         <td><input type="number" class="input-qty" data-field="qty" value="${item.qty}" min="0" step="1"></td>
+        <td><select class="input-packaging" data-field="packaging">${renderPackagingOptions(item.packaging)}</select></td>
+        <td><select class="input-dest" data-field="destId">${renderDestinationOptions(item.destId)}</select></td>
+        <td><input type="number" class="input-cod" data-field="codAmount" value="${item.codAmount == null ? '' : item.codAmount}" min="0" step="1" placeholder="기본"></td>
         <td class="row-actions">
           <button class="duplicate" title="복제" onclick="UI.duplicateRow(${item.id})">📋</button>
           <button class="delete" title="삭제" onclick="UI.deleteRow(${item.id})">✕</button>
         </td>
       `;
 
-      tr.querySelectorAll('input').forEach(input => {
+      tr.querySelectorAll('input, select').forEach(input => {
         input.addEventListener('input', () => onItemInput(item.id, input));
         input.addEventListener('change', () => onItemInput(item.id, input));
       });
@@ -222,6 +647,21 @@ const UI = (() => {
     });
   }
 
+  function renderPackagingOptions(selected) {
+    const current = selected || DEFAULT_PACKAGING;
+    return Object.entries(PACKAGING_TYPES).map(([key, def]) =>
+      `<option value="${key}"${key === current ? ' selected' : ''}>${escHtml(def.label)}</option>`
+    ).join('');
+  }
+
+  function renderDestinationOptions(selected) {
+    const options = [[DEFAULT_DEST_ID, '기본']].concat(state.destinations.map(d => [d.id, d.name || d.id]));
+    const current = findDestination(selected) ? selected : DEFAULT_DEST_ID;
+    return options.map(([id, label]) =>
+      `<option value="${escHtml(id)}"${id === current ? ' selected' : ''}>${escHtml(label)}</option>`
+    ).join('');
+  }
+
   function mmToDisplay(mm) {
     if (state.unitDim === 'cm') return round2(mm / 10);
     if (state.unitDim === 'inch') return round2(mm / 25.4);
@@ -247,6 +687,9 @@ const UI = (() => {
     else if (field === 'H') item.H_mm = displayToMm(val);
     else if (field === 'weight') item.weightKg = state.unitWeight === 'kg' ? Number(val) : Number(val) / 2.2046;
     else if (field === 'qty') item.qty = Math.max(0, Math.floor(Number(val)));
+    else if (field === 'packaging') item.packaging = val;
+    else if (field === 'destId') item.destId = val;
+    else if (field === 'codAmount') item.codAmount = val === '' ? null : Math.max(0, Math.floor(Number(val)));
 
     recalculate();
     updateURL();
@@ -256,6 +699,7 @@ const UI = (() => {
     state.items.push({
       id: itemIdCounter++,
       name: '', L_mm: 0, W_mm: 0, H_mm: 0, weightKg: 0, qty: 1,
+      packaging: DEFAULT_PACKAGING, destId: DEFAULT_DEST_ID, codAmount: null,
     });
     renderItemsTable();
     recalculate();
@@ -279,95 +723,554 @@ const UI = (() => {
     updateURL();
   }
 
+  /**
+   * Swap rows for new ones (cartonizer packages) at the position of the first
+   * replaced row. New rows: { name, L_mm, W_mm, H_mm, weightKg, qty, packaging?, destId? }
+   */
+  function replaceItems(ids, rows) {
+    const first = state.items.findIndex(i => ids.includes(i.id));
+    const kept = state.items.filter(i => !ids.includes(i.id));
+    const added = rows.map(row => ({
+      packaging: DEFAULT_PACKAGING, destId: DEFAULT_DEST_ID, codAmount: null,
+      ...row,
+      id: itemIdCounter++,
+    }));
+    // Rows before the first replaced one are all kept, so its index still holds
+    kept.splice(first >= 0 ? first : kept.length, 0, ...added);
+    state.items = kept;
+    renderItemsTable();
+    recalculate();
+    updateURL();
+  }
+
+  // ─── Destinations ───────────────────────────────────────────────
+
+  function findDestination(id) {
+    return id ? state.destinations.find(d => d.id === id) || null : null;
+  }
+
+  function nextDestId() {
+    const used = state.destinations.map(d => Number(String(d.id).slice(1)) || 0);
+    return 'd' + (Math.max(0, ...used) + 1);
+  }
+
+  function renderDestinationsTable() {
+    const tbody = document.getElementById('dest-tbody');
+    tbody.innerHTML = '';
+    const zones = carrierData[usCarriers[0].id].zones.map(z => z.zone);
+    document.getElementById('dest-table').classList.toggle('dest-table--no-zip', !hasZipLookups());
+
+    if (state.destinations.length === 0) {
+      tbody.innerHTML = `<tr><td colspan="8" style="color:var(--text-m)">추가 배송지 없음 — 모든 품목이 기본 배송지(US 배송 설정)로 계산됩니다</td></tr>`;
+      return;
+    }
+
+    state.destinations.forEach((dest, idx) => {
+      const tr = document.createElement('tr');
+      const zoneOpts = zones.map(z =>
+        `<option value="${z}"${z === dest.zone ? ' selected' : ''}>Zone ${z}</option>`).join('');
+      const dasOpts = dasOptionsHtml(dest.dasTier);
+
+      tr.innerHTML = `
+        <td>${idx + 1}</td>
+        <td><input type="text" class="input-name" data-field="name" value="${escHtml(dest.name)}" placeholder="배송지명"></td>
+        <td class="dest-zip-col"><input type="text" class="input-zip" data-field="zip" value="${escHtml(dest.zip)}" inputmode="numeric" maxlength="10" placeholder="ZIP"></td>
+        <td><select data-field="zone">${zoneOpts}</select></td>
+        <td><input type="checkbox" data-field="isResidential"${dest.isResidential ? ' checked' : ''}></td>
+        <td><select data-field="dasTier">${dasOpts}</select></td>
+        <td class="dest-status dest-zip-col" id="dest-status-${dest.id}"></td>
+        <td class="row-actions">
+          <button class="delete" title="삭제" onclick="UI.deleteDestination('${dest.id}')">✕</button>
+        </td>
+      `;
+
+      tr.querySelectorAll('[data-field]').forEach(input => {
+        input.addEventListener('change', () => onDestinationInput(dest.id, input));
+      });
+
+      tbody.appendChild(tr);
+    });
+  }
+
+  function onDestinationInput(id, input) {
+    const dest = findDestination(id);
+    if (!dest) return;
+
+    const field = input.dataset.field;
+    if (field === 'name') dest.name = input.value.trim();
+    else if (field === 'zip') dest.zip = input.value.trim();
+    else if (field === 'zone') dest.zone = Number(input.value);
+    else if (field === 'isResidential') dest.isResidential = input.checked;
+    else if (field === 'dasTier') dest.dasTier = input.value;
+
+    // Item rows show destination names
+    if (field === 'name') renderItemsTable();
+    recalculate();
+    updateURL();
+  }
+
+  function addDestination() {
+    state.destinations.push({
+      id: nextDestId(),
+      name: `배송지 ${state.destinations.length + 1}`,
+      zip: '',
+      zone: state.zone,
+      isResidential: false,
+      dasTier: defaultDasTier(),
+    });
+    renderDestinationsTable();
+    renderItemsTable();
+    recalculate();
+    updateURL();
+  }
+
+  function deleteDestination(id) {
+    state.destinations = state.destinations.filter(d => d.id !== id);
+    state.items.forEach(item => {
+      if (item.destId === id) item.destId = DEFAULT_DEST_ID;
+    });
+    renderDestinationsTable();
+    renderItemsTable();
+    recalculate();
+    updateURL();
+  }
+
   // ─── Calculation ────────────────────────────────────────────────
 
-  function recalculate() {
-    const calcItems = state.items.map(item => ({
+  function toCalcItem(item) {
+    return {
       name: item.name,
       L_cm: item.L_mm / 10,
       W_cm: item.W_mm / 10,
       H_cm: item.H_mm / 10,
       weightKg: item.weightKg,
       qty: item.qty,
-    }));
+      packaging: item.packaging,
+    };
+  }
 
-    const fedexDas = DAS_TO_FEDEX[state.dasTier] || 'None';
-    const amazonDas = DAS_TO_AMAZON[state.dasTier] || 'None';
-
-    const fedexResult = calcAll(
-      calcItems, state.zone, state.fuelPct, state.isResidential,
-      fedexDas, fedexData.rates, fedexData.surcharges
-    );
-
-    const amazonResult = amazonCalcAll(
-      calcItems, state.zone, state.dieselPrice,
-      amazonDas, amazonData.rates, amazonData.surcharges
-    );
-
-    // Per-item results for comparison table
-    const itemResults = calcItems.map(item => {
-      let fedex = null, amazon = null;
-      if (item.qty > 0) {
-        fedex = calcLineItem(item, state.zone, state.fuelPct, state.isResidential,
-          fedexDas, fedexData.rates, fedexData.surcharges);
-        amazon = amazonCalcLineItem(item, state.zone, state.dieselPrice,
-          amazonDas, amazonData.rates, amazonData.surcharges);
-      }
-      return { fedex, amazon, qty: item.qty, name: item.name };
+  // Order-level settings for one carrier, zone / DAS from the resolved default destination
+  function quoteSettings(base, carrierId) {
+    return {
+      ...state,
+      zone: carrierZone(base, carrierId),
+      carrierDasTier: carrierDasTier(base, carrierId),
+      contract: contractFor(carrierId),
+    };
+  }
+
+  function recalculate() {
+    const calcItems = state.items.map(toCalcItem);
+
+    // Zone / DAS per destination and carrier ('' = order-level settings)
+    const resolved = { [DEFAULT_DEST_ID]: resolveDestination(defaultDestination()) };
+    state.destinations.forEach(d => { resolved[d.id] = resolveDestination(d); });
+    const destIds = state.items.map(item => findDestination(item.destId) ? item.destId : DEFAULT_DEST_ID);
+
+    renderZipStatus(resolved[DEFAULT_DEST_ID]);
+    state.destinations.forEach(d => {
+      const el = document.getElementById(`dest-status-${d.id}`);
+      if (el) el.innerHTML = zipStatusHtml(resolved[d.id]);
+    });
+
+    // One normalized quote per comparison column (carrier, or rate version in GRI mode)
+    const quotes = {};
+    columns.forEach(c => {
+      const settings = quoteSettings(resolved[DEFAULT_DEST_ID], c.carrierId);
+      const carrierItems = calcItems.map((item, idx) =>
+        destIds[idx] === DEFAULT_DEST_ID ? item : withDestination(item, resolved[destIds[idx]], c.carrierId));
+      quotes[c.id] = CarrierRegistry.quoteWithHints(c.carrierId, carrierItems, settings, c.data);
+      if (griActive()) quotes[c.id] = { ...quotes[c.id], components: griComponents(quotes[c.id]) };
     });
 
+    // Per-item results for comparison table: { columnId: line | null }
+    const itemResults = calcItems.map((item, idx) => {
+      const byCarrier = {};
+      columns.forEach(c => {
+        byCarrier[c.id] = quotes[c.id].lines.find(l => l.itemIndex === idx) || null;
+      });
+      return { lines: byCarrier, qty: item.qty, name: item.name, destId: destIds[idx] };
+    });
+
+    renderFuelStatus(quotes);
+    renderContractStatus(quotes);
     renderResults(itemResults);
-    renderSummary(fedexResult, amazonResult);
-    renderCharts(fedexResult, amazonResult, itemResults);
+    renderSummary(quotes);
+    renderDestinationSummary(itemResults);
+    renderCharts(quotes, itemResults);
+
+    // Also trigger Japan recalculation with shared items
+    if (typeof JapanUI !== 'undefined' && JapanUI.recalculateWithItems) {
+      JapanUI.recalculateWithItems(state.items);
+    }
+    if (typeof KoreaUI !== 'undefined' && KoreaUI.recalculateWithItems) {
+      KoreaUI.recalculateWithItems(state.items);
+    }
+    if (typeof ZoneMatrixUI !== 'undefined') {
+      ZoneMatrixUI.recalculateWithItems(state.items);
+    }
+    if (typeof CrossoverUI !== 'undefined') {
+      CrossoverUI.recalculateWithItems(state.items);
+    }
+  }
+
+  // ─── ZIP → Zone / DAS ───────────────────────────────────────────
+
+  // Zone charts are imported per carrier (optional zone-chart.json); without one the manual zone applies
+  function hasZoneCharts() {
+    return usCarriers.some(c => carrierData[c.id].zoneChart);
+  }
+
+  // DAS ZIP lists likewise (optional das-zips.json); without one the DAS tier is chosen by hand
+  function hasDasLists() {
+    return usCarriers.some(c => carrierData[c.id].dasZips);
+  }
 
-    // Also trigger Yamato recalculation with shared items
-    if (typeof YamatoUI !== 'undefined' && YamatoUI.recalculateWithItems) {
-      YamatoUI.recalculateWithItems(state.items);
+  // The destination ZIP feeds either lookup
+  function hasZipLookups() {
+    return hasZoneCharts() || hasDasLists();
+  }
+
+  function defaultDasTier() {
+    return hasDasLists() ? DAS_AUTO : 'None';
+  }
+
+  // A saved Auto tier without any DAS list would silently price every ZIP as None
+  function dropUnavailableDasAuto(s) {
+    if (hasDasLists()) return;
+    if (s.dasTier === DAS_AUTO) s.dasTier = 'None';
+    s.destinations.forEach(d => { if (d.dasTier === DAS_AUTO) d.dasTier = 'None'; });
+  }
+
+  function dasOptionsHtml(selected) {
+    return DAS_OPTIONS
+      .filter(([value]) => value !== DAS_AUTO || hasDasLists())
+      .map(([value, label]) => `<option value="${value}"${value === selected ? ' selected' : ''}>${escHtml(label)}</option>`)
+      .join('');
+  }
+
+  // Order-level destination = the US settings card
+  function defaultDestination() {
+    return {
+      id: DEFAULT_DEST_ID,
+      name: '기본',
+      zip: state.destZip,
+      zone: state.zone,
+      isResidential: state.isResidential,
+      dasTier: state.dasTier,
+    };
+  }
+
+  /**
+   * @returns {{ dest, zones, das }}
+   *   zones: { carrierId: resolveZone() result } — null until origin and destination ZIPs are entered
+   *   das:   { carrierId: lookupDasTier() result } — null unless DAS is Auto with a destination ZIP
+   */
+  function resolveDestination(dest) {
+    let zones = null;
+    if (hasZoneCharts() && state.originZip && dest.zip) {
+      zones = {};
+      usCarriers.forEach(c => {
+        const chart = carrierData[c.id].zoneChart;
+        zones[c.id] = chart ? resolveZone(chart, state.originZip, dest.zip) : null;
+      });
     }
+
+    let das = null;
+    if (dest.dasTier === DAS_AUTO && dest.zip && hasDasLists()) {
+      das = {};
+      usCarriers.forEach(c => {
+        const list = carrierData[c.id].dasZips;
+        das[c.id] = list ? lookupDasTier(list, dest.zip) : null;
+      });
+    }
+
+    return { dest, zones, das };
+  }
+
+  // Resolved zone, or the destination's manual zone as fallback
+  function carrierZone(resolved, carrierId) {
+    const r = resolved.zones && resolved.zones[carrierId];
+    return r && r.zone != null ? r.zone : resolved.dest.zone;
+  }
+
+  function carrierDasTier(resolved, carrierId) {
+    const d = resolved.das && resolved.das[carrierId];
+    return d ? d.tier : null;
+  }
+
+  function withDestination(item, resolved, carrierId) {
+    return {
+      ...item,
+      zone: carrierZone(resolved, carrierId),
+      isResidential: !!resolved.dest.isResidential,
+      dasTier: resolved.dest.dasTier,
+      carrierDasTier: carrierDasTier(resolved, carrierId),
+    };
+  }
+
+  /**
+   * Pricing hook for the cartonizer: quotes state-format items for one US
+   * carrier, all shipped to one destination (destId '' = order-level settings).
+   * @returns {(items) => quote}
+   */
+  function quoteFor(carrierId, destId) {
+    const base = resolveDestination(defaultDestination());
+    const dest = findDestination(destId);
+    const resolved = dest ? resolveDestination(dest) : base;
+    const settings = quoteSettings(base, carrierId);
+    return (items) => CarrierRegistry.quote(carrierId,
+      items.map(item => withDestination(toCalcItem(item), resolved, carrierId)), settings, carrierData[carrierId]);
+  }
+
+  // Zones in a US carrier's zones.json
+  function zonesFor(carrierId) {
+    const zones = carrierData[carrierId] && carrierData[carrierId].zones;
+    return zones ? zones.map(z => z.zone) : [];
+  }
+
+  /**
+   * Pricing hook for the zone matrix: every item shipped to one zone with the
+   * variant's Residential / DAS tier (per-item destinations are ignored).
+   * @returns {(items) => quote}
+   */
+  function zoneQuoteFor(carrierId, zone, variant) {
+    const settings = {
+      ...quoteSettings(resolveDestination(defaultDestination()), carrierId),
+      zone,
+      isResidential: variant.isResidential,
+      dasTier: variant.dasTier,
+      carrierDasTier: null,
+    };
+    return (items) => CarrierRegistry.quote(carrierId, items.map(toCalcItem), settings, carrierData[carrierId]);
+  }
+
+  function renderZipStatus(resolved) {
+    const el = document.getElementById('zip-zone-status');
+    const zoneSelect = document.getElementById('zone-select');
+    const zones = resolved.zones;
+
+    // Manual zone only matters while some carrier could not resolve
+    zoneSelect.disabled = !!zones && usCarriers.every(c => zones[c.id] && zones[c.id].zone != null);
+    el.innerHTML = zipStatusHtml(resolved);
+  }
+
+  // One chip per carrier: resolved zone and/or DAS tier, with warnings
+  function zipStatusHtml(resolved) {
+    const { dest, zones, das } = resolved;
+    if (!zones && !das) return '';
+
+    return usCarriers.map(c => {
+      const parts = [];
+      const titles = [];
+      let level = 'ok';
+
+      if (zones) {
+        const r = zones[c.id];
+        if (!r) {
+          parts.push(`구간표 없음 — 수동 Zone ${dest.zone}`);
+          level = 'warn';
+        } else if (r.status === 'ok') {
+          parts.push(`Zone ${r.zone}`);
+          titles.push(`${r.origin.label} 구간표`);
+        } else if (r.status === 'ambiguous') {
+          parts.push(`Zone ${r.zone} (${r.candidates.join('/')} 경계)`);
+          titles.push(r.message);
+          level = 'warn';
+        } else {
+          parts.push(`${r.message} — 수동 Zone ${dest.zone}`);
+          titles.push(r.message);
+          level = 'error';
+        }
+      }
+
+      if (das && (c.optionalFiles || {}).dasZips) {
+        const d = das[c.id];
+        if (!d) {
+          parts.push('DAS 목록 없음 — None');
+          if (level === 'ok') level = 'warn';
+        } else if (d.status === 'invalid') {
+          parts.push('DAS: 도착지 ZIP 형식 오류 — None');
+          if (level === 'ok') level = 'warn';
+        } else {
+          parts.push(`DAS ${d.status === 'listed' ? d.tier : 'None'}`);
+        }
+      }
+
+      const icon = level === 'ok' ? '' : '⚠ ';
+      const title = titles.length ? ` title="${escHtml(titles.join(' / '))}"` : '';
+      return `<span class="zip-zone zip-zone--${level}"${title}>${icon}${escHtml(c.shortName)}: ${escHtml(parts.join(' · '))}</span>`;
+    }).join('');
+  }
+
+  // One chip per column: fuel % the quote used and where the diesel price came from
+  function renderFuelStatus(quotes) {
+    document.getElementById('fuel-status').innerHTML = columns.map(c => {
+      const q = quotes[c.id];
+      if (q.fuelPct == null) return '';
+      const fuel = q.fuel || { source: 'input', diesel: state.dieselPrice };
+      const diesel = `경유 $${Number(fuel.diesel || 0).toFixed(2)}`;
+
+      let source;
+      let level = 'ok';
+      if (fuel.source === 'manual') {
+        source = '수동 입력';
+      } else if (fuel.source === 'history') {
+        source = `${fuel.week} 주 ${diesel}`;
+        if (fuel.status === 'stale') level = 'warn';
+      } else {
+        source = diesel;
+        if (fuel.status) level = 'warn';
+      }
+
+      const icon = level === 'ok' ? '' : '⚠ ';
+      const title = fuel.message ? ` title="${escHtml(fuel.message)}"` : '';
+      const note = fuel.source === 'input' && fuel.message ? ` — ${fuel.message}` : '';
+      return `<span class="zip-zone zip-zone--${level}"${title}>${icon}${escHtml(c.shortName)}: 연료할증 ${q.fuelPct.toFixed(2)}% (${escHtml(source)})${escHtml(note)}</span>`;
+    }).join('');
   }
 
   // ─── Comparison Results Table ───────────────────────────────────
 
+  // Columns after the first are diffed against the first (baseline)
+  function diffColumns() {
+    return columns.slice(1);
+  }
+
+  function diffHeaderLabel(c) {
+    return diffColumns().length === 1 ? '차이' : `차이 (${escHtml(c.shortName)})`;
+  }
+
+  function scTipFor(c) {
+    const surcharges = c.data.surcharges;
+    const order = surcharges && surcharges.rules ? expandRulePriority(surcharges.rules) : [];
+    return order.length ? `추가 수수료 (${order.join('/')})` : '추가 수수료';
+  }
+
+  function renderCompareHeaders() {
+    const thead = document.getElementById('compare-thead');
+    const groups = columns.map(c =>
+      `<th colspan="4" class="th-${c.theme}">${escHtml(c.name)}</th>`).join('');
+    const diffs = diffColumns().map(c => `<th rowspan="2">${diffHeaderLabel(c)}</th>`).join('');
+    const subs = columns.map(c => `
+      <th class="th-${c.theme}-sub">청구(lb)</th>
+      <th class="th-${c.theme}-sub">운임</th>
+      <th class="th-${c.theme}-sub"><span class="tip" data-tip="${escHtml(scTipFor(c))}">SC</span></th>
+      <th class="th-${c.theme}-sub">합계</th>
+    `).join('');
+    thead.innerHTML = `
+      <tr>
+        <th rowspan="2">#</th>
+        <th rowspan="2">품명</th>
+        ${groups}
+        ${diffs}
+        <th rowspan="2">수량</th>
+      </tr>
+      <tr>${subs}</tr>
+    `;
+
+    const sumHead = document.getElementById('summary-thead');
+    sumHead.innerHTML = `
+      <tr>
+        <th></th>
+        ${columns.map(c => `<th class="th-${c.theme}">${escHtml(c.name)}</th>`).join('')}
+        ${diffColumns().map(c => `<th>${diffHeaderLabel(c)}</th>`).join('')}
+      </tr>
+    `;
+  }
+
   function renderResults(itemResults) {
     const tbody = document.getElementById('compare-tbody');
     tbody.innerHTML = '';
+    const baseId = columns[0].id;
+    const colCount = columns.length * 4 + diffColumns().length + 1;
 
     itemResults.forEach((ir, idx) => {
       const tr = document.createElement('tr');
       if (ir.qty === 0) tr.style.opacity = '0.35';
 
-      if (ir.fedex && ir.amazon) {
-        const f = ir.fedex;
-        const a = ir.amazon;
-        const diff = a.lineTotal - f.lineTotal;
-        const diffClass = diff > 0.005 ? 'diff-positive' : diff < -0.005 ? 'diff-negative' : 'diff-zero';
+      const base = ir.lines[baseId];
+      if (base) {
+        const carrierCells = columns.map(c => {
+          const l = ir.lines[c.id];
+          if (l.error) {
+            return `<td colspan="4" class="${c.theme}-cell error-cell">⚠ ${escHtml(l.errorReason)}</td>`;
+          }
+          return `
+            <td class="${c.theme}-cell" title="${escHtml(dimTip(l))}">${l.billableLb}</td>
+            <td class="${c.theme}-cell">$${fmt(l.rateSubtotal)}${renderRateNote(l)}</td>
+            <td class="${c.theme}-cell">${renderScCell(l)}</td>
+            <td class="${c.theme}-cell"><strong>$${fmt(l.perPkgTotal)}</strong>${renderListPrice(l)}</td>
+          `;
+        }).join('');
+        const diffCells = diffColumns().map(c => {
+          if (ir.lines[c.id].error || base.error) return '<td class="diff-zero">-</td>';
+          const diff = ir.lines[c.id].lineTotal - base.lineTotal;
+          const pctStr = griActive() ? fmtPct(diff, base.lineTotal) : '';
+          return `<td class="${diffClass(diff)}">${fmtDiff(diff)}${pctStr}</td>`;
+        }).join('');
 
         tr.innerHTML = `
           <td>${idx + 1}</td>
-          <td class="cell-name">${escHtml(f.name)}</td>
-          <td class="fedex-cell">${f.billableLb}</td>
-          <td class="fedex-cell">$${fmt(f.rateSubtotal)}</td>
-          <td class="fedex-cell">${renderScCell(f)}</td>
-          <td class="fedex-cell"><strong>$${fmt(f.perPkgTotal)}</strong></td>
-          <td class="amazon-cell">${a.billableLb}</td>
-          <td class="amazon-cell">$${fmt(a.rateSubtotal)}</td>
-          <td class="amazon-cell">${renderScCell(a)}</td>
-          <td class="amazon-cell"><strong>$${fmt(a.perPkgTotal)}</strong></td>
-          <td class="${diffClass}">${fmtDiff(diff)}</td>
+          <td class="cell-name">${escHtml(base.name)}${renderDestBadge(ir.destId)}</td>
+          ${carrierCells}
+          ${diffCells}
           <td>${ir.qty}</td>
         `;
       } else {
         tr.innerHTML = `
           <td>${idx + 1}</td>
           <td class="cell-name">${escHtml(ir.name)}</td>
-          <td colspan="10" style="color:var(--text-m)">수량 0 — 계산 제외</td>
+          <td colspan="${colCount}" style="color:var(--text-m)">수량 0 — 계산 제외</td>
         `;
       }
 
       tbody.appendChild(tr);
+      const hintRow = base && renderHintRow(ir, colCount + 1);
+      if (hintRow) tbody.appendChild(hintRow);
     });
   }
 
+  // Threshold proximity hints under an item row — shrink-to-save and near-tier warnings per column
+  function renderHintRow(ir, span) {
+    const chips = columns.flatMap(c => {
+      const l = ir.lines[c.id];
+      return ((l && l.hints) || []).map(h =>
+        `<span class="hint-chip hint-chip--${h.kind}" title="${escHtml(h.limit)}">${escHtml(c.shortName)}: ${escHtml(describeThresholdHint(h, n => '$' + fmt(n)))}</span>`);
+    });
+    if (!chips.length) return null;
+    const tr = document.createElement('tr');
+    tr.className = 'hint-row';
+    tr.innerHTML = `<td></td><td colspan="${span}">${chips.join(' ')}</td>`;
+    return tr;
+  }
+
+  function renderDestBadge(destId) {
+    const dest = findDestination(destId);
+    return dest ? ` <span class="dest-badge">📍 ${escHtml(dest.name || dest.id)}</span>` : '';
+  }
+
+  // Billable weight tooltip: actual vs DIM and the DIM terms that produced it
+  function dimTip(line) {
+    const rounding = DIM_ROUNDING[line.dimRounding] || DIM_ROUNDING.ceil;
+    const source = line.dimSource === 'account' ? ' 계약' : '';
+    if (line.dimMinCubicInch && !line.dimLb) {
+      return `실중량 ${line.actualLb} lb · DIM 미적용 (${line.dimMinCubicInch.toLocaleString()} in³ 이하)`;
+    }
+    return `실중량 ${line.actualLb} lb · DIM ${line.dimLb} lb (÷${line.dimDivisor}${source}, ${rounding.label})`;
+  }
+
+  // Service / pricing basis the engine picked (e.g. USPS "Ground Advantage · Cubic 0.2 ft³")
+  function renderRateNote(line) {
+    return line.rateNote ? `<div class="rate-note">${escHtml(line.rateNote)}</div>` : '';
+  }
+
+  // Contract-priced line: list price and discount under the net total
+  function renderListPrice(line) {
+    if (!line.discountPerPkg) return '';
+    return `<div class="list-price">정가 $${fmt(line.listPerPkgTotal)} · 할인 −$${fmt(line.discountPerPkg)}</div>`;
+  }
+
   function renderScCell(line) {
     if (line.scType === 'OK') {
       return '<span class="sc-tag ' + scTypeToClass('OK') + '">OK</span>';
@@ -378,45 +1281,187 @@ const UI = (() => {
 
   // ─── Comparison Summary ─────────────────────────────────────────
 
-  function renderSummary(fedex, amazon) {
-    const totalLines = fedex.lines.length;
-    const totalQty = fedex.lines.reduce((s, l) => s + l.qty, 0);
-    document.getElementById('sum-count').textContent = totalLines + '건 / ' + totalQty + '개';
+  function summaryComponentLabels() {
+    return { ...GRI_COMPONENTS, ...SUMMARY_COMPONENTS };
+  }
+
+  // Known components present in some quote (display order), then unknown keys
+  function summaryComponentKeys(quotes) {
+    const keys = Object.keys(summaryComponentLabels())
+      .filter(k => columns.some(c => k in (quotes[c.id].components || {})));
+    columns.forEach(c => {
+      Object.keys(quotes[c.id].components || {}).forEach(k => {
+        if (!keys.includes(k)) keys.push(k);
+      });
+    });
+    return keys;
+  }
+
+  function renderSummary(quotes) {
+    const tbody = document.getElementById('summary-tbody');
+    const base = quotes[columns[0].id];
+    const totalLines = base.lines.length;
+    const totalQty = base.lines.reduce((s, l) => s + l.qty, 0);
+    const span = columns.length + diffColumns().length;
+
+    // A total missing lines the carrier cannot ship is partial — never diffed against a complete one
+    const partial = columns.map(c => quotes[c.id].lines.some(l => l.error));
+    const diffCell = (values, i) => {
+      if (partial[0] || partial[i + 1]) return PARTIAL_DIFF_CELL;
+      const diff = values[i + 1] - values[0];
+      const pctStr = griActive() ? fmtPct(diff, values[0]) : '';
+      return `<td class="diff-cell ${diffClass(diff)}">${fmtDiff(diff)}${pctStr}</td>`;
+    };
+
+    const rows = [`
+      <tr>
+        <td class="row-label">활성 품목</td>
+        <td colspan="${span}" class="center-cell">${totalLines}건 / ${totalQty}개</td>
+      </tr>
+    `];
+
+    summaryComponentKeys(quotes).forEach(key => {
+      const labels = summaryComponentLabels();
+      const label = labels[key] ? labels[key].label : key;
+      const values = columns.map(c => (quotes[c.id].components || {})[key] || 0);
+      rows.push(`
+        <tr>
+          <td class="row-label">${escHtml(label)}</td>
+          ${columns.map((c, i) => `<td class="${c.theme}-cell">$${fmt(values[i])}</td>`).join('')}
+          ${diffColumns().map((c, i) => diffCell(values, i)).join('')}
+        </tr>
+      `);
+    });
+
+    if (columns.some(c => quotes[c.id].contractDiscount > 0)) {
+      [['listTotal', '정가 합계'], ['contractDiscount', '계약 할인']].forEach(([key, label]) => {
+        const values = columns.map(c => quotes[c.id][key] || 0);
+        const sign = key === 'contractDiscount' ? '−' : '';
+        rows.push(`
+          <tr class="list-price-row">
+            <td class="row-label">${label}</td>
+            ${columns.map((c, i) => `<td class="${c.theme}-cell">${sign}$${fmt(values[i])}</td>`).join('')}
+            ${diffColumns().map(() => '<td></td>').join('')}
+          </tr>
+        `);
+      });
+    }
+
+    // Lines a carrier cannot take are left out of its totals
+    const blocked = columns.map(c => quotes[c.id].lines.filter(l => l.error));
+    if (blocked.some(lines => lines.length > 0)) {
+      rows.push(`
+        <tr class="list-price-row">
+          <td class="row-label">발송 불가 (합계 제외)</td>
+          ${columns.map((c, i) => {
+            const qty = blocked[i].reduce((s, l) => s + l.qty, 0);
+            const names = blocked[i].map(l => l.name).join(', ');
+            return `<td class="${c.theme}-cell" title="${escHtml(names)}">${blocked[i].length ? `${blocked[i].length}건 / ${qty}개` : '-'}</td>`;
+          }).join('')}
+          ${diffColumns().map(() => '<td></td>').join('')}
+        </tr>
+      `);
+    }
+
+    const totals = columns.map(c => quotes[c.id].grandTotal);
+    rows.push(`
+      <tr class="grand-total-row">
+        <td class="row-label">총 배송비</td>
+        ${columns.map((c, i) => `
+          <td class="${c.theme}-cell">$${fmt(totals[i])}${partial[i] ? PARTIAL_TOTAL_NOTE : ''}</td>
+        `).join('')}
+        ${diffColumns().map((c, i) => {
+          if (partial[0] || partial[i + 1]) return PARTIAL_DIFF_CELL;
+          const diff = totals[i + 1] - totals[0];
+          const pctStr = fmtPct(diff, totals[0]);
+          return `<td class="diff-cell ${diffClass(diff)}">${fmtDiff(diff)}${pctStr}</td>`;
+        }).join('')}
+      </tr>
+    `);
+
+    // Like-for-like comparison over the items every column can ship
+    const common = CarrierRegistry.commonTotals(columns.map(c => quotes[c.id]));
+    if (partial.some(p => p) && common.lines > 0) {
+      rows.push(`
+        <tr class="grand-total-row">
+          <td class="row-label">공통 품목 합계 <span class="dest-zip">${common.lines}건 / ${common.qty}개</span></td>
+          ${columns.map((c, i) => `<td class="${c.theme}-cell">$${fmt(common.totals[i])}</td>`).join('')}
+          ${diffColumns().map((c, i) => {
+            const diff = common.totals[i + 1] - common.totals[0];
+            return `<td class="diff-cell ${diffClass(diff)}">${fmtDiff(diff)}${fmtPct(diff, common.totals[0])}</td>`;
+          }).join('')}
+        </tr>
+      `);
+    }
+
+    tbody.innerHTML = rows.join('');
+  }
+
+  // ─── Summary by Destination ─────────────────────────────────────
 
-    setSummaryRow('rate', fedex.rateSubtotal, amazon.rateSubtotal);
-    setSummaryRow('sc', fedex.scSubtotal, amazon.scSubtotal);
-    setSummaryRow('resi', fedex.residentialSubtotal, amazon.residentialSubtotal);
-    setSummaryRow('das', fedex.dasSubtotal, amazon.dasSubtotal);
-    setSummaryGrandRow(fedex.grandTotal, amazon.grandTotal);
+  function renderDestinationSummary(itemResults) {
+    const card = document.getElementById('dest-summary-card');
+    if (state.destinations.length === 0) {
+      card.hidden = true;
+      return;
+    }
+    card.hidden = false;
+
+    document.getElementById('dest-summary-thead').innerHTML = `
+      <tr>
+        <th>배송지</th>
+        <th>품목</th>
+        ${columns.map(c => `<th class="th-${c.theme}">${escHtml(c.name)}</th>`).join('')}
+        ${diffColumns().map(c => `<th>${diffHeaderLabel(c)}</th>`).join('')}
+      </tr>
+    `;
+
+    const groups = [defaultDestination()].concat(state.destinations).map(dest => {
+      const rows = itemResults.filter(ir => ir.destId === dest.id && ir.qty > 0);
+      const totals = columns.map(c =>
+        rows.reduce((s, ir) => s + (ir.lines[c.id] ? ir.lines[c.id].lineTotal : 0), 0));
+      const partial = columns.map(c => rows.some(ir => ir.lines[c.id] && ir.lines[c.id].error));
+      return { dest, rows, totals, partial };
+    }).filter(g => g.rows.length > 0);
+
+    document.getElementById('dest-summary-tbody').innerHTML = groups.map(({ dest, rows, totals, partial }) => {
+      const qty = rows.reduce((s, ir) => s + ir.qty, 0);
+      const zip = dest.zip ? ` <span class="dest-zip">${escHtml(dest.zip)}</span>` : '';
+      return `
+        <tr>
+          <td class="row-label">${escHtml(dest.name || dest.id)}${zip}</td>
+          <td class="center-cell">${rows.length}건 / ${qty}개</td>
+          ${columns.map((c, i) => `<td class="${c.theme}-cell">$${fmt(totals[i])}${partial[i] ? PARTIAL_TOTAL_NOTE : ''}</td>`).join('')}
+          ${diffColumns().map((c, i) => {
+            if (partial[0] || partial[i + 1]) return PARTIAL_DIFF_CELL;
+            const diff = totals[i + 1] - totals[0];
+            const pctStr = griActive() ? fmtPct(diff, totals[0]) : '';
+            return `<td class="diff-cell ${diffClass(diff)}">${fmtDiff(diff)}${pctStr}</td>`;
+          }).join('')}
+        </tr>
+      `;
+    }).join('');
   }
 
-  function setSummaryRow(key, fedexVal, amazonVal) {
-    document.getElementById('sum-fedex-' + key).textContent = '$' + fmt(fedexVal);
-    document.getElementById('sum-amzn-' + key).textContent = '$' + fmt(amazonVal);
-    const diff = amazonVal - fedexVal;
-    const el = document.getElementById('sum-diff-' + key);
-    el.textContent = fmtDiff(diff);
-    el.className = 'diff-cell ' + (diff > 0.005 ? 'diff-positive' : diff < -0.005 ? 'diff-negative' : 'diff-zero');
+  // GRI components: rate split into base and fuel, computed from the quote's lines
+  function griComponents(quote) {
+    const sum = (field) => round2(quote.lines.reduce((s, l) => s + (l[field] || 0) * l.qty, 0));
+    const components = { base: sum('baseRate'), fuel: sum('fuelAmount'), ...quote.components };
+    delete components.rate;
+    return components;
   }
 
-  function setSummaryGrandRow(fedexTotal, amazonTotal) {
-    document.getElementById('sum-fedex-grand').textContent = '$' + fmt(fedexTotal);
-    document.getElementById('sum-amzn-grand').textContent = '$' + fmt(amazonTotal);
-    const diff = amazonTotal - fedexTotal;
-    const pct = fedexTotal > 0 ? (diff / fedexTotal * 100) : 0;
-    const el = document.getElementById('sum-diff-grand');
-    const pctStr = Math.abs(pct) >= 0.05 ? ` (${pct >= 0 ? '+' : ''}${pct.toFixed(1)}%)` : '';
-    el.textContent = fmtDiff(diff) + pctStr;
-    el.className = 'diff-cell ' + (diff > 0.005 ? 'diff-positive' : diff < -0.005 ? 'diff-negative' : 'diff-zero');
+  function diffClass(diff) {
+    return diff > 0.005 ? 'diff-positive' : diff < -0.005 ? 'diff-negative' : 'diff-zero';
   }
 
   // ─── Charts ─────────────────────────────────────────────────────
 
-  function renderCharts(fedexResult, amazonResult, itemResults) {
+  function renderCharts(quotes, itemResults) {
     if (typeof Chart === 'undefined') return;
 
     renderItemCompareChart(itemResults);
-    renderCostBreakdownChart(fedexResult, amazonResult);
+    renderCostBreakdownChart(quotes);
   }
 
   function renderItemCompareChart(itemResults) {
@@ -428,33 +1473,22 @@ const UI = (() => {
       chartItemCompare = null;
     }
 
-    const activeItems = itemResults.filter(ir => ir.fedex && ir.amazon);
+    const activeItems = itemResults.filter(ir => columns.every(c => ir.lines[c.id]));
     if (activeItems.length === 0) return;
 
     const labels = activeItems.map(ir => ir.name || '(unnamed)');
-    const fedexTotals = activeItems.map(ir => round2(ir.fedex.lineTotal));
-    const amazonTotals = activeItems.map(ir => round2(ir.amazon.lineTotal));
 
     chartItemCompare = new Chart(ctx, {
       type: 'bar',
       data: {
         labels,
-        datasets: [
-          {
-            label: 'FedEx Ground',
-            data: fedexTotals,
-            backgroundColor: 'rgba(34, 197, 94, 0.7)',
-            borderColor: 'rgba(34, 197, 94, 1)',
-            borderWidth: 1,
-          },
-          {
-            label: 'Amazon Shipping',
-            data: amazonTotals,
-            backgroundColor: 'rgba(59, 130, 246, 0.7)',
-            borderColor: 'rgba(59, 130, 246, 1)',
-            borderWidth: 1,
-          },
-        ],
+        datasets: columns.map(c => ({
+          label: c.name,
+          data: activeItems.map(ir => (ir.lines[c.id].error ? null : round2(ir.lines[c.id].lineTotal))),
+          backgroundColor: `rgba(${c.chartRgb}, 0.7)`,
+          borderColor: `rgba(${c.chartRgb}, 1)`,
+          borderWidth: 1,
+        })),
       },
       options: {
         responsive: true,
@@ -480,7 +1514,7 @@ const UI = (() => {
     });
   }
 
-  function renderCostBreakdownChart(fedex, amazon) {
+  function renderCostBreakdownChart(quotes) {
     const ctx = document.getElementById('chart-cost-breakdown');
     if (!ctx) return;
 
@@ -489,34 +1523,25 @@ const UI = (() => {
       chartCostBreakdown = null;
     }
 
-    if (fedex.grandTotal === 0 && amazon.grandTotal === 0) return;
+    if (columns.every(c => quotes[c.id].grandTotal === 0)) return;
+
+    // Rate bars take the carrier color; every other component a shared color.
+    // A carrier missing lines it cannot ship gets no bars — its partial total would rank too low
+    const blocked = columns.map(c => quotes[c.id].lines.filter(l => l.error).length);
+    const datasets = summaryComponentKeys(quotes).map(key => {
+      const meta = summaryComponentLabels()[key] || { chartLabel: key, rgb: '160, 160, 160' };
+      return {
+        label: meta.chartLabel,
+        data: columns.map((c, i) => (blocked[i] ? null : round2((quotes[c.id].components || {})[key] || 0))),
+        backgroundColor: columns.map(c => `rgba(${meta.rgb || c.chartRgb}, 0.6)`),
+      };
+    });
 
     chartCostBreakdown = new Chart(ctx, {
       type: 'bar',
       data: {
-        labels: ['FedEx Ground', 'Amazon Shipping'],
-        datasets: [
-          {
-            label: 'Rate + Fuel',
-            data: [round2(fedex.rateSubtotal), round2(amazon.rateSubtotal)],
-            backgroundColor: ['rgba(34, 197, 94, 0.6)', 'rgba(59, 130, 246, 0.6)'],
-          },
-          {
-            label: 'Surcharge',
-            data: [round2(fedex.scSubtotal), round2(amazon.scSubtotal)],
-            backgroundColor: ['rgba(251, 191, 36, 0.6)', 'rgba(251, 191, 36, 0.6)'],
-          },
-          {
-            label: 'Residential',
-            data: [round2(fedex.residentialSubtotal), round2(amazon.residentialSubtotal)],
-            backgroundColor: ['rgba(244, 114, 182, 0.6)', 'rgba(244, 114, 182, 0.6)'],
-          },
-          {
-            label: 'DAS',
-            data: [round2(fedex.dasSubtotal), round2(amazon.dasSubtotal)],
-            backgroundColor: ['rgba(168, 85, 247, 0.6)', 'rgba(168, 85, 247, 0.6)'],
-          },
-        ],
+        labels: columns.map((c, i) => (blocked[i] ? `${c.name} — 발송 불가 ${blocked[i]}건 (비교 제외)` : c.name)),
+        datasets,
       },
       options: {
         responsive: true,
@@ -552,13 +1577,11 @@ const UI = (() => {
   function renderMeta() {
     const footer = document.getElementById('meta-info');
     const parts = [];
-    if (fedexData.meta) {
-      parts.push(`FedEx: v${fedexData.meta.data_version} ${fedexData.meta.year}`);
-    }
-    if (amazonData.meta) {
-      parts.push(`Amazon: v${amazonData.meta.data_version} ${amazonData.meta.year}`);
-    }
-    parts.push('DIM ÷139');
+    usCarriers.forEach(c => {
+      const meta = carrierData[c.id].meta;
+      const pinned = state.rateVersions[c.id] ? ' 고정' : '';
+      if (meta) parts.push(`${c.shortName}: v${meta.data_version} (${meta.effective_date} 시행${pinned}) DIM ÷${meta.dim_divisor}`);
+    });
     footer.textContent = parts.join(' | ');
   }
 
@@ -578,26 +1601,48 @@ const UI = (() => {
       updateURL();
     });
 
-    // Fuel (FedEx)
-    document.getElementById('fuel-input').addEventListener('input', (e) => {
-      state.fuelPct = Number(e.target.value) || 0;
+    // Origin / destination ZIP → zone
+    document.getElementById('origin-zip').addEventListener('change', (e) => {
+      state.originZip = e.target.value.trim();
       recalculate();
       updateURL();
     });
 
-    // Diesel price (Amazon)
-    document.getElementById('diesel-select').addEventListener('change', (e) => {
-      state.dieselPrice = Number(e.target.value);
+    document.getElementById('dest-zip').addEventListener('change', (e) => {
+      state.destZip = e.target.value.trim();
       recalculate();
       updateURL();
     });
 
-    // Residential (FedEx)
-    document.getElementById('residential-check').addEventListener('change', (e) => {
-      state.isResidential = e.target.checked;
+    // Carrier-specific settings (rendered from registry schema)
+    const carrierRow = document.getElementById('carrier-settings-row');
+    carrierRow.addEventListener('input', (e) => {
+      if (e.target.dataset.setting && e.target.type === 'number') onCarrierSettingInput(e.target);
+    });
+    carrierRow.addEventListener('change', (e) => {
+      if (e.target.dataset.rateVersion != null) onRateVersionChange(e.target);
+      else if (e.target.dataset.setting && e.target.type !== 'number') onCarrierSettingInput(e.target);
+    });
+
+    // Account contract profile
+    document.getElementById('use-contract').addEventListener('change', (e) => {
+      state.useContract = e.target.checked;
       recalculate();
       updateURL();
     });
+    document.getElementById('btn-contract-import').addEventListener('click', importContractProfile);
+    document.getElementById('btn-contract-clear').addEventListener('click', () => {
+      Storage.clearAccountProfile();
+      accountProfile = null;
+      recalculate();
+      showToast('계약 프로필을 삭제했습니다', 'success');
+    });
+
+    // GRI analysis controls
+    const griEl = document.getElementById('gri-controls');
+    griEl.addEventListener('change', (e) => {
+      if (e.target.dataset.gri) onGriInput(e.target);
+    });
 
     // DAS Tier (unified)
     document.getElementById('das-tier').addEventListener('change', (e) => {
@@ -606,6 +1651,23 @@ const UI = (() => {
       updateURL();
     });
 
+    // Diesel price → each carrier's fuel table (clamped to $1–$10/gal; the field shows the clamped value once editing ends)
+    const dieselInput = document.getElementById('diesel-price');
+    dieselInput.addEventListener('input', (e) => {
+      state.dieselPrice = clampDieselPrice(e.target.value);
+      recalculate();
+      updateURL();
+    });
+    dieselInput.addEventListener('change', (e) => {
+      if (state.dieselPrice) e.target.value = state.dieselPrice;
+    });
+
+    // Ship date → rate version in force + dated diesel price from each carrier's fuel history
+    document.getElementById('ship-date').addEventListener('change', (e) => {
+      state.shipDate = e.target.value;
+      reloadCarrierData();
+    });
+
     // Unit toggles
     document.querySelectorAll('#unit-dim button').forEach(btn => {
       btn.addEventListener('click', () => {
@@ -628,13 +1690,14 @@ const UI = (() => {
     // Add row
     document.getElementById('btn-add-row').addEventListener('click', addRow);
 
+    // Add destination
+    document.getElementById('btn-add-dest').addEventListener('click', addDestination);
+
     // Reset
     document.getElementById('btn-reset').addEventListener('click', () => {
       resetToDefaults();
-      renderSettings();
       renderItemsTable();
-      recalculate();
-      updateURL();
+      reloadCarrierData();
       showToast('기본값으로 초기화되었습니다', 'success');
     });
 
@@ -670,10 +1733,8 @@ const UI = (() => {
           const importedState = await Storage.importJSON(e.target.files[0]);
           state = migrateState(importedState);
           itemIdCounter = state.items.length;
-          renderSettings();
           renderItemsTable();
-          recalculate();
-          updateURL();
+          await reloadCarrierData();
           showToast('JSON 파일 가져오기 완료', 'success');
         } catch (err) {
           showToast('파일 오류: ' + err.message, 'error');
@@ -780,10 +1841,8 @@ const UI = (() => {
 
     state = migrateState(loaded);
     itemIdCounter = state.items.length;
-    renderSettings();
     renderItemsTable();
-    recalculate();
-    updateURL();
+    reloadCarrierData();
     closeModal();
     showToast(`"${name}" 불러오기 완료`, 'success');
   }
@@ -796,6 +1855,7 @@ const UI = (() => {
 
   function closeModal() {
     document.getElementById('modal-overlay').classList.remove('active');
+    document.getElementById('modal-content').classList.remove('modal--wide');
   }
 
   // ─── Help Modals ────────────────────────────────────────────────
@@ -812,7 +1872,7 @@ const UI = (() => {
       <h4>🇺🇸 US — 공통 용어</h4>
       <div class="term-row">
         <div class="term-name">DIM Weight<br>(부피중량)</div>
-        <div class="term-desc">박스 크기로 환산한 중량입니다.<br><strong>각 변(inch) 올림 후 L × W × H ÷ 139</strong><br>박스가 크고 가벼운 경우, 실제 중량 대신 부피중량이 적용됩니다.</div>
+        <div class="term-desc">박스 크기로 환산한 중량입니다.<br><strong>각 변(inch) 올림 후 L × W × H ÷ 139</strong> (배송사 기본값 — 계약 JSON에 dim_divisor·dim_rounding이 있으면 그 값을 적용, 청구(lb) 칸에 마우스를 올리면 적용된 값 표시)<br>박스가 크고 가벼운 경우, 실제 중량 대신 부피중량이 적용됩니다.</div>
       </div>
       <div class="term-row">
         <div class="term-name">Billable Weight<br>(청구중량)</div>
@@ -824,11 +1884,11 @@ const UI = (() => {
       </div>
       <div class="term-row">
         <div class="term-name">Zone<br>(배송 구간)</div>
-        <div class="term-desc">출발지에서 도착지까지의 <strong>거리에 따른 구간(2~8)</strong>입니다.</div>
+        <div class="term-desc">출발지에서 도착지까지의 <strong>거리에 따른 구간(2~8)</strong>입니다. 출발지·도착지 ZIP을 입력하면 배송사별 구간표(ZIP 앞 3자리 기준)로 자동 산정됩니다.</div>
       </div>
       <div class="term-row">
         <div class="term-name">Fuel Surcharge<br>(연료할증)</div>
-        <div class="term-desc"><strong>FedEx:</strong> 기본운임 × 사용자 입력 %<br><strong>Amazon:</strong> 주간 경유가격 기준 자동 산정 (14.5~18%)</div>
+        <div class="term-desc">주간 경유가격($/gal)으로 배송사별 연료할증표에서 자동 산정 (Amazon 14.5~18%). 기본운임 × %.<br><strong>발송일</strong>을 입력하면 해당 주에 적용되는 과거 경유가격(fuel-history.json — EIA 주간 경유가격 CSV를 import-fuel-history.js로 가져오기)을 사용합니다.<br><strong>FedEx:</strong> 수동 % 입력 — FedEx 경유 연동표를 surcharges.json에 가져오면 경유가격으로 자동 산정</div>
       </div>
       <div class="term-row">
         <div class="term-name">Residential<br>(주거지 할증)</div>
@@ -840,7 +1900,8 @@ const UI = (() => {
           통합 4단계로 비교합니다:<br>
           <strong>Delivery Area:</strong> FedEx $4.20/$6.20 | Amazon $4.45<br>
           <strong>Extended:</strong> FedEx $5.25/$8.30 | Amazon $5.55<br>
-          <strong>Remote:</strong> FedEx $15.50 | Amazon $16.75
+          <strong>Remote:</strong> FedEx $15.50 | Amazon $16.75<br>
+          <strong>자동:</strong> 도착지 ZIP을 배송사별 DAS 목록에서 조회 — 같은 ZIP도 배송사마다 티어가 다를 수 있습니다.
         </div>
       </div>
     </div>
@@ -855,6 +1916,10 @@ const UI = (() => {
         <div class="term-name">AHS-Wgt</div>
         <div class="term-desc">실중량 > 50lb. Zone별 $43.50~$55.</div>
       </div>
+      <div class="term-row">
+        <div class="term-name">AHS-Pkg</div>
+        <div class="term-desc">골판지 박스가 아닌 포장 (목재 크레이트, 금속, 원통형, 수축 포장 등). 품목 입력의 <strong>포장</strong> 열에서 지정.<br>Zone별 $25~$31.50. AHS 중복 시 금액 높은 쪽 1개만 적용.</div>
+      </div>
       <div class="term-row">
         <div class="term-name">Oversize</div>
         <div class="term-desc">최장변 > 96" / L+Girth > 130". Zone별 $240~$305. 최소 청구중량 90lb.</div>
@@ -879,6 +1944,10 @@ const UI = (() => {
         <div class="term-name">AHS-Wgt</div>
         <div class="term-desc">실중량 > 50lb. Zone그룹별 $45.89~$55.20</div>
       </div>
+      <div class="term-row">
+        <div class="term-name">AHS-Pkg</div>
+        <div class="term-desc">골판지 박스가 아닌 포장 (목재, 금속, 원통형, 수축 포장 등). AHS 중 Weight/Dim 다음 순위.<br>Zone그룹별 $25.94~$32.59</div>
+      </div>
       <div class="term-row">
         <div class="term-name">LargePkg</div>
         <div class="term-desc">Girth > 130" / 최장변 > 96". Zone그룹별 $255~$320. 최소 청구중량 90lb.</div>
@@ -901,7 +1970,7 @@ const UI = (() => {
       </div>
       <div class="term-row">
         <div class="term-name">현내배송<br>(동일 현 배송)</div>
-        <div class="term-desc">같은 도도부현 내 배송 시 적용되는 할인 운임입니다. 오키나와는 제외.</div>
+        <div class="term-desc">같은 도도부현 내 배송 시 적용되는 할인 운임입니다. 출발지·도착지 현이 같으면 자동 적용되며, 오키나와는 제외.</div>
       </div>
       <div class="term-row">
         <div class="term-name">Cool 서비스</div>
@@ -916,17 +1985,58 @@ const UI = (() => {
         <div class="term-desc">
           <strong>지참할인:</strong> 영업소 직접 접수 시 -¥110<br>
           <strong>디지털할인:</strong> 디지털 송장 사용 시 -¥60<br>
-          <strong>복수구할인:</strong> 2개 이상 동시 발송 시 -¥100<br>
+          <strong>복수구할인:</strong> 같은 도착지로 2개 이상 동시 발송 시 -¥100 (1개뿐이면 미적용)<br>
           <strong>영업소수취:</strong> 영업소 수취 시 -¥60<br>
           여러 할인 동시 적용 가능.
         </div>
       </div>
     </div>
 
+    <div class="help-section">
+      <h4>🇯🇵 Japan — 유팩 · 사가와 용어</h4>
+      <div class="term-row">
+        <div class="term-name">유팩 Size<br>(ゆうパック)</div>
+        <div class="term-desc">60/80/100/120/140/160/170 등급. <strong>3변합만으로</strong> 판정하며 중량은 등급을 올리지 않습니다(모든 사이즈 25kg까지).<br>3변합 170cm 또는 25kg 초과 시 배송 불가. 같은 현이면 현내 운임 적용.</div>
+      </div>
+      <div class="term-row">
+        <div class="term-name">사가와 Size<br>(飛脚宅配便)</div>
+        <div class="term-desc">60~160 + 대형 170/180/200/220/240/260 등급. 야마토처럼 <strong>3변합 기준</strong>과 <strong>중량 기준</strong>(60:2kg · 80:5kg · 100:10kg · 140:20kg · 160:30kg · 170 이상:50kg) 중 큰 등급 적용.<br>3변합 260cm 또는 50kg 초과 시 배송 불가. 별도 현내 운임 없음.</div>
+      </div>
+      <div class="term-row">
+        <div class="term-name">유팩·사가와 할인</div>
+        <div class="term-desc">
+          <strong>유팩:</strong> 지참할인 -¥120, 동일수신처할인 -¥60, 복수구할인 -¥60 (같은 도착지 2개 이상)<br>
+          <strong>사가와:</strong> 지참할인 -¥100<br>
+          두 배송사는 공식 요금표를 public/data의 연도 폴더로 가져오고 generate-manifest.js를 실행하면 Japan 탭에 나타납니다.
+        </div>
+      </div>
+    </div>
+
+    <div class="help-section">
+      <h4>🇰🇷 Korea — CJ대한통운 택배 용어</h4>
+      <div class="term-row">
+        <div class="term-name">요금표</div>
+        <div class="term-desc">CJ 요금표(계약 단가)를 public/data의 연도 폴더로 가져오고 generate-manifest.js를 실행하면 Korea 탭이 나타납니다.</div>
+      </div>
+      <div class="term-row">
+        <div class="term-name">크기 등급</div>
+        <div class="term-desc">극소(60cm·2kg) / 소(80cm·5kg) / 중(100cm·10kg) / 대(120cm·20kg) / 특대(160cm·25kg). <strong>3변합 기준</strong>과 <strong>중량 기준</strong> 중 더 큰 등급이 적용됩니다.<br>3변합 160cm, 최장변 100cm, 중량 25kg 초과 시 배송 불가.</div>
+      </div>
+      <div class="term-row">
+        <div class="term-name">동일권 / 타권</div>
+        <div class="term-desc">출발지와 도착지가 같은 권역(수도권·강원·충청·호남·영남·제주)이면 동일권, 다르면 타권 운임이 적용됩니다.</div>
+      </div>
+      <div class="term-row">
+        <div class="term-name">제주 / 도서산간</div>
+        <div class="term-desc">제주 ↔ 내륙 배송은 <strong>제주 추가운임</strong>(항공·선박 운임), 섬 지역은 <strong>도서산간 추가운임</strong>(도선료)이 개당 추가됩니다. 우편번호로 자동 판정됩니다.</div>
+      </div>
+    </div>
+
     <div class="tip-box">
       <strong>💡 참고:</strong><br>
       • US: 추가 수수료는 품목당 1종류만 적용됩니다. 우선순위가 높은 것만 부과.<br>
-      • Japan: 야마토 최대 제한 — 3변합 200cm, 최장변 170cm, 중량 30kg.
+      • Japan: 최대 제한 — 야마토 3변합 200cm·최장변 170cm·30kg / 유팩 170cm·25kg / 사가와 260cm·50kg.<br>
+      • Korea: CJ 최대 제한 — 3변합 160cm, 최장변 100cm, 중량 25kg.
     </div>
 
     <div class="close-row">
@@ -949,69 +2059,107 @@ const UI = (() => {
       <div class="step-row">
         <span class="step-num">1</span>
         <div class="step-content">
-          <div class="step-title">품목 입력 (양 탭 공통)</div>
-          <div class="step-detail">상단의 품목 테이블에 제품명, 가로/세로/높이, 중량, 수량을 입력합니다.<br>
+          <div class="step-title">품목 입력 (모든 탭 공통)</div>
+          <div class="step-detail">상단의 품목 테이블에 제품명, 가로/세로/높이, 중량, 수량, 포장 형태를 입력합니다.<br>
+          목재 크레이트·금속·원통형 등 <strong>비표준 포장</strong>은 US 배송사의 AHS-Pkg 수수료 대상입니다.<br>
           <strong>세트 버튼(All/L/M/S)</strong>으로 기본 품목을 빠르게 불러올 수 있습니다.<br>
           <strong>치수 단위(mm/cm/inch)</strong>와 <strong>중량 단위(kg/lb)</strong>를 전환할 수 있습니다.<br>
-          품목은 US 탭과 Japan 탭에서 <strong>동일하게 공유</strong>됩니다.</div>
+          품목은 US·Japan·Korea 탭에서 <strong>동일하게 공유</strong>됩니다.</div>
         </div>
       </div>
     </div>
 
     <div class="help-section">
-      <h4>🇺🇸 US Domestic — FedEx vs Amazon 비교</h4>
+      <h4>🇺🇸 US Domestic — FedEx · Amazon 비교</h4>
       <div class="step-row">
         <span class="step-num">2</span>
         <div class="step-content">
           <div class="step-title">US 배송 설정</div>
-          <div class="step-detail"><strong>Zone(2~8)</strong>과 <strong>DAS 티어</strong>를 선택합니다. 두 배송사에 동시 적용됩니다.</div>
+          <div class="step-detail">배송사 Zone 구간표(zone-chart.json)를 가져온 경우 <strong>출발지·도착지 ZIP</strong>을 입력하면 배송사별 Zone이 자동 산정됩니다. 구간표가 없거나 ZIP을 찾지 못하면 <strong>Zone(2~8)</strong> 선택값을 사용합니다. <strong>DAS 티어</strong>는 수동 선택 시 모든 배송사에 동시 적용됩니다. 배송사 DAS ZIP 목록(das-zips.json)을 가져온 경우 자동(도착지 ZIP 조회)이 기본입니다.</div>
         </div>
       </div>
       <div class="step-row">
         <span class="step-num">3</span>
         <div class="step-content">
           <div class="step-title">배송사별 설정</div>
-          <div class="step-detail"><strong>FedEx:</strong> 연료할증률(%)을 직접 입력하고, Residential 체크박스를 설정합니다.<br><strong>Amazon:</strong> 경유가격($/갤런)을 선택하면 자동으로 연료할증률이 산정됩니다.</div>
+          <div class="step-detail"><strong>경유가격</strong>($/갤런)을 입력하면 Amazon 연료할증률이 Amazon 표로 자동 산정됩니다.<br><strong>FedEx:</strong> 연료할증률(%)을 직접 입력하고(FedEx 경유 연동표를 가져온 경우 "연료할증 수동 입력"을 해제하면 자동 산정), Residential 체크박스를 설정합니다.<br><strong>계약 JSON 불러오기:</strong> 계정 계약 할인(무게·Zone 구간별 운임 할인, SC·DAS 할인)을 불러오면 정가 대신 순 운임으로 비교하고, 품목별로 정가와 할인액을 함께 표시합니다.</div>
         </div>
       </div>
       <div class="step-row">
         <span class="step-num">4</span>
         <div class="step-content">
           <div class="step-title">비교 결과 확인</div>
-          <div class="step-detail">동일 품목에 대한 FedEx와 Amazon의 배송비를 나란히 비교합니다.<br>차이 금액과 그래프로 어느 배송사가 유리한지 즉시 확인할 수 있습니다.</div>
+          <div class="step-detail">동일 품목에 대한 배송사별 배송비를 나란히 비교합니다. 배송사 한도를 넘는 품목은 그 배송사 칸에 발송 불가로 표시되고 그 배송사 합계에서 제외됩니다.<br>차이 금액과 그래프로 어느 배송사가 유리한지 즉시 확인할 수 있습니다.<br><strong>GRI 비교 모드:</strong> 한 배송사의 두 요금표 버전(예: 2025 vs 2026)으로 같은 품목을 계산해 품목별·항목별(기본운임·연료·SC·DAS) 인상액과 인상률을 보여줍니다.<br><strong>Zone 매트릭스:</strong> 같은 품목을 Zone마다 계산한 배송사별 합계표입니다. Residential·DAS 티어를 체크하면 변형별로 반복되고, 가장 저렴한 배송사가 강조됩니다. <strong>⬇ CSV</strong> / <strong>📋 복사</strong>로 견적용 표를 내보냅니다.<br><strong>배송사 교차 분석:</strong> 박스 하나(품목 행 또는 직접 입력)를 실중량 1~150 lb × Zone으로 계산해 두 배송사 중 저렴한 쪽을 색으로, 차액을 숫자로 보여줍니다. 오른쪽 열은 할증(AHS-Wgt 등)이 시작되는 중량, 위의 칩은 Zone별로 저렴한 배송사가 바뀌는 중량입니다.</div>
         </div>
       </div>
     </div>
 
     <div class="help-section">
-      <h4>🇯🇵 Japan Domestic — 야마토 택배</h4>
+      <h4>🇯🇵 Japan Domestic — 야마토 · 유팩 · 사가와 비교</h4>
       <div class="step-row">
         <span class="step-num">5</span>
         <div class="step-content">
           <div class="step-title">경로 설정</div>
-          <div class="step-detail"><strong>출발지</strong>와 <strong>도착지</strong> 지역을 선택합니다. <strong>동일 현내 배송</strong> 체크 시 할인 운임이 적용됩니다.<br>결제 방법(현금/캐시리스)에 따라 운임이 달라집니다.</div>
+          <div class="step-detail"><strong>출발지</strong>와 <strong>도착지</strong> 도도부현을 선택하거나 <strong>우편번호</strong>(〒100-0001)를 입력합니다. 경로는 세 배송사가 공유하며, 배송사별 지역은 도도부현에서 자동으로 결정됩니다. 같은 현이면 야마토·유팩의 <strong>현내 운임</strong>이 자동 적용됩니다.</div>
         </div>
       </div>
       <div class="step-row">
         <span class="step-num">6</span>
         <div class="step-content">
-          <div class="step-title">옵션 / 할인</div>
-          <div class="step-detail"><strong>Cool 서비스:</strong> 냉장/냉동 택배 (Size 120 이하만 가능).<br><strong>당일 배송:</strong> +¥550 추가.<br><strong>할인:</strong> 지참할인, 디지털할인, 복수구할인, 영업소수취 — 중복 적용 가능.</div>
+          <div class="step-title">배송사별 옵션 / 할인</div>
+          <div class="step-detail"><strong>야마토:</strong> 결제 방법(현금/캐시리스)에 따라 운임이 달라집니다.<br><strong>Cool 서비스:</strong> 냉장/냉동 택배 (Size 120 이하만 가능).<br><strong>당일 배송:</strong> +¥550 추가.<br><strong>代引 / 익명 배송:</strong> 대금상환 수수료(금액별 ¥330~¥1,100), 익명 배송 +¥55. 옵션 목록은 요금 데이터(surcharges.json)에서 자동 생성됩니다.<br><strong>할인:</strong> 배송사마다 할인 목록(discounts.json)이 따로 표시되며 중복 적용 가능.</div>
         </div>
       </div>
       <div class="step-row">
         <span class="step-num">7</span>
+        <div class="step-content">
+          <div class="step-title">비교 결과 확인</div>
+          <div class="step-detail">동일 품목에 대한 야마토·유팩·사가와의 사이즈 등급, 운임, 옵션·할인, 합계를 나란히 비교합니다. 차이는 야마토 기준입니다.<br>배송사 제한을 넘는 품목은 해당 배송사 칸에 발송 불가로 표시되고 그 배송사 합계에서 제외됩니다.</div>
+        </div>
+      </div>
+    </div>
+
+    <div class="help-section">
+      <h4>🇰🇷 Korea Domestic — CJ대한통운 택배</h4>
+      <div class="step-row">
+        <span class="step-num">8</span>
+        <div class="step-content">
+          <div class="step-title">경로 설정</div>
+          <div class="step-detail"><strong>출발지</strong>와 <strong>도착지</strong> 시·도를 선택하거나 <strong>우편번호</strong>(5자리)를 입력합니다. 권역이 같으면 동일권, 다르면 타권 운임이 적용됩니다.<br>제주 ↔ 내륙은 제주 추가운임이 자동 적용되고, 섬 지역 우편번호면 <strong>도서산간</strong>이 자동 체크됩니다.</div>
+        </div>
+      </div>
+      <div class="step-row">
+        <span class="step-num">9</span>
         <div class="step-content">
           <div class="step-title">계산 결과 확인</div>
-          <div class="step-detail">각 품목의 사이즈 등급 판정, 기본운임, 할증, 할인, 합계를 확인합니다.<br>야마토 제한(3변합 200cm, 최장변 170cm, 중량 30kg) 초과 품목은 에러로 표시됩니다.</div>
+          <div class="step-detail">각 품목의 크기 등급(3변합·중량 중 큰 등급), 기본운임, 제주·도서산간 추가운임, 합계를 확인합니다.<br>CJ 제한(3변합 160cm, 최장변 100cm, 중량 25kg) 초과 품목은 에러로 표시되고 합계에서 제외됩니다.</div>
+        </div>
+      </div>
+    </div>
+
+    <div class="help-section">
+      <h4>📦 박스 최적화 · ✂️ 분할 검토</h4>
+      <div class="step-row">
+        <span class="step-num">10</span>
+        <div class="step-content">
+          <div class="step-title">부품을 박스에 담기</div>
+          <div class="step-detail">품목 입력의 <strong>📦 박스 최적화</strong>를 누르면 박스 카탈로그(내경·벽 두께·자중·최대 중량, 이 PC에 저장)의 박스에 선택한 품목을 나눠 담습니다.<br>배송사마다 각 엔진(FedEx 청구중량·AHS, Amazon NonStd·AHS, 야마토 사이즈 등)과 현재 탭 설정으로 박스별 운임을 계산해 총액이 가장 낮은 포장안을 고르고, 품목별로 따로 보낼 때와 비교합니다.<br>배송지가 다른 품목은 같은 박스에 담지 않습니다. 부피 기준 추정이므로 실제 적재는 확인하세요.<br><strong>품목표에 적용</strong>하면 선택한 품목 행이 박스 행으로 바뀝니다.</div>
+        </div>
+      </div>
+      <div class="step-row">
+        <span class="step-num">11</span>
+        <div class="step-content">
+          <div class="step-title">분할 검토</div>
+          <div class="step-detail"><strong>✂️ 분할 검토</strong>는 추가 수수료(AHS-Wgt·AHS-Dim·Oversize 등)가 붙거나 어느 배송사에서든 발송 불가인 품목만 골라, 한 개로 보낼 때와 2~N개로 나눠 보낼 때의 배송비를 배송사별로 비교하고 절감액을 보여줍니다.<br><strong>중량만 분할:</strong> 치수는 그대로, 중량만 ÷ N. <strong>길이 방향 분할:</strong> 최장변과 중량을 ÷ N.<br><strong>적용</strong>을 누르면 해당 품목 행이 분할된 패키지 행으로 바뀝니다.</div>
         </div>
       </div>
     </div>
 
     <div class="tip-box">
       <strong>💡 팁:</strong><br>
-      • <strong>US 차이 컬럼:</strong> 양수(빨강) = Amazon이 비쌈, 음수(초록) = Amazon이 저렴<br>
-      • <strong>품목 공유:</strong> 품목을 변경하면 US와 Japan 결과가 모두 자동 업데이트됩니다.<br>
+      • <strong>차이 컬럼:</strong> US는 FedEx, Japan은 야마토 기준 배송사별 차이. 양수(빨강) = 해당 배송사가 비쌈, 음수(초록) = 저렴<br>
+      • <strong>품목 공유:</strong> 품목을 변경하면 US·Japan·Korea 결과가 모두 자동 업데이트됩니다.<br>
+      • <strong>임계값 힌트:</strong> 결과 표의 품목 아래 <strong>✂</strong>는 치수·중량을 얼마나 줄이면 추가 수수료나 상위 사이즈를 벗어나는지와 절감액, <strong>⚠</strong>는 다음 기준까지 남은 여유(3cm · 1kg 이내)와 넘었을 때 늘어나는 금액입니다. 금액은 현재 설정으로 배송사 엔진이 다시 계산한 1개 기준입니다.<br>
       • <strong>💾 저장</strong>으로 시나리오를 로컬에 저장하고, <strong>🔗 공유</strong>로 URL을 복사할 수 있습니다.<br>
       • <strong>⬇ Export</strong>로 JSON 파일을 내보내고, <strong>⬆ Import</strong>로 불러올 수 있습니다.<br>
       • 각 설정의 <strong>ⓘ</strong> 아이콘에 마우스를 올리면 용어 설명을 볼 수 있습니다.
@@ -1050,6 +2198,12 @@ const UI = (() => {
     return sign + '$' + fmt(abs);
   }
 
+  // " (+4.9%)" change against base; '' when there is no base or the change rounds to 0
+  function fmtPct(diff, base) {
+    const pct = base > 0 ? (diff / base * 100) : 0;
+    return Math.abs(pct) >= 0.05 ? ` (${pct >= 0 ? '+' : ''}${pct.toFixed(1)}%)` : '';
+  }
+
   function round2(n) { return Math.round(n * 100) / 100; }
 
   function escHtml(str) {
@@ -1062,13 +2216,19 @@ const UI = (() => {
       'OK': 'sc-tag--ok',
       'AHS-Dim': 'sc-tag--ahs-dim',
       'AHS-Wgt': 'sc-tag--ahs-wgt',
+      'AHS-Pkg': 'sc-tag--ahs-pkg',
       'Oversize': 'sc-tag--oversize',
       'Unauth': 'sc-tag--unauth',
+      'OverMax': 'sc-tag--overmax',
+      'OverLimit': 'sc-tag--overmax',
+      'NS-Length22': 'sc-tag--nonstd',
+      'NS-Length30': 'sc-tag--nonstd',
+      'NS-Volume': 'sc-tag--nonstd',
       'NonStd': 'sc-tag--nonstd',
       'LargePkg': 'sc-tag--largepkg',
       'ExtraHeavy': 'sc-tag--extraheavy',
     };
-    return map[type] || '';
+    return map[type] || map[type.split('+')[0]] || '';
   }
 
   // ─── Public API ─────────────────────────────────────────────────
@@ -1078,7 +2238,7 @@ const UI = (() => {
   }
 
   return {
-    init, addRow, deleteRow, duplicateRow, getItems,
+    init, addRow, deleteRow, duplicateRow, getItems, replaceItems, quoteFor, zonesFor, zoneQuoteFor, deleteDestination,
     doSave, doLoad, doDelete, closeModal, showToast,
     showGlossaryModal, showGuideModal,
   };
@@ -0,0 +1,151 @@
+/**
+ * UPS Ground 2025 — Shipping Cost Calculator Engine
+ *
+ * Third US engine next to calculator.js (FedEx) and amazon-calculator.js.
+ * Prices through the shared ground math in calculator.js with UPS terms.
+ * Shows up once a UPS Rate and Service Guide version folder is in
+ * public/data/manifest.json (surcharges.json, rates.json, zones.json, meta.json).
+ * Key points:
+ *  - Surcharge hierarchy: Over Maximum Limits > Large Package > Additional Handling
+ *  - Additional Handling (Dim / Wgt / Pkg): only the highest amount applies
+ *  - Large Package also triggers on cubic size (> 17,280 in³)
+ *  - Surcharge amounts per zone (not zone groups)
+ *  - Residential delivery charge + DAS (commercial / residential)
+ *  - Fuel surcharge: diesel price lookup table only (no manual %)
+ *  - >150 lb: 150 lb rate + Over Maximum Limits charge
+ */
+
+// ─── Constants ───────────────────────────────────────────────────────
+const UPS_DIM_DIVISOR = 139;
+const UPS_MAX_TABLE_LB = 150;
+
+// ─── Surcharge Amount ────────────────────────────────────────────────
+
+function upsGetSurchargeAmount(scType, zone, surchargeData) {
+    if (scType === 'OK') return 0;
+    const zoneData = surchargeData.amounts[String(zone)];
+    if (!zoneData) return 0;
+    return zoneData[scType] || 0;
+}
+
+// ─── Residential ─────────────────────────────────────────────────────
+
+function upsGetResidentialCharge(isResidential, surchargeData) {
+    if (!isResidential) return 0;
+    return (surchargeData.residential && surchargeData.residential.charge_per_pkg) || 0;
+}
+
+// ─── Rate Lookup ─────────────────────────────────────────────────────
+
+function upsLookupRate(billableLb, zone, rateTable) {
+    const entry = rateTable[String(Math.min(billableLb, UPS_MAX_TABLE_LB))];
+    if (!entry) return 0;
+    return entry[`Z${zone}`] || 0;
+}
+
+// ─── Ground Terms ────────────────────────────────────────────────────
+
+/**
+ * UPS terms for the shared ground math in calculator.js (determineSurcharge,
+ * calcLineItem, calcAll). Rule keys are the scTypes; when several AHS rules
+ * apply and rules.rule is "highest_amount_when_both_ahs", the one with the
+ * higher $ for the zone wins.
+ */
+const UPS_GROUND_TERMS = {
+    ruleType: (key) => key,
+    surchargeAmount: upsGetSurchargeAmount,
+    lookupRate: upsLookupRate,
+    residentialCharge: upsGetResidentialCharge,
+    dasCharge: getDasCharge,
+};
+
+// ─── Carrier Registration ────────────────────────────────────────────
+
+// Unified US DAS tier (UI) → UPS surcharges.json das key
+const UPS_DAS_TIERS = {
+    'None': 'None',
+    'Delivery Area': 'Delivery Area',
+    'Extended': 'Extended',
+    'Remote': 'Remote',
+};
+
+// carrierDasTier: UPS's own tier from the DAS ZIP lookup; else map the unified tier
+function upsDasTier(unified, carrierDasTier) {
+    return carrierDasTier || UPS_DAS_TIERS[unified] || 'None';
+}
+
+/**
+ * Registry entry point.
+ * @param {Object[]} items  - may carry a destination: zone, isResidential, dasTier (unified), carrierDasTier
+ * @param {Object} settings - { zone, dasTier (unified), carrierDasTier?, dieselPrice, shipDate?, isResidential,
+ *                             contract? (account discounts, see contract-rules.js) }
+ * @param {Object} data     - { rates, surcharges, ... }
+ */
+function upsQuote(items, settings, data) {
+    const dasTier = upsDasTier(settings.dasTier, settings.carrierDasTier);
+    const lineItems = items.map(item => (item.dasTier == null && item.carrierDasTier == null)
+        ? item
+        : { ...item, dasTier: upsDasTier(item.dasTier, item.carrierDasTier) });
+    const fuel = resolveFuelDiesel(settings, data.fuelHistory);
+    const fuelPct = dieselFuelPct(fuel.diesel, data.surcharges);
+    const dim = resolveDimConfig(data.meta, settings.contract, UPS_DIM_DIVISOR);
+    const price = (d) => calcAll(lineItems, settings.zone, fuelPct, settings.isResidential,
+        dasTier, data.rates, data.surcharges, d, UPS_GROUND_TERMS);
+    // List price on the carrier's own DIM terms; a negotiated divisor counts toward the discount
+    const list = dim.source === 'account' ? price(resolveDimConfig(data.meta, null, UPS_DIM_DIVISOR)) : null;
+    const result = applyContract(price(dim), settings.contract, fuelPct, list);
+    return {
+        ...result,
+        carrier: 'ups-ground',
+        currency: 'USD',
+        fuelPct,
+        dim,
+        fuel,
+        lines: CarrierRegistry.indexLines(items, result.lines),
+        components: {
+            rate: result.rateSubtotal,
+            sc: result.scSubtotal,
+            resi: result.residentialSubtotal,
+            das: result.dasSubtotal,
+        },
+    };
+}
+
+if (typeof CarrierRegistry !== 'undefined') {
+    CarrierRegistry.register({
+        id: 'ups-ground',
+        name: 'UPS Ground',
+        shortName: 'UPS',
+        country: 'US',
+        currency: 'USD',
+        theme: 'ups',
+        chartRgb: '212, 163, 115',
+        files: {
+            rates: 'rates.json',
+            surcharges: 'surcharges.json',
+            zones: 'zones.json',
+            meta: 'meta.json',
+        },
+        optionalFiles: {
+            zoneChart: 'zone-chart.json',
+            dasZips: 'das-zips.json',
+            fuelHistory: 'fuel-history.json',
+        },
+        settings: [],
+        note: 'Residential 할증은 FedEx 설정의 "Residential 배송"을 따름. 연료할증은 공통 경유가격으로 자동 산정',
+        quote: upsQuote,
+        thresholds: {
+            specs: (line, item, data) => ruleThresholdSpecs(data.surcharges.rules, item),
+            label: (line) => (line.error ? '발송 불가' : line.scType),
+        },
+    });
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        upsGetSurchargeAmount, upsGetResidentialCharge, upsLookupRate, upsQuote,
+        UPS_GROUND_TERMS, UPS_DIM_DIVISOR, UPS_MAX_TABLE_LB,
+    };
+}
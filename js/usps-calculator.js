@@ -0,0 +1,328 @@
+/**
+ * USPS Ground Advantage / Priority Mail 2025 — Shipping Cost Calculator Engine
+ *
+ * Small-parcel US engine next to FedEx / Amazon / UPS.
+ * Reuses the shared unit / DIM / billable-weight helpers from calculator.js.
+ * Shows up once a version folder with the USPS Notice 123 price tables is in
+ * public/data/manifest.json (rates.json, surcharges.json, zones.json, meta.json).
+ * Key points:
+ *  - Limits: 70 lb, length + girth 130" → larger packages cannot be mailed (line.error)
+ *  - DIM weight only above 1 ft³ (1,728 in³), ÷166, each side rounded to the nearest inch
+ *  - Cubic pricing: ≤ 20 lb, longest ≤ 18", tiers 0.1–0.5 ft³ (sides floored to 1/4")
+ *  - Ground Advantage under 1 lb: ounce tiers (4 / 8 / 12 / 15.99 oz)
+ *  - Nonstandard fees: one length fee (> 22" / > 30") + volume fee (> 2 ft³)
+ *  - No fuel, residential or DAS surcharges
+ */
+
+// ─── Constants ───────────────────────────────────────────────────────
+const USPS_DIM_DIVISOR = 166;
+const USPS_DIM_MIN_CUBIC_INCH = 1728;
+const USPS_DEFAULT_DIM = { divisor: USPS_DIM_DIVISOR, rounding: 'round', source: 'default' };
+const USPS_MAX_TABLE_LB = 70;
+
+const USPS_SERVICES = {
+    'ground-advantage': { label: 'Ground Advantage' },
+    'priority-mail': { label: 'Priority Mail' },
+};
+
+// 'auto' = the cheaper service per line
+const USPS_SERVICE_AUTO = 'auto';
+
+// ─── DIM / Cubic ─────────────────────────────────────────────────────
+
+/** DIM weight, or 0 when the package is 1 ft³ or smaller */
+function uspsDimWeight(L_cm, W_cm, H_cm, dim, minCubicInch = USPS_DIM_MIN_CUBIC_INCH) {
+    const toInch = (DIM_ROUNDING[dim.rounding] || DIM_ROUNDING.round).toInch;
+    const cubicInch = toInch(L_cm) * toInch(W_cm) * toInch(H_cm);
+    if (cubicInch <= minCubicInch) return 0;
+    return calcDimWeight(L_cm, W_cm, H_cm, dim);
+}
+
+/**
+ * Cubic tier (ft³) for a cubic-eligible package, else null.
+ * @param {Object} cubicRules - surcharges.json cubic { tiers, max_weight_lb, max_longest_inch }
+ */
+function uspsCubicTier(L_cm, W_cm, H_cm, actualLb, cubicRules) {
+    if (!cubicRules) return null;
+    const sides = [L_cm, W_cm, H_cm].map(cm => Math.floor(cm / 2.54 * 4) / 4);
+    if (Math.max(...sides) > cubicRules.max_longest_inch) return null;
+    if (actualLb > cubicRules.max_weight_lb) return null;
+    const cubicFeet = (sides[0] * sides[1] * sides[2]) / 1728;
+    const tier = cubicRules.tiers.find(t => cubicFeet <= t + 1e-9);
+    return tier != null ? tier : null;
+}
+
+// ─── Nonstandard Fees / Limits ───────────────────────────────────────
+
+/**
+ * USPS fees, evaluated from surchargeData.rules:
+ *   - A blocking rule (OverLimit: > 70 lb or L+girth > 130") → cannot be mailed
+ *   - rules.rule "one_length_fee_plus_volume": the highest-priority length
+ *     fee (NS-Length30 before NS-Length22) plus NS-Volume when it applies
+ *
+ * @returns {{ type: string, reason: string, amount: number, blocked: boolean }}
+ */
+function uspsDetermineSurcharge(L_cm, W_cm, H_cm, weightKg, surchargeData, packaging) {
+    const rules = surchargeData.rules;
+    const metrics = buildPackageMetrics(L_cm, W_cm, H_cm, weightKg, packaging);
+    const hits = evaluateSurchargeRules(rules, metrics);
+
+    const blocking = hits.find(h => rules[h.key].blocking);
+    if (blocking) {
+        return { type: blocking.key, reason: `${blocking.reason} — 발송 불가`, amount: 0, blocked: true };
+    }
+    if (hits.length === 0) {
+        return { type: 'OK', reason: '모든 조건 충족 ✓', amount: 0, blocked: false };
+    }
+
+    let applied = hits;
+    if (rules.rule === 'one_length_fee_plus_volume') {
+        const length = hits.find(h => h.key.startsWith('NS-Length'));
+        applied = hits.filter(h => h === length || !h.key.startsWith('NS-Length'));
+    }
+    const amount = applied.reduce((s, h) => s + uspsGetSurchargeAmount(h.key, surchargeData), 0);
+    return {
+        type: applied.map(h => h.key).join('+'),
+        reason: applied.map(h => `${h.key}: ${h.reason} ($${uspsGetSurchargeAmount(h.key, surchargeData)})`).join(' / '),
+        amount,
+        blocked: false,
+    };
+}
+
+function uspsGetSurchargeAmount(scType, surchargeData) {
+    return (surchargeData.amounts || {})[scType] || 0;
+}
+
+// ─── Rate Lookup ─────────────────────────────────────────────────────
+
+// Smallest ounce tier that holds the weight ("4", "8", "12", "15.99")
+function uspsOzTier(actualLb, ozTable) {
+    const oz = actualLb * 16;
+    return Object.keys(ozTable)
+        .sort((a, b) => Number(a) - Number(b))
+        .find(tier => oz <= Number(tier)) || null;
+}
+
+/**
+ * Price one package with one service.
+ * @param {Object} serviceRates - rates.json[service] { oz?, lb, cubic }
+ * @returns {{ billableLb, baseRate, basis: 'oz'|'lb'|'cubic', note: string }}
+ */
+function uspsServicePrice(serviceRates, zone, actualLb, dimLb, cubicTier, useCubic) {
+    const zoneKey = `Z${zone}`;
+    let price;
+
+    const ozTier = serviceRates.oz && dimLb === 0 && actualLb < 1 ? uspsOzTier(actualLb, serviceRates.oz) : null;
+    if (ozTier) {
+        price = {
+            billableLb: Math.round(Number(ozTier) / 16 * 100) / 100,
+            baseRate: serviceRates.oz[ozTier][zoneKey] || 0,
+            basis: 'oz',
+            note: `${ozTier} oz 구간`,
+        };
+    } else {
+        const billableLb = calcBillableWeight(actualLb, dimLb, null);
+        const entry = serviceRates.lb[String(Math.min(billableLb, USPS_MAX_TABLE_LB))];
+        price = { billableLb, baseRate: entry ? entry[zoneKey] || 0 : 0, basis: 'lb', note: `${billableLb} lb` };
+    }
+
+    if (useCubic && cubicTier != null && serviceRates.cubic) {
+        const entry = serviceRates.cubic[String(cubicTier)];
+        const cubicRate = entry ? entry[zoneKey] || 0 : 0;
+        if (cubicRate > 0 && cubicRate < price.baseRate) {
+            return { ...price, baseRate: cubicRate, basis: 'cubic', note: `Cubic ${cubicTier} ft³` };
+        }
+    }
+    return price;
+}
+
+// ─── Line Item Calculation ───────────────────────────────────────────
+
+/**
+ * @param {Object} item - { name, L_cm, W_cm, H_cm, weightKg, qty, packaging? }
+ * @param {number} zone - 1–9
+ * @param {string} service - USPS_SERVICES key or 'auto'
+ * @param {boolean} useCubic - price cubic-eligible packages by cubic tier when cheaper
+ * @param {Object} rateTable - full rates.json
+ * @param {Object} surchargeData - full surcharges.json
+ * @param {Object} [dim] - resolveDimConfig() result, plus minCubicInch
+ */
+function uspsCalcLineItem(item, zone, service, useCubic, rateTable, surchargeData, dim = USPS_DEFAULT_DIM) {
+    const { L_cm, W_cm, H_cm, weightKg, qty, packaging } = item;
+
+    const actualLb = kgToLb(weightKg);
+    const dimLb = uspsDimWeight(L_cm, W_cm, H_cm, dim, dim.minCubicInch);
+    const sc = uspsDetermineSurcharge(L_cm, W_cm, H_cm, weightKg, surchargeData, packaging);
+
+    const line = {
+        name: item.name || '',
+        L_cm, W_cm, H_cm, weightKg, qty,
+        packaging: packaging || DEFAULT_PACKAGING,
+        zone, isResidential: false, dasTier: 'None',
+        actualLb: Math.round(actualLb * 100) / 100,
+        dimLb: Math.round(dimLb * 100) / 100,
+        dimDivisor: dim.divisor,
+        dimRounding: dim.rounding,
+        dimSource: dim.source,
+        dimMinCubicInch: dim.minCubicInch || USPS_DIM_MIN_CUBIC_INCH,
+        scType: sc.type,
+        scReason: sc.reason,
+        fuelAmount: 0,
+        residentialCharge: 0,
+        dasCharge: 0,
+    };
+
+    if (sc.blocked) {
+        return {
+            ...line,
+            error: true,
+            errorReason: sc.reason,
+            service: null,
+            rateNote: '',
+            billableLb: 0,
+            baseRate: 0,
+            rateSubtotal: 0,
+            scAmount: 0,
+            perPkgTotal: 0,
+            lineTotal: 0,
+        };
+    }
+
+    const cubicTier = uspsCubicTier(L_cm, W_cm, H_cm, actualLb, surchargeData.cubic);
+    const services = service === USPS_SERVICE_AUTO ? Object.keys(USPS_SERVICES) : [service];
+    const priced = services
+        .filter(id => rateTable[id])
+        .map(id => ({ id, ...uspsServicePrice(rateTable[id], zone, actualLb, dimLb, cubicTier, useCubic) }));
+    const best = priced.reduce((a, b) => (b.baseRate < a.baseRate ? b : a));
+    const others = priced.filter(p => p !== best)
+        .map(p => ` (${USPS_SERVICES[p.id].label} $${p.baseRate.toFixed(2)})`).join('');
+
+    const perPkgTotal = best.baseRate + sc.amount;
+    const lineTotal = perPkgTotal * qty;
+
+    return {
+        ...line,
+        error: false,
+        service: best.id,
+        rateNote: `${USPS_SERVICES[best.id].label} · ${best.note}${others}`,
+        billableLb: best.billableLb,
+        baseRate: Math.round(best.baseRate * 100) / 100,
+        rateSubtotal: Math.round(best.baseRate * 100) / 100,
+        scAmount: Math.round(sc.amount * 100) / 100,
+        perPkgTotal: Math.round(perPkgTotal * 100) / 100,
+        lineTotal: Math.round(lineTotal * 100) / 100,
+    };
+}
+
+// ─── Grand Total ─────────────────────────────────────────────────────
+
+/**
+ * zone is the order default; an item carrying its own destination
+ * (item.zone) overrides it. Lines that cannot be mailed count as $0.
+ */
+function uspsCalcAll(items, zone, service, useCubic, rateTable, surchargeData, dim) {
+    const lines = items
+        .filter(item => item.qty > 0)
+        .map(item => uspsCalcLineItem(item,
+            item.zone != null ? item.zone : zone,
+            service, useCubic, rateTable, surchargeData, dim));
+
+    const grandTotal = lines.reduce((s, l) => s + l.lineTotal, 0);
+    const rateSubtotal = lines.reduce((s, l) => s + (l.rateSubtotal * l.qty), 0);
+    const scSubtotal = lines.reduce((s, l) => s + (l.scAmount * l.qty), 0);
+
+    return {
+        lines,
+        grandTotal: Math.round(grandTotal * 100) / 100,
+        rateSubtotal: Math.round(rateSubtotal * 100) / 100,
+        scSubtotal: Math.round(scSubtotal * 100) / 100,
+        residentialSubtotal: 0,
+        dasSubtotal: 0,
+    };
+}
+
+// ─── Carrier Registration ────────────────────────────────────────────
+
+/**
+ * Registry entry point.
+ * @param {Object[]} items  - may carry a destination zone
+ * @param {Object} settings - { zone, uspsService, uspsCubic,
+ *                             contract? (account discounts, see contract-rules.js) }
+ * @param {Object} data     - { rates, surcharges, meta, ... }
+ */
+function uspsQuote(items, settings, data) {
+    const minCubicInch = (data.meta && data.meta.dim_min_cubic_inch) || USPS_DIM_MIN_CUBIC_INCH;
+    const dim = { ...resolveDimConfig(data.meta, settings.contract, USPS_DIM_DIVISOR), minCubicInch };
+    const service = settings.uspsService || USPS_SERVICE_AUTO;
+    const price = (d) => uspsCalcAll(items, settings.zone, service, settings.uspsCubic !== false,
+        data.rates, data.surcharges, d);
+    // List price on the carrier's own DIM terms; a negotiated divisor counts toward the discount
+    const list = dim.source === 'account'
+        ? price({ ...resolveDimConfig(data.meta, null, USPS_DIM_DIVISOR), minCubicInch })
+        : null;
+    const result = applyContract(price(dim), settings.contract, 0, list);
+    return {
+        ...result,
+        carrier: 'usps',
+        currency: 'USD',
+        dim,
+        lines: CarrierRegistry.indexLines(items, result.lines),
+        components: {
+            rate: result.rateSubtotal,
+            sc: result.scSubtotal,
+        },
+    };
+}
+
+if (typeof CarrierRegistry !== 'undefined') {
+    CarrierRegistry.register({
+        id: 'usps',
+        name: 'USPS',
+        shortName: 'USPS',
+        country: 'US',
+        currency: 'USD',
+        theme: 'usps',
+        chartRgb: '167, 139, 250',
+        files: {
+            rates: 'rates.json',
+            surcharges: 'surcharges.json',
+            zones: 'zones.json',
+            meta: 'meta.json',
+        },
+        optionalFiles: {
+            zoneChart: 'zone-chart.json',
+        },
+        settings: [
+            {
+                key: 'uspsService', type: 'select', label: 'USPS 서비스',
+                tip: '자동: 품목마다 Ground Advantage와 Priority Mail 중 저렴한 쪽. 70lb / L+Girth 130" 초과 품목은 USPS 발송 불가',
+                options: () => [
+                    { value: USPS_SERVICE_AUTO, label: '자동 (저렴한 쪽)' },
+                    ...Object.entries(USPS_SERVICES).map(([value, s]) => ({ value, label: s.label })),
+                ],
+                default: USPS_SERVICE_AUTO,
+            },
+            {
+                key: 'uspsCubic', type: 'checkbox', label: 'Cubic 요금 적용',
+                tip: '20lb 이하·최장변 18" 이하 소포는 부피 구간(0.1~0.5 ft³) 요금이 더 저렴하면 그 요금 사용 (상업 요금)',
+                default: true,
+            },
+        ],
+        note: '연료·Residential·DAS 할증 없음',
+        quote: uspsQuote,
+        thresholds: {
+            specs: (line, item, data) => ruleThresholdSpecs(data.surcharges.rules, item),
+            label: (line) => (line.error ? '발송 불가' : line.scType),
+        },
+    });
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        uspsDimWeight, uspsCubicTier, uspsDetermineSurcharge, uspsGetSurchargeAmount,
+        uspsOzTier, uspsServicePrice, uspsCalcLineItem, uspsCalcAll, uspsQuote,
+        USPS_DIM_DIVISOR, USPS_DIM_MIN_CUBIC_INCH, USPS_MAX_TABLE_LB, USPS_SERVICES,
+    };
+}
@@ -91,6 +91,67 @@ function yamatoCalcSize(L_cm, W_cm, H_cm, weightKg) {
   };
 }
 
+// ─── Prefecture / Postal Code ───────────────────────────────────────
+
+function yamatoZoneForPrefecture(zones, prefecture) {
+  const zone = zones.find(z => z.prefectures.includes(prefecture));
+  return zone ? zone.id : null;
+}
+
+/**
+ * Accepts "1000001" or "100-0001". Returns the 7-digit code or null.
+ */
+function yamatoNormalizePostal(input) {
+  const m = String(input || '').trim().replace(/^〒\s*/, '').match(/^(\d{3})-?(\d{4})$/);
+  return m ? m[1] + m[2] : null;
+}
+
+/**
+ * Postal code → prefecture via postal-prefixes.json (first 3 digits).
+ * @returns {{ status, prefecture, candidates, message }}
+ *   status: 'ok' | 'ambiguous' | 'invalid' | 'unknown'
+ */
+function yamatoLookupPostal(postalPrefixes, input) {
+  const postal = yamatoNormalizePostal(input);
+  if (!postal) {
+    return { status: 'invalid', prefecture: null, candidates: [], message: '郵便番号は7桁で入力してください' };
+  }
+
+  const n = Number(postal.slice(0, 3));
+  const range = postalPrefixes.ranges.find(r => n >= Number(r.from) && n <= Number(r.to));
+  if (!range) {
+    return { status: 'unknown', prefecture: null, candidates: [], message: `〒${postal.slice(0, 3)}: 該当する都道府県なし` };
+  }
+  if (range.prefectures) {
+    return {
+      status: 'ambiguous', prefecture: null, candidates: range.prefectures.slice(),
+      message: `〒${postal.slice(0, 3)}: ${range.prefectures.join(' / ')} のいずれか — 都道府県を選択してください`,
+    };
+  }
+  return { status: 'ok', prefecture: range.prefecture, candidates: [range.prefecture], message: '' };
+}
+
+/**
+ * Derive zone ids and the intraprefectural flag from prefectures.
+ * Settings without prefectures keep their explicit origin/destination/samePrefecture.
+ * @returns {{ origin, destination, samePrefecture }}
+ */
+function yamatoResolveRoute(zones, settings) {
+  const { originPref, destPref } = settings;
+  if (!originPref || !destPref) {
+    return {
+      origin: settings.origin,
+      destination: settings.destination,
+      samePrefecture: !!settings.samePrefecture,
+    };
+  }
+  return {
+    origin: yamatoZoneForPrefecture(zones, originPref) || settings.origin,
+    destination: yamatoZoneForPrefecture(zones, destPref) || settings.destination,
+    samePrefecture: originPref === destPref,
+  };
+}
+
 // ─── Rate Lookup ────────────────────────────────────────────────────
 
 function yamatoLookupRate(origin, destination, appliedSize, payment, ratesCash, ratesCashless, ratesIntrapref, samePrefecture) {
@@ -111,53 +172,150 @@ function yamatoLookupRate(origin, destination, appliedSize, payment, ratesCash,
   return { rate, isIntrapref: false };
 }
 
-// ─── Cool Surcharge ─────────────────────────────────────────────────
+// ─── Optional Services ──────────────────────────────────────────────
+//
+// Every top-level entry of surcharges.json is an optional service:
+//   { name_ja, label_ko, input: 'select'|'checkbox'|'amount', choices?,
+//     pricing: <YAMATO_OPTION_PRICING key>, fee | fees | ranges,
+//     constraints?: { <YAMATO_OPTION_CONSTRAINTS key>: limit },
+//     blocking?: true → a violated constraint makes the package unshippable;
+//                otherwise the option is dropped and flagged }
+// The selected value is a choice ('none' = off), a boolean or a JPY amount.
+
+const YAMATO_OPTION_PRICING = {
+  flat: (def) => def.fee,
+  by_size: (def, value, ctx) => def.fees[String(ctx.appliedSize)],
+  by_route: (def, value, ctx) =>
+    (ctx.origin === 'okinawa' || ctx.destination === 'okinawa') ? def.fees.okinawa : def.fees.standard,
+  by_range: (def, value) => {
+    const amount = Number(value);
+    const hit = def.ranges.find(r => amount >= r.min && amount <= r.max);
+    return hit ? hit.fee : undefined;
+  },
+};
+
+// Each check returns a reason string when the constraint is violated
+const YAMATO_OPTION_CONSTRAINTS = {
+  max_size: (limit, value, ctx) =>
+    ctx.appliedSize > limit ? `Size ${ctx.appliedSize} > ${limit}` : null,
+  max_amount: (limit, value) =>
+    Number(value) > limit
+      ? `¥${Number(value).toLocaleString('ja-JP')} > 上限 ¥${limit.toLocaleString('ja-JP')} 超過`
+      : null,
+};
+
+/** Options declared in surcharges.json, in file order. Unknown pricing rules are skipped. */
+function yamatoOptionDefs(surcharges) {
+  return Object.entries(surcharges || {})
+    .filter(([, def]) => def && YAMATO_OPTION_PRICING[def.pricing])
+    .map(([key, def]) => ({ key, ...def }));
+}
+
+function yamatoDefaultOptions(surcharges) {
+  const values = {};
+  yamatoOptionDefs(surcharges).forEach(def => {
+    if (def.input === 'select') values[def.key] = 'none';
+    else if (def.input === 'amount') values[def.key] = 0;
+    else values[def.key] = false;
+  });
+  return values;
+}
 
-function yamatoGetCoolSurcharge(appliedSize, coolType, surcharges) {
-  if (!coolType || coolType === 'none') return 0;
-  if (appliedSize > 120) return null; // Cool service max size is 120
-  const coolData = surcharges.cool;
-  if (!coolData) return 0;
-  return coolData[String(appliedSize)] || 0;
+function yamatoIsOptionSelected(def, value) {
+  if (def.input === 'select') return !!value && value !== 'none';
+  if (def.input === 'amount') return Number(value) > 0;
+  return !!value;
 }
 
-// ─── Same-Day Surcharge ─────────────────────────────────────────────
+/**
+ * Price the selected options for one package.
+ * @param {Object} selections - { optionKey: value }
+ * @param {Object} ctx - { appliedSize, origin, destination }
+ * @returns {{ total, applied: [{ key, name, value, fee }], errors: [{ key, name, reason, blocking }] }}
+ */
+function yamatoCalcOptions(selections, ctx, surcharges) {
+  let total = 0;
+  const applied = [];
+  const errors = [];
+
+  for (const def of yamatoOptionDefs(surcharges)) {
+    const value = selections[def.key];
+    if (!yamatoIsOptionSelected(def, value)) continue;
+
+    const reasons = Object.entries(def.constraints || {})
+      .map(([rule, limit]) => YAMATO_OPTION_CONSTRAINTS[rule] && YAMATO_OPTION_CONSTRAINTS[rule](limit, value, ctx))
+      .filter(Boolean);
+    const fee = reasons.length ? undefined : YAMATO_OPTION_PRICING[def.pricing](def, value, ctx);
 
-function yamatoGetSameDaySurcharge(sameDay, origin, destination, surcharges) {
-  if (!sameDay) return 0;
-  const sd = surcharges.same_day;
-  if (!sd) return 550;
-  if (origin === 'okinawa' || destination === 'okinawa') return sd.okinawa || 330;
-  return sd.standard || 550;
+    if (fee == null) {
+      const reason = reasons[0] || '料金表に該当なし';
+      errors.push({ key: def.key, name: def.name_ja, reason: `${def.name_ja}: ${reason}`, blocking: !!def.blocking });
+      continue;
+    }
+    total += fee;
+    applied.push({ key: def.key, name: def.name_ja, value, fee });
+  }
+
+  return { total, applied, errors };
 }
 
 // ─── Discounts ──────────────────────────────────────────────────────
+//
+// discounts.json entries may declare
+//   conditions: { <YAMATO_DISCOUNT_CONDITIONS key>: limit } - checked against the shipment
+//   replaces:   ['key', ...] - selected together, this discount wins over those
+
+// Each check returns a reason string when the shipment does not qualify
+const YAMATO_DISCOUNT_CONDITIONS = {
+  min_packages_same_destination: (limit, shipment) =>
+    shipment.packageCount < limit ? `同一届け先 ${limit}個以上が条件 (現在 ${shipment.packageCount}個)` : null,
+};
 
-function yamatoCalcDiscounts(selectedDiscounts, discountDefs) {
+/**
+ * @param {string[]} selectedDiscounts
+ * @param {Object} discountDefs - discounts.json
+ * @param {Object} shipment - { packageCount } packages going to the same destination
+ * @returns {{ total, applied: [{ key, name, amount }], rejected: [{ key, name, reason }] }}
+ */
+function yamatoCalcDiscounts(selectedDiscounts, discountDefs, shipment) {
   let total = 0;
   const applied = [];
+  const rejected = [];
 
-  // member_dropoff replaces standard dropoff
-  const hasDropoff = selectedDiscounts.includes('dropoff');
-  const hasMemberDropoff = selectedDiscounts.includes('member_dropoff');
+  // Which selected discount (if any) replaces each key
+  const replacedBy = {};
+  for (const key of selectedDiscounts) {
+    const def = discountDefs[key];
+    (def && def.replaces || []).forEach(r => { replacedBy[r] = def; });
+  }
 
   for (const key of selectedDiscounts) {
-    // Skip standard dropoff if member dropoff is selected
-    if (key === 'dropoff' && hasMemberDropoff) continue;
     const def = discountDefs[key];
-    if (def) {
-      total += def.amount; // amounts are negative
-      applied.push({ key, name: def.name_ja, amount: def.amount });
+    if (!def) continue;
+
+    let reason = replacedBy[key] ? `${replacedBy[key].name_ja}と併用不可` : null;
+    if (!reason) {
+      reason = Object.entries(def.conditions || {})
+        .map(([rule, limit]) => YAMATO_DISCOUNT_CONDITIONS[rule] && YAMATO_DISCOUNT_CONDITIONS[rule](limit, shipment))
+        .find(Boolean) || null;
+    }
+
+    if (reason) {
+      rejected.push({ key, name: def.name_ja, reason: `${def.name_ja}: ${reason}` });
+      continue;
     }
+    total += def.amount; // amounts are negative
+    applied.push({ key, name: def.name_ja, amount: def.amount });
   }
 
-  return { total, applied };
+  return { total, applied, rejected };
 }
 
 // ─── Line Item Calculation ──────────────────────────────────────────
 
 /**
- * @param {Object} item - { name, L_cm, W_cm, H_cm, weightKg, qty }
+ * @param {Object} item - { name, L_cm, W_cm, H_cm, weightKg, qty, options? }
+ *                        item.options overrides the shipment-level option values
  * @param {string} origin - zone id
  * @param {string} destination - zone id
  * @param {string} payment - 'cash' | 'cashless'
@@ -170,26 +328,37 @@ function yamatoCalcDiscounts(selectedDiscounts, discountDefs) {
  * @param {Object} ratesIntrapref
  * @param {Object} surcharges
  * @param {Object} discounts
+ * @param {Object} [options] - other optional services { anonymous: true, cod: 15000, ... }
+ * @param {Object} [shipment] - { packageCount } for discount conditions (default: this line alone)
  */
-function yamatoCalcLineItem(item, origin, destination, payment, samePrefecture, coolType, sameDay, selectedDiscounts, ratesCash, ratesCashless, ratesIntrapref, surcharges, discounts) {
+function yamatoCalcLineItem(item, origin, destination, payment, samePrefecture, coolType, sameDay, selectedDiscounts, ratesCash, ratesCashless, ratesIntrapref, surcharges, discounts, options, shipment) {
   const { L_cm, W_cm, H_cm, weightKg, qty } = item;
 
   const size = yamatoCalcSize(L_cm, W_cm, H_cm, weightKg);
+  const selections = { cool: coolType, same_day: sameDay, ...options, ...item.options };
+  const optionCalc = size.error
+    ? { total: 0, applied: [], errors: [] }
+    : yamatoCalcOptions(selections, { appliedSize: size.appliedSize, origin, destination }, surcharges);
+  const blocking = optionCalc.errors.find(e => e.blocking);
 
-  if (size.error) {
+  if (size.error || blocking) {
     return {
       name: item.name || '',
       L_cm, W_cm, H_cm, weightKg, qty,
       error: true,
-      errorReason: size.reason,
+      errorReason: size.error ? size.reason : blocking.reason,
       threeSideSum: size.threeSideSum,
       longest: size.longest,
       appliedSize: null,
       baseRate: 0,
+      options: [],
+      optionErrors: optionCalc.errors,
+      optionTotal: 0,
       coolSurcharge: 0,
       sameDaySurcharge: 0,
       discountTotal: 0,
       discountDetails: [],
+      discountRejected: [],
       perPkgTotal: 0,
       lineTotal: 0,
       isIntrapref: false,
@@ -201,15 +370,14 @@ function yamatoCalcLineItem(item, origin, destination, payment, samePrefecture,
     ratesCash, ratesCashless, ratesIntrapref, samePrefecture
   );
 
-  const coolSurcharge = yamatoGetCoolSurcharge(size.appliedSize, coolType, surcharges);
-  const coolError = coolSurcharge === null;
-  const coolAmount = coolError ? 0 : coolSurcharge;
-
-  const sameDaySurcharge = yamatoGetSameDaySurcharge(sameDay, origin, destination, surcharges);
+  const optionFee = (key) => {
+    const o = optionCalc.applied.find(a => a.key === key);
+    return o ? o.fee : 0;
+  };
 
-  const discountCalc = yamatoCalcDiscounts(selectedDiscounts, discounts);
+  const discountCalc = yamatoCalcDiscounts(selectedDiscounts, discounts, shipment || { packageCount: qty });
 
-  const perPkgTotal = Math.max(0, rate + coolAmount + sameDaySurcharge + discountCalc.total);
+  const perPkgTotal = Math.max(0, rate + optionCalc.total + discountCalc.total);
   const lineTotal = perPkgTotal * qty;
 
   return {
@@ -225,11 +393,15 @@ function yamatoCalcLineItem(item, origin, destination, payment, samePrefecture,
     sizeReason: size.reason,
     baseRate: rate,
     isIntrapref,
-    coolSurcharge: coolAmount,
-    coolError,
-    sameDaySurcharge,
+    options: optionCalc.applied,
+    optionErrors: optionCalc.errors,
+    optionTotal: optionCalc.total,
+    coolSurcharge: optionFee('cool'),
+    coolError: optionCalc.errors.some(e => e.key === 'cool'),
+    sameDaySurcharge: optionFee('same_day'),
     discountTotal: discountCalc.total,
     discountDetails: discountCalc.applied,
+    discountRejected: discountCalc.rejected,
     perPkgTotal,
     lineTotal,
   };
@@ -237,39 +409,136 @@ function yamatoCalcLineItem(item, origin, destination, payment, samePrefecture,
 
 // ─── Grand Total ────────────────────────────────────────────────────
 
-function yamatoCalcAll(items, origin, destination, payment, samePrefecture, coolType, sameDay, selectedDiscounts, ratesCash, ratesCashless, ratesIntrapref, surcharges, discounts) {
-  const lines = items
-    .filter(item => item.qty > 0)
-    .map(item => yamatoCalcLineItem(
-      item, origin, destination, payment, samePrefecture,
-      coolType, sameDay, selectedDiscounts,
-      ratesCash, ratesCashless, ratesIntrapref, surcharges, discounts
-    ));
+function yamatoCalcAll(items, origin, destination, payment, samePrefecture, coolType, sameDay, selectedDiscounts, ratesCash, ratesCashless, ratesIntrapref, surcharges, discounts, options) {
+  const active = items.filter(item => item.qty > 0);
+
+  // Every package of one quote goes to the same destination; oversize items don't ship
+  const shipment = {
+    packageCount: active
+      .filter(item => !yamatoCalcSize(item.L_cm, item.W_cm, item.H_cm, item.weightKg).error)
+      .reduce((s, item) => s + item.qty, 0),
+  };
+
+  const lines = active.map(item => yamatoCalcLineItem(
+    item, origin, destination, payment, samePrefecture,
+    coolType, sameDay, selectedDiscounts,
+    ratesCash, ratesCashless, ratesIntrapref, surcharges, discounts, options, shipment
+  ));
+
+  // Shipment-level: selected discounts that did not apply, and why
+  const discountRejected = yamatoCalcDiscounts(selectedDiscounts, discounts, shipment).rejected;
 
   const grandTotal = lines.reduce((s, l) => s + l.lineTotal, 0);
   const baseSubtotal = lines.reduce((s, l) => s + (l.baseRate * l.qty), 0);
-  const coolSubtotal = lines.reduce((s, l) => s + (l.coolSurcharge * l.qty), 0);
-  const sameDaySubtotal = lines.reduce((s, l) => s + (l.sameDaySurcharge * l.qty), 0);
   const discountSubtotal = lines.reduce((s, l) => s + (l.discountTotal * l.qty), 0);
 
+  // { optionKey: subtotal } for every option the data file declares
+  const optionSubtotals = {};
+  yamatoOptionDefs(surcharges).forEach(def => { optionSubtotals[def.key] = 0; });
+  lines.forEach(l => l.options.forEach(o => { optionSubtotals[o.key] += o.fee * l.qty; }));
+
   return {
     lines,
     grandTotal,
     baseSubtotal,
-    coolSubtotal,
-    sameDaySubtotal,
+    optionSubtotals,
     discountSubtotal,
+    discountRejected,
   };
 }
 
+// ─── Carrier Registration ───────────────────────────────────────────
+
+/**
+ * Registry entry point.
+ * @param {Object[]} items
+ * @param {Object} settings - { originPref, destPref, payment, options, discounts }
+ *                            (or explicit origin, destination, samePrefecture)
+ *                            options: { optionKey: value } per yamatoOptionDefs();
+ *                            item.options overrides it per package.
+ * @param {Object} data     - { ratesCash, ratesCashless, ratesIntrapref, zones, surcharges, discounts, ... }
+ */
+function yamatoQuote(items, settings, data) {
+  const route = yamatoResolveRoute(data.zones, settings);
+  const options = settings.options || {};
+  const result = yamatoCalcAll(
+    items,
+    route.origin,
+    route.destination,
+    settings.payment,
+    route.samePrefecture,
+    options.cool,
+    options.same_day,
+    settings.discounts,
+    data.ratesCash,
+    data.ratesCashless,
+    data.ratesIntrapref,
+    data.surcharges,
+    data.discounts,
+    options
+  );
+  return {
+    ...result,
+    carrier: 'yamato',
+    currency: 'JPY',
+    route,
+    lines: CarrierRegistry.indexLines(items, result.lines),
+    components: {
+      base: result.baseSubtotal,
+      ...result.optionSubtotals,
+      discount: result.discountSubtotal,
+    },
+  };
+}
+
+if (typeof CarrierRegistry !== 'undefined') {
+  CarrierRegistry.register({
+    id: 'yamato',
+    name: 'Yamato TA-Q-BIN',
+    shortName: 'Yamato',
+    country: 'JP',
+    currency: 'JPY',
+    theme: 'yamato',
+    chartRgb: '239, 68, 68',
+    files: {
+      ratesCash: 'rates-cash.json',
+      ratesCashless: 'rates-cashless.json',
+      ratesIntrapref: 'rates-intrapref.json',
+      zones: 'zones.json',
+      postalPrefixes: 'postal-prefixes.json',
+      surcharges: 'surcharges.json',
+      discounts: 'discounts.json',
+      defaults: 'defaults.json',
+      meta: 'meta.json',
+    },
+    settings: [
+      { key: 'originPref', type: 'select', label: '출발지', default: (data) => data.defaults.origin_prefecture || '東京都' },
+      { key: 'destPref', type: 'select', label: '도착지', default: (data) => data.defaults.destination_prefecture || '大阪府' },
+      { key: 'payment', type: 'select', label: '결제 방법', default: (data) => data.defaults.payment || 'cash' },
+      { key: 'options', type: 'group', label: '옵션 서비스', default: (data) => yamatoDefaultOptions(data.surcharges) },
+      { key: 'discounts', type: 'multi', label: '할인', default: () => [] },
+    ],
+    quote: yamatoQuote,
+    thresholds: {
+      specs: (line, item) => tierThresholdSpecs({
+        sizes: YAMATO_SIZE_TIERS.map(t => ({ label: `Size ${t}`, sum: t, weight: YAMATO_WEIGHT_LIMITS[t] })),
+        maxSum: YAMATO_MAX_THREE_SIDE_CM, maxWeight: YAMATO_MAX_WEIGHT_KG, maxLongest: YAMATO_MAX_LONGEST_CM,
+      }, item),
+      label: (line) => (line.error ? '발송 불가' : `Size ${line.appliedSize}`),
+    },
+  });
+}
+
 // ─── Exports ────────────────────────────────────────────────────────
 
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     yamatoCalcSize, yamatoLookupRate,
-    yamatoGetCoolSurcharge, yamatoGetSameDaySurcharge,
-    yamatoCalcDiscounts, yamatoCalcLineItem, yamatoCalcAll,
-    YAMATO_SIZE_TIERS, YAMATO_WEIGHT_LIMITS,
+    yamatoZoneForPrefecture, yamatoNormalizePostal, yamatoLookupPostal, yamatoResolveRoute,
+    yamatoOptionDefs, yamatoDefaultOptions, yamatoIsOptionSelected, yamatoCalcOptions,
+    yamatoCalcDiscounts, yamatoCalcLineItem, yamatoCalcAll, yamatoQuote,
+    YAMATO_SIZE_TIERS, YAMATO_WEIGHT_LIMITS, YAMATO_OPTION_PRICING, YAMATO_OPTION_CONSTRAINTS,
+    YAMATO_DISCOUNT_CONDITIONS,
     YAMATO_MAX_THREE_SIDE_CM, YAMATO_MAX_LONGEST_CM, YAMATO_MAX_WEIGHT_KG,
   };
 }
@@ -0,0 +1,243 @@
+/**
+ * Japan Post Yu-Pack — Shipping Cost Calculator Engine
+ *
+ * Size determination: Applied Size = 3-side-sum tier only.
+ * Weight does not raise the size; any size is accepted up to 25kg.
+ * All rates in JPY (tax included).
+ *
+ * Route resolution and discount rules are shared with the Yamato engine
+ * (yamatoResolveRoute, yamatoCalcDiscounts).
+ *
+ * Shows up once a version folder with Japan Post's published tariff is in
+ * public/data/manifest.json, dated like the Yamato tables it is compared with.
+ */
+
+// ─── Size Tier Rules ────────────────────────────────────────────────
+
+const YUPACK_SIZE_TIERS = [60, 80, 100, 120, 140, 160, 170];
+
+const YUPACK_MAX_THREE_SIDE_CM = 170;
+const YUPACK_MAX_WEIGHT_KG = 25;
+
+// ─── Size Tier Determination ────────────────────────────────────────
+
+function yupackCalcSize(L_cm, W_cm, H_cm, weightKg) {
+  const longest = Math.max(L_cm, W_cm, H_cm);
+  const threeSideSum = L_cm + W_cm + H_cm;
+
+  if (threeSideSum > YUPACK_MAX_THREE_SIDE_CM) {
+    return {
+      error: true,
+      reason: `3辺合計 ${threeSideSum.toFixed(0)}cm > ${YUPACK_MAX_THREE_SIDE_CM}cm 超過`,
+      threeSideSum, longest
+    };
+  }
+  if (weightKg > YUPACK_MAX_WEIGHT_KG) {
+    return {
+      error: true,
+      reason: `重量 ${weightKg.toFixed(1)}kg > ${YUPACK_MAX_WEIGHT_KG}kg 超過`,
+      threeSideSum, longest
+    };
+  }
+
+  const sumTier = YUPACK_SIZE_TIERS.find(tier => threeSideSum <= tier);
+
+  return {
+    error: false,
+    threeSideSum: Math.round(threeSideSum * 10) / 10,
+    longest: Math.round(longest * 10) / 10,
+    sumTier,
+    weightTier: null,
+    appliedSize: sumTier,
+    sizeSource: 'sum',
+    reason: `3辺計 ${threeSideSum.toFixed(0)}cm → Size ${sumTier}`
+  };
+}
+
+// ─── Rate Lookup ────────────────────────────────────────────────────
+
+function yupackLookupRate(origin, destination, appliedSize, rates, ratesIntrapref, samePrefecture) {
+  if (samePrefecture) {
+    const rate = ratesIntrapref[String(appliedSize)];
+    if (rate != null) return { rate, isIntrapref: true };
+  }
+
+  const sizeRates = (rates[origin] || {})[String(appliedSize)];
+  const rate = sizeRates ? sizeRates[destination] : null;
+  return { rate: rate == null ? 0 : rate, isIntrapref: false };
+}
+
+// ─── Line Item Calculation ──────────────────────────────────────────
+
+/**
+ * @param {Object} item - { name, L_cm, W_cm, H_cm, weightKg, qty }
+ * @param {string} origin - zone id
+ * @param {string} destination - zone id
+ * @param {boolean} samePrefecture
+ * @param {string[]} selectedDiscounts - ['dropoff', 'same_address', ...]
+ * @param {Object} rates
+ * @param {Object} ratesIntrapref
+ * @param {Object} discounts
+ * @param {Object} [shipment] - { packageCount } for discount conditions (default: this line alone)
+ */
+function yupackCalcLineItem(item, origin, destination, samePrefecture, selectedDiscounts, rates, ratesIntrapref, discounts, shipment) {
+  const { L_cm, W_cm, H_cm, weightKg, qty } = item;
+
+  const size = yupackCalcSize(L_cm, W_cm, H_cm, weightKg);
+
+  if (size.error) {
+    return {
+      name: item.name || '',
+      L_cm, W_cm, H_cm, weightKg, qty,
+      error: true,
+      errorReason: size.reason,
+      threeSideSum: size.threeSideSum,
+      longest: size.longest,
+      appliedSize: null,
+      baseRate: 0,
+      options: [],
+      optionErrors: [],
+      optionTotal: 0,
+      discountTotal: 0,
+      discountDetails: [],
+      discountRejected: [],
+      perPkgTotal: 0,
+      lineTotal: 0,
+      isIntrapref: false,
+    };
+  }
+
+  const { rate, isIntrapref } = yupackLookupRate(
+    origin, destination, size.appliedSize, rates, ratesIntrapref, samePrefecture
+  );
+
+  const discountCalc = yamatoCalcDiscounts(selectedDiscounts, discounts, shipment || { packageCount: qty });
+
+  const perPkgTotal = Math.max(0, rate + discountCalc.total);
+  const lineTotal = perPkgTotal * qty;
+
+  return {
+    name: item.name || '',
+    L_cm, W_cm, H_cm, weightKg, qty,
+    error: false,
+    threeSideSum: size.threeSideSum,
+    longest: size.longest,
+    sumTier: size.sumTier,
+    weightTier: size.weightTier,
+    appliedSize: size.appliedSize,
+    sizeSource: size.sizeSource,
+    sizeReason: size.reason,
+    baseRate: rate,
+    isIntrapref,
+    options: [],
+    optionErrors: [],
+    optionTotal: 0,
+    discountTotal: discountCalc.total,
+    discountDetails: discountCalc.applied,
+    discountRejected: discountCalc.rejected,
+    perPkgTotal,
+    lineTotal,
+  };
+}
+
+// ─── Grand Total ────────────────────────────────────────────────────
+
+function yupackCalcAll(items, origin, destination, samePrefecture, selectedDiscounts, rates, ratesIntrapref, discounts) {
+  const active = items.filter(item => item.qty > 0);
+
+  const shipment = {
+    packageCount: active
+      .filter(item => !yupackCalcSize(item.L_cm, item.W_cm, item.H_cm, item.weightKg).error)
+      .reduce((s, item) => s + item.qty, 0),
+  };
+
+  const lines = active.map(item => yupackCalcLineItem(
+    item, origin, destination, samePrefecture, selectedDiscounts,
+    rates, ratesIntrapref, discounts, shipment
+  ));
+
+  const discountRejected = yamatoCalcDiscounts(selectedDiscounts, discounts, shipment).rejected;
+
+  return {
+    lines,
+    grandTotal: lines.reduce((s, l) => s + l.lineTotal, 0),
+    baseSubtotal: lines.reduce((s, l) => s + (l.baseRate * l.qty), 0),
+    discountSubtotal: lines.reduce((s, l) => s + (l.discountTotal * l.qty), 0),
+    discountRejected,
+  };
+}
+
+// ─── Carrier Registration ───────────────────────────────────────────
+
+/**
+ * Registry entry point.
+ * @param {Object[]} items
+ * @param {Object} settings - { originPref, destPref, discounts }
+ *                            (or explicit origin, destination, samePrefecture)
+ * @param {Object} data     - { rates, ratesIntrapref, zones, discounts, meta }
+ */
+function yupackQuote(items, settings, data) {
+  const route = yamatoResolveRoute(data.zones, settings);
+  const result = yupackCalcAll(
+    items,
+    route.origin,
+    route.destination,
+    route.samePrefecture,
+    settings.discounts,
+    data.rates,
+    data.ratesIntrapref,
+    data.discounts
+  );
+  return {
+    ...result,
+    carrier: 'yupack',
+    currency: 'JPY',
+    route,
+    lines: CarrierRegistry.indexLines(items, result.lines),
+    components: {
+      base: result.baseSubtotal,
+      discount: result.discountSubtotal,
+    },
+  };
+}
+
+if (typeof CarrierRegistry !== 'undefined') {
+  CarrierRegistry.register({
+    id: 'yupack',
+    name: 'Japan Post Yu-Pack',
+    shortName: 'Yu-Pack',
+    country: 'JP',
+    currency: 'JPY',
+    theme: 'yupack',
+    chartRgb: '249, 115, 22',
+    files: {
+      rates: 'rates.json',
+      ratesIntrapref: 'rates-intrapref.json',
+      zones: 'zones.json',
+      discounts: 'discounts.json',
+      meta: 'meta.json',
+    },
+    settings: [
+      { key: 'originPref', type: 'select', label: '출발지', default: () => '東京都' },
+      { key: 'destPref', type: 'select', label: '도착지', default: () => '大阪府' },
+      { key: 'discounts', type: 'multi', label: '할인', default: () => [] },
+    ],
+    quote: yupackQuote,
+    thresholds: {
+      specs: (line, item) => tierThresholdSpecs({
+        sizes: YUPACK_SIZE_TIERS.map(t => ({ label: `Size ${t}`, sum: t, weight: null })),
+        maxSum: YUPACK_MAX_THREE_SIDE_CM, maxWeight: YUPACK_MAX_WEIGHT_KG,
+      }, item),
+      label: (line) => (line.error ? '발송 불가' : `Size ${line.appliedSize}`),
+    },
+  });
+}
+
+// ─── Exports ────────────────────────────────────────────────────────
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    yupackCalcSize, yupackLookupRate, yupackCalcLineItem, yupackCalcAll, yupackQuote,
+    YUPACK_SIZE_TIERS, YUPACK_MAX_THREE_SIDE_CM, YUPACK_MAX_WEIGHT_KG,
+  };
+}
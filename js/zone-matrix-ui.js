@@ -0,0 +1,174 @@
+/**
+ * Zone Matrix UI — US tab card pricing the shared items for every zone.
+ * Zone × carrier grid of grand totals, optionally repeated per Residential /
+ * DAS variant, with the cheapest carrier per zone highlighted and CSV / copy
+ * export. Every item goes to the row's zone (per-item destinations are ignored).
+ * The matrix is priced only while the card is expanded.
+ * Depends on: zone-matrix.js, CarrierRegistry, UI (zonesFor / zoneQuoteFor).
+ */
+
+const ZoneMatrixUI = (() => {
+  let residential = false;
+  let dasTiers = [];
+  let items = [];
+  let carriers = [];
+  let rows = [];
+  let expanded = false;
+
+  // ─── Utilities ──────────────────────────────────────────────────
+
+  function escHtml(str) {
+    if (str == null || str === '') return '';
+    return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+                      .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+  }
+
+  function fmt(n) {
+    return n.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  }
+
+  // ─── Initialization ─────────────────────────────────────────────
+
+  function init() {
+    document.getElementById('zone-matrix-controls').innerHTML = `
+      <div class="table-actions">
+        <div class="zone-matrix-variants">
+          <label class="checkbox-label">
+            <input type="checkbox" id="zm-residential"${residential ? ' checked' : ''}>
+            <span>Residential</span>
+          </label>
+          ${ZONE_MATRIX_DAS_TIERS.map(tier => `
+          <label class="checkbox-label">
+            <input type="checkbox" data-zm-das="${escHtml(tier)}"${dasTiers.includes(tier) ? ' checked' : ''}>
+            <span>DAS ${escHtml(tier)}</span>
+          </label>`).join('')}
+        </div>
+        <div class="action-buttons">
+          <button class="btn btn-sm" id="btn-zm-csv">⬇ CSV</button>
+          <button class="btn btn-sm" id="btn-zm-copy">📋 복사</button>
+        </div>
+      </div>
+    `;
+
+    document.getElementById('zm-residential').addEventListener('change', (e) => {
+      residential = e.target.checked;
+      recalculateWithItems(items);
+    });
+    document.querySelectorAll('[data-zm-das]').forEach(input => {
+      input.addEventListener('change', () => {
+        dasTiers = ZONE_MATRIX_DAS_TIERS.filter(tier =>
+          document.querySelector(`[data-zm-das="${tier}"]`).checked);
+        recalculateWithItems(items);
+      });
+    });
+    document.getElementById('btn-zm-csv').addEventListener('click', downloadCsv);
+    document.getElementById('btn-zm-copy').addEventListener('click', copyTable);
+    document.getElementById('btn-zone-matrix-toggle').addEventListener('click', toggle);
+  }
+
+  function toggle() {
+    expanded = !expanded;
+    document.getElementById('zone-matrix-body').hidden = !expanded;
+    document.getElementById('btn-zone-matrix-toggle').textContent = expanded ? '접기' : '펼치기';
+    if (expanded) recalculateWithItems(items);
+  }
+
+  // ─── Matrix ─────────────────────────────────────────────────────
+
+  function recalculateWithItems(newItems) {
+    items = newItems;
+    if (!expanded) return;
+    carriers = CarrierRegistry.list('US');
+
+    const carrierZones = {};
+    carriers.forEach(c => { carrierZones[c.id] = UI.zonesFor(c.id); });
+    const zones = [...new Set(Object.values(carrierZones).flat())].sort((a, b) => a - b);
+
+    rows = items.some(item => item.qty > 0)
+      ? zoneMatrixBuild(carriers.map(c => c.id), zones, zoneMatrixVariants({ residential, dasTiers }),
+          (id, zone, variant) => (carrierZones[id].includes(zone) ? UI.zoneQuoteFor(id, zone, variant)(items) : null))
+      : [];
+    render();
+  }
+
+  function render() {
+    document.getElementById('zone-matrix-thead').innerHTML = `
+      <tr>
+        <th>Zone</th>
+        ${carriers.map(c => `<th class="th-${c.theme}">${escHtml(c.name)}</th>`).join('')}
+        <th>최저</th>
+      </tr>
+    `;
+
+    const tbody = document.getElementById('zone-matrix-tbody');
+    const span = carriers.length + 2;
+    if (!rows.length) {
+      tbody.innerHTML = `<tr><td colspan="${span}" class="center-cell">계산할 품목이 없습니다</td></tr>`;
+      return;
+    }
+
+    const grouped = rows.some(r => r.variant.key !== rows[0].variant.key);
+    tbody.innerHTML = rows.map((row, i) => {
+      const heading = grouped && (i === 0 || rows[i - 1].variant.key !== row.variant.key)
+        ? `<tr class="zm-variant-row"><td colspan="${span}">${escHtml(row.variant.label)}</td></tr>`
+        : '';
+      return heading + `
+        <tr>
+          <td class="row-label">Zone ${row.zone}</td>
+          ${carriers.map(c => renderCell(row, c)).join('')}
+          <td>${renderCheapest(row)}</td>
+        </tr>
+      `;
+    }).join('');
+  }
+
+  function renderCell(row, c) {
+    const cell = row.cells[c.id];
+    if (!cell) return '<td class="diff-zero">-</td>';
+    const best = row.cheapest.includes(c.id);
+    const blocked = cell.blocked
+      ? `<div class="zm-note" title="${escHtml(c.shortName)} 발송 불가 품목은 합계에서 제외">⚠ ${cell.blocked}건 제외</div>`
+      : '';
+    return `<td class="${c.theme}-cell${best ? ' zm-best' : ''}">$${fmt(cell.total)}${blocked}</td>`;
+  }
+
+  // Cheapest carrier(s) and the gap to the next complete total
+  function renderCheapest(row) {
+    if (!row.cheapest.length) return '-';
+    const names = carriers.filter(c => row.cheapest.includes(c.id)).map(c => escHtml(c.shortName)).join(' · ');
+    const best = row.cells[row.cheapest[0]].total;
+    const others = carriers
+      .filter(c => !row.cheapest.includes(c.id) && row.cells[c.id] && !row.cells[c.id].blocked)
+      .map(c => row.cells[c.id].total);
+    const gap = others.length ? `<div class="zm-note">2위보다 −$${fmt(Math.min(...others) - best)}</div>` : '';
+    return `<strong>${names}</strong>${gap}`;
+  }
+
+  // ─── Export ─────────────────────────────────────────────────────
+
+  function downloadCsv() {
+    if (!rows.length) return;
+    // BOM so spreadsheet apps read the UTF-8 labels correctly
+    const blob = new Blob(['\ufeff' + zoneMatrixToCsv(rows, carriers)], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `zone-matrix-${new Date().toISOString().slice(0, 10)}.csv`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  function copyTable() {
+    if (!rows.length) return;
+    const text = zoneMatrixToCsv(rows, carriers, '\t');
+    navigator.clipboard.writeText(text).then(() => {
+      UI.showToast('Zone 매트릭스가 클립보드에 복사되었습니다 (스프레드시트에 붙여넣기)', 'success');
+    }).catch(() => {
+      UI.showToast('클립보드 복사 실패 — CSV로 내보내세요', 'error');
+    });
+  }
+
+  // ─── Public API ───────────────────────────────────────────────
+
+  return { init, recalculateWithItems };
+})();
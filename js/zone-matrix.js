@@ -0,0 +1,94 @@
+/**
+ * Zone Matrix — the current items priced for every zone at once.
+ *
+ * Rows are zone × variant (Commercial / Residential, DAS tier), columns the
+ * US carriers. Every cell is a carrier's grand total from its registered
+ * engine (calcAll, amazonCalcAll, ...) through a quote callback, so fuel,
+ * DIM and contract settings match the comparison table — only the zone,
+ * Residential and DAS tier change.
+ */
+
+const ZONE_MATRIX_DAS_TIERS = ['Delivery Area', 'Extended', 'Remote'];
+
+// ─── Variants ────────────────────────────────────────────────────────
+
+/**
+ * @param {Object} [opts] - { residential: bool, dasTiers: string[] (unified DAS tiers) }
+ * @returns {{ key, label, isResidential, dasTier }[]} Commercial without DAS first
+ */
+function zoneMatrixVariants(opts = {}) {
+    const resi = opts.residential ? [false, true] : [false];
+    const tiers = ['None', ...(opts.dasTiers || [])];
+    const variants = [];
+    tiers.forEach(dasTier => resi.forEach(isResidential => {
+        const label = (isResidential ? 'Residential' : 'Commercial') + (dasTier === 'None' ? '' : ` · DAS ${dasTier}`);
+        variants.push({ key: `${isResidential ? 'resi' : 'com'}-${dasTier}`, label, isResidential, dasTier });
+    }));
+    return variants;
+}
+
+// ─── Matrix ──────────────────────────────────────────────────────────
+
+/**
+ * @param {string[]} carrierIds
+ * @param {number[]} zones    - every zone to price (union of the carriers' zones.json)
+ * @param {Object[]} variants - zoneMatrixVariants()
+ * @param {Function} quote    - (carrierId, zone, variant) → normalized quote, or null when
+ *                              the carrier has no such zone
+ * @returns {{ zone, variant, cells: { carrierId: { total, blocked } | null }, cheapest: string[] }[]}
+ *   blocked = lines the carrier cannot ship (left out of its total, so it never counts as cheapest)
+ */
+function zoneMatrixBuild(carrierIds, zones, variants, quote) {
+    const rows = [];
+    variants.forEach(variant => zones.forEach(zone => {
+        const cells = {};
+        carrierIds.forEach(id => {
+            const q = quote(id, zone, variant);
+            cells[id] = q && { total: q.grandTotal, blocked: q.lines.filter(l => l.error).length };
+        });
+
+        const complete = carrierIds.filter(id => cells[id] && !cells[id].blocked);
+        const min = Math.min(...complete.map(id => cells[id].total));
+        const cheapest = complete.filter(id => cells[id].total - min < 0.005);
+        rows.push({ zone, variant, cells, cheapest });
+    }));
+    return rows;
+}
+
+// ─── Export ──────────────────────────────────────────────────────────
+
+function zoneMatrixCsvField(value) {
+    const str = String(value);
+    return /[",\n\t]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * @param {Object[]} rows     - zoneMatrixBuild()
+ * @param {Object[]} carriers - [{ id, name }]
+ * @param {string} [sep]      - ',' for CSV files, '\t' for pasting into a spreadsheet
+ */
+function zoneMatrixToCsv(rows, carriers, sep = ',') {
+    const header = ['Variant', 'Zone', ...carriers.map(c => c.name), 'Cheapest', 'Note'];
+    const lines = rows.map(row => {
+        const notes = carriers
+            .filter(c => row.cells[c.id] && row.cells[c.id].blocked)
+            .map(c => `${c.name}: ${row.cells[c.id].blocked} line(s) not shippable`);
+        return [
+            row.variant.label,
+            row.zone,
+            ...carriers.map(c => (row.cells[c.id] ? row.cells[c.id].total.toFixed(2) : '')),
+            carriers.filter(c => row.cheapest.includes(c.id)).map(c => c.name).join(' / '),
+            notes.join('; '),
+        ];
+    });
+    return [header, ...lines].map(fields => fields.map(zoneMatrixCsvField).join(sep)).join('\n');
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        zoneMatrixVariants, zoneMatrixBuild, zoneMatrixToCsv,
+        ZONE_MATRIX_DAS_TIERS,
+    };
+}
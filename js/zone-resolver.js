@@ -0,0 +1,121 @@
+/**
+ * Zone Resolver — origin/destination ZIP → carrier zone and DAS tier
+ * Uses the carrier's zone-chart.json — its published ZIP-prefix zone chart per
+ * origin, imported into the version folder (optional: without it the manual
+ * zone applies):
+ *   origins[].prefixes  - 3-digit prefixes the origin chart covers
+ *   origins[].chart     - [{ dest: '900-908', zone: 2 | [lower, higher] }]
+ *   excluded            - [{ dest, reason }] prefixes the carrier does not serve
+ * and das-zips.json — the carrier's published DAS ZIP list (optional as well;
+ * without it the DAS tier is chosen by hand):
+ *   tiers               - [{ tier, zips: ['49757', '59001-59019'] }], most expensive first
+ */
+
+// ─── ZIP Parsing ─────────────────────────────────────────────────────
+
+/**
+ * Accepts "90012" or ZIP+4 "90012-1234". Returns the 5-digit ZIP or null.
+ */
+function normalizeZip(input) {
+    const m = String(input || '').trim().match(/^(\d{5})(?:-?\d{4})?$/);
+    return m ? m[1] : null;
+}
+
+function zipPrefix(zip) {
+    return zip.slice(0, 3);
+}
+
+/** "900-908" / "005" / "59001-59019" → true when value (same digit count) is inside */
+function zipInSpec(value, spec) {
+    const [from, to] = spec.split('-');
+    const n = Number(value);
+    return n >= Number(from) && n <= Number(to || from);
+}
+
+// ─── Chart Lookup ────────────────────────────────────────────────────
+
+function findZoneOrigin(chart, originZip) {
+    const prefix = zipPrefix(originZip);
+    return chart.origins.find(o => o.prefixes.some(spec => zipInSpec(prefix, spec))) || null;
+}
+
+/**
+ * Resolve one origin → destination pair.
+ * @returns {{ status, zone, candidates, origin, message }}
+ *   status: 'ok' | 'ambiguous' | 'invalid' | 'no-origin' | 'excluded' | 'unknown'
+ *   zone is null unless status is 'ok' or 'ambiguous' (then the higher candidate).
+ */
+function resolveZone(chart, originInput, destInput) {
+    const result = { status: 'invalid', zone: null, candidates: [], origin: null, message: '' };
+
+    const originZip = normalizeZip(originInput);
+    const destZip = normalizeZip(destInput);
+    if (!originZip || !destZip) {
+        result.message = `ZIP 형식 오류: ${!originZip ? '출발지' : '도착지'}는 5자리 숫자여야 합니다`;
+        return result;
+    }
+
+    const origin = findZoneOrigin(chart, originZip);
+    if (!origin) {
+        result.status = 'no-origin';
+        result.message = `출발지 ${zipPrefix(originZip)}xx 구간표 없음 — 지원: ${chart.origins.map(o => o.label).join(', ')}`;
+        return result;
+    }
+    result.origin = { id: origin.id, label: origin.label };
+
+    const prefix = zipPrefix(destZip);
+    const excluded = (chart.excluded || []).find(e => zipInSpec(prefix, e.dest));
+    if (excluded) {
+        result.status = 'excluded';
+        result.message = `도착지 ${prefix}xx: ${excluded.reason}`;
+        return result;
+    }
+
+    const row = origin.chart.find(r => zipInSpec(prefix, r.dest));
+    if (!row) {
+        result.status = 'unknown';
+        result.message = `도착지 ${prefix}xx: 구간표에 없는 ZIP 접두어`;
+        return result;
+    }
+
+    if (Array.isArray(row.zone)) {
+        // Prefix is split between zones in the carrier chart → bill the higher one
+        result.status = 'ambiguous';
+        result.candidates = row.zone.slice();
+        result.zone = Math.max(...row.zone);
+        result.message = `도착지 ${prefix}xx는 Zone ${row.zone.join('/')} 경계 — 높은 Zone ${result.zone} 적용`;
+        return result;
+    }
+
+    result.status = 'ok';
+    result.zone = row.zone;
+    result.candidates = [row.zone];
+    return result;
+}
+
+// ─── DAS Lookup ──────────────────────────────────────────────────────
+
+/**
+ * Look up the carrier's own DAS tier for a destination ZIP.
+ * @returns {{ status, tier }}
+ *   status: 'listed' | 'not-listed' | 'invalid'
+ *   tier is the carrier-native surcharges.json das key ('None' when not listed).
+ */
+function lookupDasTier(dasZips, destInput) {
+    const destZip = normalizeZip(destInput);
+    if (!destZip) return { status: 'invalid', tier: 'None' };
+
+    const hit = dasZips.tiers.find(t => t.zips.some(spec => zipInSpec(destZip, spec)));
+    return hit
+        ? { status: 'listed', tier: hit.tier }
+        : { status: 'not-listed', tier: 'None' };
+}
+
+// ─── Exports ─────────────────────────────────────────────────────────
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        normalizeZip, zipPrefix, zipInSpec,
+        findZoneOrigin, resolveZone, lookupDasTier,
+    };
+}